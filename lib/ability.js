@@ -0,0 +1,140 @@
+// lib/ability.js - Per-student, per-topic ability estimates for adaptive practice
+// Each syllabus topic carries an Elo rating that starts at 1200. A question's rating
+// follows its difficulty (easy 1000, moderate 1200, difficult 1400); after every
+// graded attempt the topic moves by K * (result - expected), with a larger K while a
+// topic has few answers. An adaptive set puts the weakest topics first and asks
+// for questions a little above the student's current rating. Ratings are stored as
+// one JSON file per user under `dir`, or only in memory without a dir.
+
+const fs = require('fs');
+const path = require('path');
+const { subjectKey } = require('./question-bank');
+const { normalizeLevel } = require('./difficulty');
+const { createRng, shuffle } = require('./random');
+
+const DEFAULT_RATING = 1200;
+const LEVEL_RATINGS = { easy: 1000, moderate: 1200, difficult: 1400 };
+const STRETCH = 60; // aim this far above the current rating
+const MAX_FOCUS_TOPICS = 6;
+const USER_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// Probability of answering a question rated `questionRating` correctly
+function expectedScore(rating, questionRating) {
+  return 1 / (1 + 10 ** ((questionRating - rating) / 400));
+}
+
+function kFactor(answered) {
+  return answered < 10 ? 40 : 24;
+}
+
+// Rating a question of this difficulty label stands for
+function questionRating(difficulty) {
+  return LEVEL_RATINGS[normalizeLevel(difficulty)] || DEFAULT_RATING;
+}
+
+// Difficulty level that best matches a target rating
+function levelForRating(rating) {
+  if (rating < (LEVEL_RATINGS.easy + LEVEL_RATINGS.moderate) / 2) return 'easy';
+  if (rating < (LEVEL_RATINGS.moderate + LEVEL_RATINGS.difficult) / 2) return 'moderate';
+  return 'difficult';
+}
+
+const topicKey = (subject, topic) => `${subjectKey(subject) || String(subject || '').toLowerCase()}|${String(topic || '').trim().toLowerCase()}`;
+
+// Split `count` questions over the weakest topics. `topics` is [{ subject, topic }]
+// from the syllabus; `ratings` maps topicKey() to { rating }. Unrated topics sit at
+// the default rating, so they come after clearly weak topics and before strong ones.
+// Returns [{ subject, topic, difficulty, count, rating }], weakest first.
+function planAdaptiveSet(ratings, topics, { count, seed } = {}) {
+  if (!(count > 0) || topics.length === 0) return [];
+  const rated = shuffle(createRng(seed === undefined ? `${Date.now()}:${Math.random()}` : String(seed)), topics)
+    .map(entry => {
+      const stored = ratings[topicKey(entry.subject, entry.topic)];
+      return { ...entry, rating: stored ? stored.rating : DEFAULT_RATING };
+    })
+    .sort((a, b) => a.rating - b.rating); // stable: equal ratings keep the shuffled order
+
+  const focus = rated.slice(0, Math.min(rated.length, MAX_FOCUS_TOPICS, Math.max(1, Math.ceil(count / 4))));
+  const base = Math.floor(count / focus.length);
+  let remainder = count - base * focus.length;
+
+  return focus
+    .map(entry => {
+      const share = base + (remainder > 0 ? 1 : 0);
+      remainder--;
+      return {
+        subject: entry.subject,
+        topic: entry.topic,
+        difficulty: levelForRating(entry.rating + STRETCH),
+        count: share,
+        rating: Math.round(entry.rating)
+      };
+    })
+    .filter(part => part.count > 0);
+}
+
+function createAbilityStore({ dir = null } = {}) {
+  const memory = new Map();
+
+  const filePath = userId => path.join(dir, `${userId}.json`);
+
+  // { [topicKey]: { subject, topic, rating, answered, correct, updatedAt } }
+  function get(userId) {
+    if (!USER_ID_PATTERN.test(String(userId))) return {};
+    if (!dir) return memory.get(userId) || {};
+    return fs.existsSync(filePath(userId)) ? JSON.parse(fs.readFileSync(filePath(userId), 'utf8')) : {};
+  }
+
+  // Apply graded questions ({ subject, topic, difficulty, status }); unanswered ones
+  // carry no evidence and are skipped. Returns how each touched topic moved.
+  function update(userId, questions) {
+    const ratings = { ...get(userId) };
+    const changes = new Map();
+    const updatedAt = new Date().toISOString();
+
+    for (const question of questions) {
+      if (question.status !== 'correct' && question.status !== 'incorrect') continue;
+      const key = topicKey(question.subject, question.topic);
+      const current = ratings[key] || { subject: question.subject, topic: question.topic, rating: DEFAULT_RATING, answered: 0, correct: 0 };
+      const result = question.status === 'correct' ? 1 : 0;
+      const rating = current.rating + kFactor(current.answered) * (result - expectedScore(current.rating, questionRating(question.difficulty)));
+
+      if (!changes.has(key)) {
+        changes.set(key, { subject: current.subject, topic: current.topic, before: Math.round(current.rating), answered: 0, correct: 0 });
+      }
+      const change = changes.get(key);
+      change.answered++;
+      change.correct += result;
+
+      ratings[key] = { ...current, rating, answered: current.answered + 1, correct: current.correct + result, updatedAt };
+    }
+
+    if (changes.size > 0) {
+      if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        const tmpPath = `${filePath(userId)}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(ratings));
+        fs.renameSync(tmpPath, filePath(userId));
+      } else {
+        memory.set(userId, ratings);
+      }
+    }
+
+    return Array.from(changes.entries()).map(([key, change]) => {
+      const after = Math.round(ratings[key].rating);
+      return { ...change, after, delta: after - change.before };
+    });
+  }
+
+  return { get, update };
+}
+
+module.exports = {
+  createAbilityStore,
+  planAdaptiveSet,
+  expectedScore,
+  levelForRating,
+  questionRating,
+  topicKey,
+  DEFAULT_RATING
+};
@@ -0,0 +1,158 @@
+// lib/accounts.js - Local student accounts and cookie sessions
+// Passwords are hashed with scrypt and a per-user salt. Logging in creates a random
+// session token that the browser keeps in an HttpOnly cookie; only its SHA-256 hash
+// is stored, with an expiry sessionTtlMs after login. Users and sessions live in one
+// JSON file at `filePath` (written through on every change), or only in memory
+// when no path is given. Usernames in `teacherUsernames` (TEACHER_USERNAMES) get the
+// teacher role, which may write to and export the shared question bank.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'mdcat_session';
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = await scrypt(password, salt, KEY_LENGTH);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// The fields of a user that are safe to send to the browser
+function publicUser(user, role = 'student') {
+  return { id: user.id, username: user.username, role, createdAt: user.createdAt };
+}
+
+function createAccountStore({ filePath = null, sessionTtlMs = 30 * 24 * 60 * 60 * 1000, teacherUsernames = [], now = Date.now } = {}) {
+  const teachers = new Set((teacherUsernames || []).map(name => String(name).trim().toLowerCase()));
+  const data = { users: {}, sessions: {} };
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      Object.assign(data, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      console.error(`⚠️ Could not read account store ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  const findByUsername = username => Object.values(data.users).find(user => user.username === username) || null;
+
+  // Create an account; throws an Error with a user-facing message when refused
+  async function register(username, password) {
+    const name = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(name)) {
+      throw new Error('Username must be 3-32 characters: letters, digits, dot, dash or underscore');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (findByUsername(name)) throw new Error('Username is already taken');
+
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username: name,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date(now()).toISOString()
+    };
+    data.users[user.id] = user;
+    save();
+    return user;
+  }
+
+  // The user for a username and password, or null
+  async function authenticate(username, password) {
+    const user = findByUsername(String(username || '').trim().toLowerCase());
+    if (!user || typeof password !== 'string') return null;
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  function pruneSessions() {
+    const time = now();
+    Object.entries(data.sessions).forEach(([hash, session]) => {
+      if (session.expiresAt <= time) delete data.sessions[hash];
+    });
+  }
+
+  // Start a session; returns the raw token for the cookie
+  function createSession(userId) {
+    pruneSessions();
+    const token = crypto.randomBytes(32).toString('hex');
+    data.sessions[hashToken(token)] = { userId, expiresAt: now() + sessionTtlMs };
+    save();
+    return { token, expiresAt: now() + sessionTtlMs };
+  }
+
+  // The user a session token belongs to, or null when unknown or expired
+  function getSessionUser(token) {
+    if (!token) return null;
+    const session = data.sessions[hashToken(token)];
+    if (!session || session.expiresAt <= now()) return null;
+    return data.users[session.userId] || null;
+  }
+
+  function deleteSession(token) {
+    if (!token) return;
+    delete data.sessions[hashToken(token)];
+    save();
+  }
+
+  // 'teacher' for configured teacher usernames, else 'student'
+  function roleOf(user) {
+    return user && teachers.has(user.username) ? 'teacher' : 'student';
+  }
+
+  return { register, authenticate, createSession, getSessionUser, deleteSession, roleOf, sessionTtlMs };
+}
+
+// Session token from the request's Cookie header
+function readSessionToken(req) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function setSessionCookie(res, token, { maxAgeMs, secure = false }) {
+  const attributes = [`${SESSION_COOKIE}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (secure) attributes.push('Secure');
+  res.set('Set-Cookie', attributes.join('; '));
+}
+
+function clearSessionCookie(res) {
+  res.set('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+module.exports = {
+  createAccountStore,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  SESSION_COOKIE
+};
@@ -0,0 +1,45 @@
+// lib/attempts.js - Attempt history for signed-in students
+// Every graded submission from a signed-in student becomes an attempt: the paper ID,
+// the answers, seconds spent per question and the score. Attempts are kept per user,
+// oldest first, in one JSON file per user under `dir`, or only in memory without a dir.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const USER_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+function createAttemptStore({ dir = null } = {}) {
+  const attempts = new Map();
+
+  const filePath = userId => path.join(dir, `${userId}.json`);
+
+  function list(userId) {
+    if (!USER_ID_PATTERN.test(String(userId))) return [];
+    if (!dir) return attempts.get(userId) || [];
+    return fs.existsSync(filePath(userId)) ? JSON.parse(fs.readFileSync(filePath(userId), 'utf8')) : [];
+  }
+
+  // Record an attempt for a user; returns it with its id and time
+  function record(userId, attempt) {
+    const entry = { id: crypto.randomBytes(6).toString('base64url'), recordedAt: new Date().toISOString(), ...attempt };
+    const updated = [...list(userId), entry];
+    if (dir) {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpPath = `${filePath(userId)}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(updated));
+      fs.renameSync(tmpPath, filePath(userId));
+    } else {
+      attempts.set(userId, updated);
+    }
+    return entry;
+  }
+
+  function get(userId, attemptId) {
+    return list(userId).find(attempt => attempt.id === attemptId) || null;
+  }
+
+  return { record, list, get };
+}
+
+module.exports = { createAttemptStore };
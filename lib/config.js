@@ -0,0 +1,182 @@
+// lib/config.js - Typed, validated settings from environment variables
+// Every variable documented in .env.example is declared once below with its type,
+// default and allowed range. loadConfig() reads them all at startup and throws a
+// single error listing every bad value, so a typo in .env stops the server instead
+// of quietly falling back to a default. Empty values count as unset.
+
+const { normalizeProviderName, PROVIDER_NAMES } = require('./providers/names');
+const { normalizeDifficulty } = require('./difficulty');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// [ENV_NAME, 'section.key', type, default, options]
+const SETTINGS = [
+  ['NODE_ENV', 'server.environment', 'enum', 'development', { values: ['development', 'production', 'test'] }],
+  ['PORT', 'server.port', 'int', 3000, { min: 0, max: 65535 }],
+  ['RATE_LIMIT_PER_MINUTE', 'server.rateLimitPerMinute', 'int', 60, { min: 1, max: 100000 }],
+  ['QUESTIONS_PER_DAY', 'server.questionsPerDay', 'int', 1000, { min: 1, max: 1000000 }],
+  ['RATE_LIMIT_STORE', 'server.rateLimitStore', 'enum', 'memory', { values: ['memory', 'file'] }],
+  ['API_KEYS', 'server.apiKeys', 'list', null, { secret: true }],
+
+  ['QUESTION_PROVIDER', 'provider.default', 'provider', null],
+  ['GEMINI_API_KEY', 'provider.geminiApiKey', 'string', null, { secret: true }],
+  ['GEMINI_MODEL', 'provider.geminiModel', 'string', null],
+  ['LLM_BASE_URL', 'provider.llmBaseUrl', 'url', null],
+  ['LLM_MODEL', 'provider.llmModel', 'string', null],
+  ['LLM_API_KEY', 'provider.llmApiKey', 'string', null, { secret: true }],
+  ['LLM_STRUCTURED_OUTPUT', 'provider.llmStructuredOutput', 'boolean', true],
+  ['OFFLINE_PROVIDER_SEED', 'provider.offlineSeed', 'string', null],
+  ['API_TIMEOUT_MS', 'provider.timeoutMs', 'int', 45000, { min: 1000, max: 60 * 60 * 1000 }],
+  ['MAX_CONCURRENT_CALLS', 'provider.maxConcurrentCalls', 'int', 3, { min: 1, max: 50 }],
+  ['MAX_API_RETRIES', 'provider.maxRetries', 'int', 3, { min: 1, max: 10 }],
+  ['ENABLE_MOCK_RESPONSES', 'provider.mockResponses', 'boolean', false],
+  ['MOCK_RESPONSE_DELAY', 'provider.mockDelayMs', 'int', 1000, { min: 0, max: 60000 }],
+
+  ['LOG_LEVEL', 'logging.level', 'enum', 'info', { values: LOG_LEVELS }],
+  ['ENABLE_API_LOGGING', 'logging.apiCalls', 'boolean', true],
+  ['ENABLE_PERFORMANCE_MONITORING', 'logging.performance', 'boolean', true],
+  ['DEBUG_MODE', 'logging.debug', 'boolean', false],
+
+  ['MAX_BATCH_SIZE', 'generation.maxBatchSize', 'int', 25, { min: 5, max: 100 }],
+  ['MAX_QUESTIONS_PER_REQUEST', 'generation.maxQuestionsPerRequest', 'int', 200, { min: 1, max: 1000 }],
+  ['DEFAULT_DIFFICULTY', 'generation.defaultDifficulty', 'difficulty', 'mixed'],
+  ['DEFAULT_YEAR_RANGE', 'generation.defaultYearRange', 'enum', 'all', { values: ['all', 'recent', '2020s', '2010s'] }],
+  ['DIFFICULTY_CALIBRATION', 'generation.difficultyCalibration', 'enum', 'model', { values: ['model', 'rubric'] }],
+  ['SYLLABUS_VERSION', 'generation.syllabusVersion', 'string', null],
+
+  ['MIN_QUESTION_LENGTH', 'validation.minQuestionLength', 'int', 10, { min: 1, max: 1000 }],
+  ['ENABLE_QUESTION_VALIDATION', 'validation.enabled', 'boolean', true],
+
+  ['VERIFY_ANSWERS', 'verification.enabled', 'boolean', true],
+  ['VERIFY_VOTES', 'verification.votes', 'int', 1, { min: 1, max: 9 }],
+  ['VERIFY_POLICY', 'verification.policy', 'enum', 'drop', { values: ['drop', 'flag'] }],
+  ['VERIFY_PROVIDER', 'verification.provider', 'provider', null],
+
+  ['CACHE_ENABLED', 'cache.enabled', 'boolean', true],
+  ['CACHE_TTL_MS', 'cache.ttlMs', 'int', 6 * 60 * 60 * 1000, { min: 1000, max: 30 * 24 * 60 * 60 * 1000 }],
+  ['CACHE_MAX_ENTRIES', 'cache.maxEntries', 'int', 200, { min: 1, max: 100000 }],
+  ['CACHE_FRESH_SHARE', 'cache.freshShare', 'number', 0.3, { min: 0, max: 1 }],
+  ['CACHE_DIR', 'storage.cacheDir', 'string', null],
+  ['PAPERS_DIR', 'storage.papersDir', 'string', null],
+  ['ACCOUNTS_PATH', 'storage.accountsPath', 'string', null],
+  ['ATTEMPTS_DIR', 'storage.attemptsDir', 'string', null],
+  ['ABILITY_DIR', 'storage.abilityDir', 'string', null],
+  ['REVIEW_DIR', 'storage.reviewDir', 'string', null],
+  ['TEACHER_USERNAMES', 'storage.teacherUsernames', 'list', null],
+  ['SESSION_TTL_MS', 'storage.sessionTtlMs', 'int', 30 * 24 * 60 * 60 * 1000, { min: 60 * 1000, max: 365 * 24 * 60 * 60 * 1000 }],
+
+  ['QUESTION_BANK_PATH', 'storage.questionBankPath', 'string', null],
+  ['PAST_PAPERS_DIR', 'storage.pastPapersDir', 'string', null],
+  ['SYLLABUS_DIR', 'storage.syllabusDir', 'string', null],
+  ['EXAM_PROFILES_PATH', 'storage.examProfilesPath', 'string', null],
+  ['RATE_LIMIT_PATH', 'storage.rateLimitPath', 'string', null],
+  ['PDF_FONT_PATH', 'storage.pdfFontPath', 'string', null],
+  ['JOB_TTL_MS', 'storage.jobTtlMs', 'int', 30 * 60 * 1000, { min: 1000, max: 7 * 24 * 60 * 60 * 1000 }]
+];
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+// Parse one raw value; returns { value } or { error }
+function parseValue(raw, type, options = {}) {
+  const text = String(raw).trim();
+  switch (type) {
+    case 'int': {
+      if (!/^-?\d+$/.test(text)) return { error: 'must be a whole number' };
+      const value = Number(text);
+      if (options.min !== undefined && value < options.min) return { error: `must be at least ${options.min}` };
+      if (options.max !== undefined && value > options.max) return { error: `must be at most ${options.max}` };
+      return { value };
+    }
+    case 'number': {
+      const value = Number(text);
+      if (!/^-?\d+(\.\d+)?$/.test(text)) return { error: 'must be a number' };
+      if (options.min !== undefined && value < options.min) return { error: `must be at least ${options.min}` };
+      if (options.max !== undefined && value > options.max) return { error: `must be at most ${options.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      const value = BOOLEANS[text.toLowerCase()];
+      return value === undefined ? { error: 'must be true or false' } : { value };
+    }
+    case 'enum':
+      return options.values.includes(text.toLowerCase())
+        ? { value: text.toLowerCase() }
+        : { error: `must be one of: ${options.values.join(', ')}` };
+    case 'provider':
+      return normalizeProviderName(text) ? { value: normalizeProviderName(text) } : { error: `must be one of: ${PROVIDER_NAMES.join(', ')}` };
+    case 'difficulty':
+      return normalizeDifficulty(text) ? { value: normalizeDifficulty(text) } : { error: 'must be one of: mixed, easy, moderate, difficult' };
+    case 'list': {
+      const value = text.split(',').map(item => item.trim()).filter(Boolean);
+      return value.length > 0 ? { value } : { error: 'must be a comma-separated list' };
+    }
+    case 'url':
+      return /^https?:\/\/\S+$/i.test(text) ? { value: text.replace(/\/+$/, '') } : { error: 'must be an http(s) URL' };
+    default:
+      return { value: text };
+  }
+}
+
+function setPath(target, dotted, value) {
+  const [section, key] = dotted.split('.');
+  target[section] = target[section] || {};
+  target[section][key] = value;
+}
+
+// Read and validate every setting; throws listing all invalid values at once
+function loadConfig(env = process.env) {
+  const config = {};
+  const errors = [];
+
+  for (const [name, dotted, type, fallback, options] of SETTINGS) {
+    const raw = env[name];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      setPath(config, dotted, fallback);
+      continue;
+    }
+    const { value, error } = parseValue(raw, type, options);
+    if (error) errors.push(`${name} ${error} (got "${raw}")`);
+    else setPath(config, dotted, value);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n- ${errors.join('\n- ')}`);
+  }
+
+  // Debug mode always shows debug output
+  if (config.logging.debug) config.logging.level = 'debug';
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+// The effective configuration without secrets (they are reported as configured or not)
+function publicConfig(config) {
+  const result = {};
+  for (const [, dotted, , , options] of SETTINGS) {
+    const [section, key] = dotted.split('.');
+    const value = config[section][key];
+    setPath(result, options && options.secret ? `${section}.${key}Configured` : dotted, options && options.secret ? !!value : value);
+  }
+  return result;
+}
+
+// Silence console methods below the configured level (console.log counts as info)
+function applyLogLevel(level, target = console) {
+  const rank = LOG_LEVELS.indexOf(level);
+  const noop = () => {};
+  if (rank < LOG_LEVELS.indexOf('debug')) target.debug = noop;
+  if (rank < LOG_LEVELS.indexOf('info')) {
+    target.info = noop;
+    target.log = noop;
+  }
+  if (rank < LOG_LEVELS.indexOf('warn')) target.warn = noop;
+}
+
+module.exports = { loadConfig, publicConfig, applyLogLevel, SETTINGS, LOG_LEVELS };
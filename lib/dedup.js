@@ -0,0 +1,149 @@
+// lib/dedup.js - Exact and near-duplicate question detection
+// Stems are normalized and broken into character shingles; MinHash signatures with
+// LSH banding find candidate pairs cheaply. A pair counts as a duplicate when the
+// stems are near-identical and carry the same numbers, whatever the options (the same
+// question with regenerated distractors), or when the stems are similar AND the
+// option sets overlap (so "2 kg at 3 m/s" and "4 kg at 5 m/s" variants of one
+// template are not treated as repeats).
+
+const { createRng, hashString } = require('./random');
+
+const SHINGLE_SIZE = 4;
+const NUM_HASHES = 64;
+const BANDS = 32;
+const ROWS = NUM_HASHES / BANDS;
+
+const HASH_SEEDS = (() => {
+  const rng = createRng('mdcat-minhash');
+  return Array.from({ length: NUM_HASHES }, () => Math.floor(rng() * 0xffffffff) >>> 0);
+})();
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shingles(text) {
+  const normalized = normalizeText(text);
+  const set = new Set();
+  if (normalized.length <= SHINGLE_SIZE) {
+    if (normalized) set.add(normalized);
+    return set;
+  }
+  for (let i = 0; i <= normalized.length - SHINGLE_SIZE; i++) {
+    set.add(normalized.slice(i, i + SHINGLE_SIZE));
+  }
+  return set;
+}
+
+// 32-bit finalizer (murmur3 fmix) so each seed gives an independent permutation
+function mix(value, seed) {
+  let x = (value ^ seed) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+function minHash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    const base = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(base, HASH_SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / NUM_HASHES;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function fingerprint(question) {
+  const stem = normalizeText(question.question);
+  const options = new Set((Array.isArray(question.options) ? question.options : []).map(normalizeText));
+  return {
+    exactKey: `${stem}|${[...options].sort().join('|')}`,
+    numbers: (stem.match(/\d+/g) || []).join(' '),
+    signature: minHash(shingles(question.question)),
+    options
+  };
+}
+
+// threshold: minimum estimated stem similarity; optionOverlap: minimum option-set Jaccard
+// below stemMatch, the stem similarity from which options no longer matter
+function createDuplicateIndex({ threshold = 0.4, optionOverlap = 0.5, stemMatch = 0.85 } = {}) {
+  const exact = new Map();
+  const buckets = new Map();
+  const entries = [];
+
+  function bandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < BANDS; band++) {
+      keys.push(`${band}:${signature.slice(band * ROWS, (band + 1) * ROWS).join(',')}`);
+    }
+    return keys;
+  }
+
+  // Returns { question, similarity, exact } for the closest stored duplicate, or null
+  function findDuplicate(question) {
+    const print = fingerprint(question);
+    if (exact.has(print.exactKey)) {
+      return { question: exact.get(print.exactKey).question, similarity: 1, exact: true };
+    }
+
+    const candidates = new Set();
+    for (const key of bandKeys(print.signature)) {
+      (buckets.get(key) || []).forEach(index => candidates.add(index));
+    }
+
+    let best = null;
+    for (const index of candidates) {
+      const entry = entries[index];
+      const similarity = estimateSimilarity(print.signature, entry.signature);
+      if (similarity < threshold) continue;
+      const sameStem = similarity >= stemMatch && print.numbers === entry.numbers;
+      if (!sameStem && jaccard(print.options, entry.options) < optionOverlap) continue;
+      if (!best || similarity > best.similarity) best = { question: entry.question, similarity, exact: false };
+    }
+    return best;
+  }
+
+  function add(question) {
+    const print = fingerprint(question);
+    const index = entries.push({ question, ...print }) - 1;
+    exact.set(print.exactKey, entries[index]);
+    for (const key of bandKeys(print.signature)) {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  }
+
+  // Add the question unless it duplicates one already indexed; true when added
+  function addIfUnique(question) {
+    if (findDuplicate(question)) return false;
+    add(question);
+    return true;
+  }
+
+  return { add, addIfUnique, findDuplicate, size: () => entries.length };
+}
+
+module.exports = { createDuplicateIndex, normalizeText };
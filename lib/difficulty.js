@@ -0,0 +1,175 @@
+// lib/difficulty.js - Difficulty vocabulary, target mix and rubric calibration
+// Requests and models use several words for the same level ("medium", "hard"); they
+// are normalized to easy / moderate / difficult. A 'mixed' paper aims for
+// 15% easy, 70% moderate, 15% difficult (exam profiles may set their own mix), split
+// across subjects so that both the per-subject counts and the overall mix come out exact.
+
+const DIFFICULTY_LEVELS = ['easy', 'moderate', 'difficult'];
+const MIXED_RATIO = { easy: 0.15, moderate: 0.7, difficult: 0.15 };
+
+const LEVEL_ALIASES = {
+  easy: 'easy',
+  simple: 'easy',
+  basic: 'easy',
+  low: 'easy',
+  moderate: 'moderate',
+  medium: 'moderate',
+  intermediate: 'moderate',
+  average: 'moderate',
+  normal: 'moderate',
+  difficult: 'difficult',
+  hard: 'difficult',
+  challenging: 'difficult',
+  advanced: 'difficult',
+  high: 'difficult'
+};
+
+// Map a question's difficulty label to a level (null when unrecognized)
+function normalizeLevel(label) {
+  if (!label) return null;
+  return LEVEL_ALIASES[String(label).trim().toLowerCase()] || null;
+}
+
+// Map a requested difficulty to a level or 'mixed' (null when unrecognized)
+function normalizeDifficulty(value) {
+  if (value === undefined || value === null || value === '') return 'mixed';
+  const key = String(value).trim().toLowerCase();
+  if (['mixed', 'all', 'any'].includes(key)) return 'mixed';
+  return normalizeLevel(key);
+}
+
+// Largest-remainder split of `count` by `ratio`
+function splitByRatio(count, ratio) {
+  const exact = DIFFICULTY_LEVELS.map(level => ({ level, value: count * (ratio[level] || 0) }));
+  const result = Object.fromEntries(exact.map(({ level, value }) => [level, Math.floor(value)]));
+  let remaining = count - Object.values(result).reduce((sum, n) => sum + n, 0);
+  exact
+    .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+    .forEach(({ level }) => {
+      if (remaining > 0) {
+        result[level]++;
+        remaining--;
+      }
+    });
+  return result;
+}
+
+// Target number of questions per level for a paper of `count` questions.
+// `ratio` replaces the default mix for 'mixed' papers (e.g. an exam profile's mix).
+function difficultyTargets(count, difficulty = 'mixed', ratio = MIXED_RATIO) {
+  if (DIFFICULTY_LEVELS.includes(difficulty)) {
+    return Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, level === difficulty ? count : 0]));
+  }
+  return splitByRatio(count, ratio);
+}
+
+// Split subject parts ({ subject, count }) into { subject, difficulty, count } cells.
+// Rounding leftovers go to the levels still short of the paper-wide target.
+function splitPartsByDifficulty(parts, difficulty = 'mixed', ratio = MIXED_RATIO) {
+  if (DIFFICULTY_LEVELS.includes(difficulty)) {
+    return parts.map(part => ({ ...part, difficulty }));
+  }
+
+  const total = parts.reduce((sum, part) => sum + part.count, 0);
+  const globalTargets = difficultyTargets(total, 'mixed', ratio);
+  const rows = parts.map(part => {
+    const floors = {};
+    const fractions = {};
+    DIFFICULTY_LEVELS.forEach(level => {
+      const exact = part.count * (ratio[level] || 0);
+      floors[level] = Math.floor(exact);
+      fractions[level] = exact - floors[level];
+    });
+    return { part, cells: floors, fractions };
+  });
+
+  const need = {};
+  DIFFICULTY_LEVELS.forEach(level => {
+    need[level] = globalTargets[level] - rows.reduce((sum, row) => sum + row.cells[level], 0);
+  });
+
+  for (const row of rows) {
+    let remaining = row.part.count - DIFFICULTY_LEVELS.reduce((sum, level) => sum + row.cells[level], 0);
+    const bumped = new Set();
+    while (remaining > 0) {
+      const candidates = DIFFICULTY_LEVELS.filter(level => !bumped.has(level));
+      const pool = candidates.some(level => need[level] > 0) ? candidates.filter(level => need[level] > 0) : candidates;
+      const level = pool.sort((a, b) => row.fractions[b] - row.fractions[a])[0] || 'moderate';
+      row.cells[level]++;
+      need[level]--;
+      bumped.add(level);
+      remaining--;
+    }
+  }
+
+  return rows.flatMap(row => DIFFICULTY_LEVELS
+    .filter(level => row.cells[level] > 0)
+    .map(level => ({ ...row.part, difficulty: level, count: row.cells[level] })));
+}
+
+// Rubric estimate of how hard a question is, independent of the model's label.
+// A plain single-concept question starts at 1 (moderate), then:
+//   + several given values, calculation wording, conditions/multi-step wording,
+//     negative stems (NOT/EXCEPT), long stems, multi-step explanations
+//   - plain recall wording ("is called", "unit of") and very short stems
+// Score <= 0 is easy, 1-3 moderate, 4+ difficult.
+function estimateDifficulty(question) {
+  const stem = String(question.question || '');
+  const explanation = String(question.explanation || '');
+  const words = stem.split(/\s+/).filter(Boolean).length;
+  // Standalone values only: the 2 and 4 in "H2SO4" are not numbers to work with
+  const numbers = (stem.match(/(?<![A-Za-z\d.])\d+(\.\d+)?(?![A-Za-z\d])/g) || []).length;
+  const signals = [];
+  let score = 1;
+
+  const add = (points, signal) => {
+    score += points;
+    signals.push(signal);
+  };
+
+  if (numbers >= 2) add(1, 'numeric');
+  if (/\b(calculate|determine|find|how (much|many|long|far)|what will|ratio|percentage|proportion|expected|doubled|halved|tripled)\b/i.test(stem)) add(1, 'calculation');
+  if (/\b(after|then|if|assuming|given that|when|while)\b/i.test(stem)) add(1, 'multi-step');
+  if (/\b(NOT|EXCEPT|incorrect|false|least likely)\b/.test(stem)) add(1, 'negative-stem');
+  if (words > 40) add(2, 'long-stem');
+  else if (words > 25) add(1, 'long-stem');
+  if ((explanation.match(/=|→|\bso\b|\btherefore\b|\bthus\b|\bhence\b/gi) || []).length >= 2) add(1, 'multi-step-explanation');
+  if (/\b(is called|is known as|stands for|unit of|defined as|refers to|which of the following is (a|an|the))\b/i.test(stem)) add(-1, 'recall');
+  if (words < 6) add(-1, 'short-stem');
+
+  const level = score <= 0 ? 'easy' : score >= 4 ? 'difficult' : 'moderate';
+  return { level, score, signals };
+}
+
+// Normalize a question's label; with the rubric the estimate replaces the label
+// (the model's label is kept as modelDifficulty)
+function calibrateQuestion(question, { rubric = false } = {}) {
+  const label = normalizeLevel(question.difficulty);
+  if (!rubric) {
+    const level = label || estimateDifficulty(question).level;
+    return level === question.difficulty ? question : { ...question, difficulty: level };
+  }
+  const estimate = estimateDifficulty(question);
+  return { ...question, difficulty: estimate.level, modelDifficulty: label, difficultyScore: estimate.score };
+}
+
+function difficultyDistribution(questions) {
+  const counts = { easy: 0, moderate: 0, difficult: 0 };
+  questions.forEach(q => {
+    const level = normalizeLevel(q.difficulty);
+    if (level) counts[level]++;
+  });
+  return counts;
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  MIXED_RATIO,
+  normalizeDifficulty,
+  normalizeLevel,
+  difficultyTargets,
+  splitPartsByDifficulty,
+  estimateDifficulty,
+  calibrateQuestion,
+  difficultyDistribution
+};
@@ -0,0 +1,88 @@
+// lib/exam-profiles.js - Exam profiles per conducting body (UHS, NUMS, private universities)
+// data/exam-profiles.json maps a source id to { name, conductingBody, questionCount,
+// timeLimitMinutes, marking, difficulty, subjectWeights, style, exemplars, pastPapers }.
+// A profile may "extends" another one: objects such as marking are merged field by
+// field, everything else (including the exemplar list) replaces the parent's value.
+// subjectWeights is optional; without it the syllabus weights apply.
+
+const fs = require('fs');
+const path = require('path');
+const { DIFFICULTY_LEVELS } = require('./difficulty');
+
+const DEFAULT_PATH = path.join(__dirname, '..', 'data', 'exam-profiles.json');
+const DEFAULT_PROFILE = 'mdcat';
+
+const MERGED_FIELDS = ['marking', 'difficulty'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function validateProfile(id, profile) {
+  const fail = (message) => { throw new Error(`Exam profile ${id}: ${message}`); };
+
+  if (!profile.name) fail('name is required');
+  if (!Number.isInteger(profile.questionCount) || profile.questionCount < 1) fail('questionCount must be a positive integer');
+  if (!(profile.timeLimitMinutes > 0)) fail('timeLimitMinutes must be positive');
+  if (!isPlainObject(profile.marking) || ['correct', 'incorrect', 'unanswered'].some(k => typeof profile.marking[k] !== 'number')) {
+    fail('marking needs numeric correct, incorrect and unanswered values');
+  }
+  if (!isPlainObject(profile.difficulty) || Math.abs(sum(DIFFICULTY_LEVELS.map(l => profile.difficulty[l] || 0)) - 1) > 0.001) {
+    fail('difficulty shares must add up to 1');
+  }
+  if (profile.subjectWeights !== undefined) {
+    const weights = Object.values(profile.subjectWeights);
+    if (weights.some(w => typeof w !== 'number' || w < 0) || Math.abs(sum(weights) - 1) > 0.001) {
+      fail('subjectWeights must be non-negative and add up to 1');
+    }
+  }
+  if (!Array.isArray(profile.exemplars)) fail('exemplars must be a list');
+}
+
+// Resolve "extends" chains; returns { ids, byId: { uhs: { id, ...profile } } }
+function loadExamProfiles(file = DEFAULT_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const byId = {};
+
+  function resolve(id, chain = []) {
+    if (byId[id]) return byId[id];
+    if (!raw[id]) throw new Error(`Exam profile ${chain[chain.length - 1]}: extends unknown profile "${id}"`);
+    if (chain.includes(id)) throw new Error(`Exam profile ${id}: circular extends (${[...chain, id].join(' → ')})`);
+
+    const { extends: parentId, ...own } = raw[id];
+    const parent = parentId ? resolve(parentId, [...chain, id]) : {};
+    const profile = { ...parent, ...own, id };
+    for (const field of MERGED_FIELDS) {
+      if (isPlainObject(parent[field]) && isPlainObject(own[field])) profile[field] = { ...parent[field], ...own[field] };
+    }
+    if (parentId) profile.extends = parentId;
+    else delete profile.extends;
+
+    validateProfile(id, profile);
+    byId[id] = profile;
+    return profile;
+  }
+
+  Object.keys(raw).forEach(id => resolve(id));
+  if (!byId[DEFAULT_PROFILE]) throw new Error(`Exam profiles must define the default "${DEFAULT_PROFILE}" profile`);
+  return { ids: Object.keys(byId), byId };
+}
+
+// Time allowed for `questionCount` questions at the profile's pace (whole minutes, at least 5)
+function timeLimitFor(profile, questionCount) {
+  return Math.max(5, Math.round(profile.timeLimitMinutes * questionCount / profile.questionCount));
+}
+
+// Few-shot examples for the prompt, the requested subject's first
+function pickExemplars(profile, { subject, limit = 3 } = {}) {
+  const wanted = subject ? String(subject).toLowerCase() : null;
+  const matching = profile.exemplars.filter(e => wanted && String(e.subject).toLowerCase() === wanted);
+  const others = profile.exemplars.filter(e => !matching.includes(e));
+  return [...matching, ...others].slice(0, limit);
+}
+
+module.exports = { loadExamProfiles, timeLimitFor, pickExemplars, DEFAULT_PROFILE, DEFAULT_PATH };
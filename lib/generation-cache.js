@@ -0,0 +1,163 @@
+// lib/generation-cache.js - Cache of generated questions keyed by normalized request params
+// Requests that differ only in wording ("Biology" vs "biology", "medium" vs "moderate")
+// share one entry. An entry is a pool of questions generated for that request: a hit
+// reuses part of the pool and generates the rest (freshShare), then adds the new
+// questions to the pool, so repeated requests never get an identical paper. Entries
+// live in a memory LRU backed by one JSON file per key on disk, and expire after ttlMs.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createRng, shuffle } = require('./random');
+const { normalizeText } = require('./dedup');
+const { subjectKey } = require('./question-bank');
+const { normalizeDifficulty } = require('./difficulty');
+
+const POOL_FACTOR = 3; // pool holds up to 3x the requested count
+
+// The request fields that change which questions come back
+function normalizeCacheParams(params) {
+  const text = value => (value === undefined || value === null || value === '' ? null : String(value).trim().toLowerCase());
+  return {
+    testFormat: text(params.testFormat) || 'full-test',
+    subject: params.selectedSubject ? subjectKey(params.selectedSubject) || text(params.selectedSubject) : null,
+    topic: text(params.topic),
+    subtopic: text(params.subtopic),
+    questionCount: Number(params.questionCount) || 0,
+    difficulty: normalizeDifficulty(params.difficulty) || text(params.difficulty),
+    difficultyCalibration: text(params.difficultyCalibration),
+    source: text(params.source) || 'all',
+    yearRange: typeof params.yearRange === 'object' && params.yearRange
+      ? `${params.yearRange.start}-${params.yearRange.end}`
+      : text(params.yearRange) || 'all',
+    syllabusVersion: text(params.syllabusVersion),
+    provider: text(params.provider)
+  };
+}
+
+function cacheKey(params) {
+  return crypto.createHash('sha256').update(JSON.stringify(normalizeCacheParams(params))).digest('hex').slice(0, 32);
+}
+
+function createGenerationCache({ dir = null, maxEntries = 200, ttlMs = 6 * 60 * 60 * 1000, freshShare = 0.3, now = Date.now } = {}) {
+  const memory = new Map(); // insertion order = least recently used first
+  const counters = { hits: 0, misses: 0, bypasses: 0 };
+
+  const filePath = key => path.join(dir, `${key}.json`);
+
+  function remember(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > maxEntries) memory.delete(memory.keys().next().value);
+  }
+
+  function forget(key) {
+    memory.delete(key);
+    if (dir && fs.existsSync(filePath(key))) fs.unlinkSync(filePath(key));
+  }
+
+  function get(key) {
+    let entry = memory.get(key);
+    if (!entry && dir && fs.existsSync(filePath(key))) {
+      try {
+        entry = JSON.parse(fs.readFileSync(filePath(key), 'utf8'));
+      } catch (error) {
+        console.error(`⚠️ Unreadable cache entry ${key}:`, error.message);
+      }
+    }
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      forget(key);
+      return null;
+    }
+    remember(key, entry);
+    return entry;
+  }
+
+  function set(key, questions) {
+    const entry = { key, questions, expiresAt: now() + ttlMs };
+    remember(key, entry);
+    if (dir) {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpPath = `${filePath(key)}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(entry));
+      fs.renameSync(tmpPath, filePath(key));
+    }
+    return entry;
+  }
+
+  // New questions first, existing ones after; duplicates by normalized stem dropped
+  function mergePool(fresh, existing, limit) {
+    const seen = new Set();
+    return [...fresh, ...existing].filter(q => {
+      const stem = normalizeText(q.question);
+      if (seen.has(stem)) return false;
+      seen.add(stem);
+      return true;
+    }).slice(0, limit);
+  }
+
+  // Serve params through the cache; produce(params) generates questions on a miss.
+  // Resolves to { questions, cache: { status, key, reused, generated } }
+  async function generate(params, produce, { fresh = false, seed } = {}) {
+    const key = cacheKey(params);
+    const count = Number(params.questionCount) || 0;
+    const entry = fresh ? null : get(key);
+
+    if (!entry) {
+      if (fresh) counters.bypasses++;
+      else counters.misses++;
+      const questions = await produce(params);
+      // A bypass still refreshes the pool other requests draw from
+      const previous = fresh ? get(key) : null;
+      if (questions.length > 0) set(key, mergePool(questions, previous ? previous.questions : [], count * POOL_FACTOR));
+      return { questions, cache: { status: fresh ? 'bypass' : 'miss', key, reused: 0, generated: questions.length } };
+    }
+
+    counters.hits++;
+    const rng = createRng(seed === undefined ? `${Date.now()}:${Math.random()}` : `${seed}:${key}`);
+    const reuseCount = Math.min(entry.questions.length, count - Math.ceil(count * freshShare));
+    const reused = shuffle(rng, entry.questions).slice(0, reuseCount).map(q => ({ ...q }));
+
+    let generated = [];
+    if (count - reused.length > 0) {
+      try {
+        generated = await produce({ ...params, questionCount: count - reused.length });
+      } catch (error) {
+        // The cached part still makes a (shorter) paper; later stages backfill the gap
+        console.error('⚠️ Fresh generation failed on a cache hit, serving cached questions only:', error.message);
+      }
+    }
+    if (generated.length > 0) set(key, mergePool(generated, entry.questions, count * POOL_FACTOR));
+
+    return {
+      questions: [...reused, ...generated],
+      cache: { status: 'hit', key, reused: reused.length, generated: generated.length }
+    };
+  }
+
+  // Delete expired entry files (memory entries expire on their next lookup)
+  function prune() {
+    if (!dir || !fs.existsSync(dir)) return 0;
+    let removed = 0;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (entry.expiresAt > now()) continue;
+      } catch (error) {
+        // unreadable entries are removed too
+      }
+      fs.unlinkSync(path.join(dir, file));
+      removed++;
+    }
+    return removed;
+  }
+
+  function stats() {
+    return { ...counters, entries: memory.size, maxEntries, ttlMs, freshShare, persistent: !!dir };
+  }
+
+  return { generate, get, set, prune, stats };
+}
+
+module.exports = { createGenerationCache, cacheKey, normalizeCacheParams };
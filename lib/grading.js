@@ -0,0 +1,151 @@
+// lib/grading.js - Server-side grading of submitted answers against a stored paper
+// A marking scheme gives the points for a correct, incorrect and unanswered question:
+// a named preset, the paper's exam profile marking ('profile', the default), or a
+// custom { correct, incorrect, unanswered } override. Optional section weights scale
+// every question of a subject (e.g. { Biology: 2 } doubles Biology's marks). Results
+// carry per-question outcomes and per-subject, per-topic and per-difficulty breakdowns.
+
+const { subjectKey } = require('./question-bank');
+const { normalizeLevel } = require('./difficulty');
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+const MARKING_FIELDS = ['correct', 'incorrect', 'unanswered'];
+
+const MARKING_SCHEMES = {
+  standard: { name: '+1 / 0 (no negative marking)', correct: 1, incorrect: 0, unanswered: 0 },
+  'negative-quarter': { name: '+1 / -0.25 negative marking', correct: 1, incorrect: -0.25, unanswered: 0 },
+  'negative-third': { name: '+1 / -1/3 negative marking', correct: 1, incorrect: -1 / 3, unanswered: 0 },
+  'negative-one': { name: '+4 / -1 negative marking', correct: 4, incorrect: -1, unanswered: 0 }
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Build the marking for a submission. Throws an Error describing the first bad field.
+function resolveMarking({ scheme, marking, sectionWeights } = {}, profileMarking = MARKING_SCHEMES.standard) {
+  const schemeId = scheme === undefined || scheme === null || scheme === '' ? 'profile' : String(scheme).trim().toLowerCase();
+  let base;
+  if (schemeId === 'profile') {
+    base = profileMarking;
+  } else if (MARKING_SCHEMES[schemeId]) {
+    base = MARKING_SCHEMES[schemeId];
+  } else {
+    throw new Error(`Invalid scheme. Must be one of: profile, ${Object.keys(MARKING_SCHEMES).join(', ')}`);
+  }
+
+  if (marking !== undefined && (typeof marking !== 'object' || marking === null || Array.isArray(marking))) {
+    throw new Error('marking must be an object with correct, incorrect and unanswered points');
+  }
+  const points = {};
+  for (const field of MARKING_FIELDS) {
+    const value = marking && marking[field] !== undefined ? marking[field] : base[field];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`marking.${field} must be a number`);
+    }
+    points[field] = value;
+  }
+  if (points.correct <= 0) throw new Error('marking.correct must be greater than 0');
+  // A wrong or skipped answer may never earn marks, or an all-wrong paper could outscore a right one
+  if (points.incorrect > 0) throw new Error('marking.incorrect cannot be greater than 0');
+  if (points.unanswered > 0) throw new Error('marking.unanswered cannot be greater than 0');
+
+  const weights = {};
+  if (sectionWeights !== undefined) {
+    if (typeof sectionWeights !== 'object' || sectionWeights === null || Array.isArray(sectionWeights)) {
+      throw new Error('sectionWeights must be an object mapping subjects to weights');
+    }
+    for (const [subject, weight] of Object.entries(sectionWeights)) {
+      const key = subjectKey(subject);
+      if (!key) throw new Error(`Unknown subject in sectionWeights: ${subject}`);
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`sectionWeights.${subject} must be a number of at least 0`);
+      }
+      weights[key] = weight;
+    }
+  }
+
+  const custom = marking && MARKING_FIELDS.some(field => marking[field] !== undefined);
+  return { scheme: custom ? 'custom' : schemeId, ...points, sectionWeights: weights };
+}
+
+// The chosen letter for each question, from an array in paper order or an object
+// keyed by question id. Throws on anything that is not A-D or empty.
+function readAnswers(questions, answers) {
+  if (typeof answers !== 'object' || answers === null) {
+    throw new Error('answers must be an array in question order or an object keyed by question id');
+  }
+  return questions.map((question, index) => {
+    const raw = Array.isArray(answers) ? answers[index] : answers[question.id];
+    if (raw === undefined || raw === null || raw === '') return null;
+    const letter = String(raw).trim().toUpperCase();
+    if (!OPTION_LETTERS.includes(letter)) {
+      throw new Error(`Answer for question ${question.id || index + 1} must be one of ${OPTION_LETTERS.join(', ')}`);
+    }
+    return letter;
+  });
+}
+
+function emptyTally(name) {
+  return { name, total: 0, correct: 0, incorrect: 0, unanswered: 0, score: 0, maxScore: 0 };
+}
+
+function finishTally(tally) {
+  return {
+    ...tally,
+    score: round(tally.score),
+    maxScore: round(tally.maxScore),
+    percentage: tally.maxScore > 0 ? round((tally.score / tally.maxScore) * 100, 1) : 0
+  };
+}
+
+// Grade answers for a paper's questions with a marking from resolveMarking()
+function gradeAnswers(questions, answers, marking) {
+  const chosen = readAnswers(questions, answers);
+  const overall = emptyTally('overall');
+  const groups = { subject: new Map(), topic: new Map(), difficulty: new Map() };
+
+  const tallyFor = (kind, name) => {
+    if (!groups[kind].has(name)) groups[kind].set(name, emptyTally(name));
+    return groups[kind].get(name);
+  };
+
+  const results = questions.map((question, index) => {
+    const answer = chosen[index];
+    const correctAnswer = String(question.answer || '').trim().toUpperCase();
+    const status = answer === null ? 'unanswered' : answer === correctAnswer ? 'correct' : 'incorrect';
+    const key = subjectKey(question.subject);
+    const weight = key && marking.sectionWeights[key] !== undefined ? marking.sectionWeights[key] : 1;
+    const points = weight * marking[status];
+    const maxPoints = weight * marking.correct;
+
+    const subject = question.subject || 'Unknown';
+    const tallies = [
+      overall,
+      tallyFor('subject', subject),
+      tallyFor('topic', `${subject}: ${question.topic || 'General'}`),
+      tallyFor('difficulty', normalizeLevel(question.difficulty) || 'unknown')
+    ];
+    tallies.forEach(tally => {
+      tally.total++;
+      tally[status]++;
+      tally.score += points;
+      tally.maxScore += maxPoints;
+    });
+
+    return { id: question.id || index + 1, subject: question.subject, topic: question.topic, answer, correctAnswer, status, points: round(points) };
+  });
+
+  const totals = finishTally(overall);
+  delete totals.name;
+  return {
+    ...totals,
+    marking,
+    breakdown: {
+      subject: Array.from(groups.subject.values()).map(finishTally),
+      topic: Array.from(groups.topic.values()).map(finishTally),
+      difficulty: Array.from(groups.difficulty.values()).map(finishTally)
+    },
+    questions: results
+  };
+}
+
+module.exports = { MARKING_SCHEMES, resolveMarking, gradeAnswers };
@@ -0,0 +1,127 @@
+// lib/jobs.js - In-memory store for background generation jobs
+// A job runs a generation function, collects the progress events it reports and
+// keeps the finished paper around for `ttlMs` so a client that refreshed or lost
+// its connection can pick the result up again.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const MAX_EVENTS = 200;
+
+function createJobStore({ ttlMs = DEFAULT_TTL_MS } = {}) {
+  const jobs = new Map();
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // Public view of a job (no internal timers)
+  function snapshot(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      progress: {
+        ...job.progress,
+        subjects: { ...job.progress.subjects },
+        events: job.progress.events.slice()
+      },
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt
+    };
+  }
+
+  function touch(job) {
+    job.updatedAt = new Date().toISOString();
+  }
+
+  function scheduleExpiry(job) {
+    const timer = setTimeout(() => jobs.delete(job.id), ttlMs);
+    if (timer.unref) timer.unref();
+  }
+
+  // Fold a progress event into the job's running totals
+  function applyEvent(job, event) {
+    const progress = job.progress;
+    if (event.type === 'questions' || event.type === 'bank' || event.type === 'past-papers') {
+      progress.generated = Math.min(progress.total, progress.generated + (event.count || 0));
+      if (event.subjects) {
+        for (const [subject, count] of Object.entries(event.subjects)) {
+          progress.subjects[subject] = (progress.subjects[subject] || 0) + count;
+        }
+      } else if (event.subject) {
+        progress.subjects[event.subject] = (progress.subjects[event.subject] || 0) + (event.count || 0);
+      }
+    }
+    progress.percent = progress.total > 0 ? Math.round((progress.generated / progress.total) * 100) : 0;
+
+    const entry = { ...event, at: new Date().toISOString() };
+    progress.events.push(entry);
+    if (progress.events.length > MAX_EVENTS) progress.events.shift();
+    touch(job);
+    emitter.emit(job.id, { type: 'progress', event: entry, job: snapshot(job) });
+  }
+
+  // Start `run(onProgress)` in the background; returns the queued job
+  function create({ total = 0, params = {} } = {}, run) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      status: 'queued',
+      params,
+      progress: { generated: 0, total, percent: 0, subjects: {}, events: [] },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      completedAt: null
+    };
+    touch(job);
+    jobs.set(job.id, job);
+
+    setImmediate(async () => {
+      job.status = 'running';
+      touch(job);
+      emitter.emit(job.id, { type: 'status', job: snapshot(job) });
+
+      try {
+        job.result = await run(event => applyEvent(job, event));
+        job.status = 'completed';
+        // Progress counts raw provider output; report what actually made it into the paper
+        if (job.result && Array.isArray(job.result.questions)) job.progress.generated = job.result.questions.length;
+        job.progress.percent = 100;
+      } catch (error) {
+        job.status = 'failed';
+        job.error = { message: error.message, status: error.status || 500 };
+      }
+
+      job.completedAt = new Date().toISOString();
+      touch(job);
+      emitter.emit(job.id, { type: job.status, job: snapshot(job) });
+      scheduleExpiry(job);
+    });
+
+    return snapshot(job);
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    return job ? snapshot(job) : null;
+  }
+
+  // Listen for a job's updates; returns an unsubscribe function
+  function subscribe(id, listener) {
+    emitter.on(id, listener);
+    return () => emitter.off(id, listener);
+  }
+
+  function stats() {
+    const byStatus = {};
+    for (const job of jobs.values()) byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    return { total: jobs.size, byStatus };
+  }
+
+  return { create, get, subscribe, stats };
+}
+
+module.exports = { createJobStore, DEFAULT_TTL_MS };
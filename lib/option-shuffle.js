@@ -0,0 +1,114 @@
+// lib/option-shuffle.js - Seeded option shuffling with a balanced answer key
+// Models put the correct option at "B" far too often. Before a paper is served every
+// question's options are shuffled so the keys across the paper come out close to
+// 25% A/B/C/D, and letter references in the explanation follow the options around.
+// The same seed and questions always give the same paper.
+
+const { createRng, shuffle } = require('./random');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+// Options whose meaning depends on their position ("All of the above", "Both A and B")
+const POSITIONAL_OPTION = /\b(all|none|both|neither) of the (above|options)\b|\b(both|only|neither)\s+[A-D]\s+(and|or|nor)\s+[A-D]\b|^\s*[A-D]\s+(and|&)\s+[A-D]\s*$/i;
+
+// "option B", "answer is (C)", "options A and C" -> remapped through `mapping`.
+// Letters are matched upper-case only so "the answer is a ..." is left alone. Outside
+// option/answer/choice wording a letter is only remapped when it reads as an option:
+// at the start of a sentence when bracketed or followed by a verb ("(C) is correct",
+// "B is correct because", "C) fails"), mid-sentence only when bracketed and followed
+// by a verdict ("so (D) is correct"). "Carbon (C)", "amperes (A)" and the article
+// "A" keep their letters.
+const LETTER_REFERENCE = /(\b(?:[Oo]ptions?|[Aa]nswers?|[Cc]hoices?)\s*(?:is\s*|:\s*)?|^|[.!?;:]\s+|\n\s*|\s)(\(?[A-D]\)?(?:\s*(?:,|and|or|&)\s*\(?[A-D]\)?)*)(?![\w'])/g;
+const SENTENCE_VERB = /^\s+(?:is|isn't|are|aren't|was|were|would|cannot|can't|does|doesn't|fails?|gives|describes|states|shows)\b/;
+const VERDICT = /^\s+(?:is|are)\s+(?:the\s+)?(?:correct|incorrect|wrong|right|true|false|answer|best)\b/;
+
+function remapExplanation(explanation, mapping) {
+  if (typeof explanation !== 'string') return explanation;
+  return explanation.replace(LETTER_REFERENCE, (match, prefix, letters, offset) => {
+    const rest = explanation.slice(offset + match.length);
+    const bracketed = /[()]/.test(letters);
+    const isReference = /[A-Za-z]/.test(prefix) ||
+      (/^$|[.!?;:\n]/.test(prefix) ? bracketed || SENTENCE_VERB.test(rest) : letters.startsWith('(') && VERDICT.test(rest));
+    return isReference ? prefix + letters.replace(/[A-D]/g, letter => mapping[letter]) : match;
+  });
+}
+
+function remapVerification(verification, mapping) {
+  if (!verification) return verification;
+  const remapped = { ...verification };
+  for (const field of ['solvedAnswer', 'explanationAnswer', 'originalAnswer']) {
+    if (remapped[field]) remapped[field] = mapping[remapped[field]];
+  }
+  if (Array.isArray(remapped.votes)) remapped.votes = remapped.votes.map(vote => (vote ? mapping[vote] : vote));
+  return remapped;
+}
+
+function canShuffle(question) {
+  return Array.isArray(question.options) &&
+    question.options.length === LETTERS.length &&
+    LETTERS.includes(question.answer) &&
+    !question.options.some(option => POSITIONAL_OPTION.test(String(option)));
+}
+
+// Move the correct option to `targetLetter` and shuffle the rest around it
+function placeAnswer(rng, question, targetLetter) {
+  const correctIndex = LETTERS.indexOf(question.answer);
+  const targetIndex = LETTERS.indexOf(targetLetter);
+  const others = shuffle(rng, LETTERS.map((_, i) => i).filter(i => i !== correctIndex));
+
+  const order = []; // order[newIndex] = oldIndex
+  for (let i = 0; i < LETTERS.length; i++) {
+    order.push(i === targetIndex ? correctIndex : others.shift());
+  }
+
+  const mapping = {}; // old letter -> new letter
+  order.forEach((oldIndex, newIndex) => { mapping[LETTERS[oldIndex]] = LETTERS[newIndex]; });
+
+  return {
+    ...question,
+    options: order.map(oldIndex => question.options[oldIndex]),
+    answer: targetLetter,
+    explanation: remapExplanation(question.explanation, mapping),
+    ...(question.verification ? { verification: remapVerification(question.verification, mapping) } : {})
+  };
+}
+
+// Shuffle every question's options so the answer key is balanced across the paper.
+// Questions with positional options ("All of the above") keep their order but still
+// count toward the balance.
+function balanceAnswerKey(questions, { seed } = {}) {
+  const rng = createRng(seed === undefined ? Date.now() : seed);
+
+  const fixedCounts = { A: 0, B: 0, C: 0, D: 0 };
+  questions.filter(q => !canShuffle(q)).forEach(q => {
+    if (q.answer in fixedCounts) fixedCounts[q.answer]++;
+  });
+
+  // Each letter's share of the whole paper, minus what fixed questions already use
+  const shuffleable = questions.filter(canShuffle).length;
+  const total = shuffleable + Object.values(fixedCounts).reduce((sum, n) => sum + n, 0);
+  const remainderOrder = shuffle(rng, LETTERS);
+  const targets = {};
+  LETTERS.forEach(letter => { targets[letter] = Math.floor(total / 4); });
+  remainderOrder.slice(0, total % 4).forEach(letter => { targets[letter]++; });
+
+  const slots = [];
+  LETTERS.forEach(letter => {
+    for (let i = fixedCounts[letter]; i < targets[letter]; i++) slots.push(letter);
+  });
+  // Fixed questions can overshoot a letter; top up from the shuffled order
+  while (slots.length < shuffleable) slots.push(remainderOrder[slots.length % LETTERS.length]);
+  const assigned = shuffle(rng, slots).slice(0, shuffleable);
+
+  return questions.map(question => (canShuffle(question) ? placeAnswer(rng, question, assigned.shift()) : question));
+}
+
+function answerDistribution(questions) {
+  const counts = { A: 0, B: 0, C: 0, D: 0 };
+  questions.forEach(q => {
+    if (q.answer in counts) counts[q.answer]++;
+  });
+  return counts;
+}
+
+module.exports = { balanceAnswerKey, answerDistribution, remapExplanation };
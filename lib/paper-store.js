@@ -0,0 +1,131 @@
+// lib/paper-store.js - Generated papers saved under shareable paper IDs
+// Every finished paper is stored with its shuffle seed, the request parameters and
+// its questions in final order, so GET /api/papers/:id (and /?paper=<id> in the
+// browser) hands a whole class exactly the same paper. Papers are kept as one JSON
+// file per ID under `dir` (read back on demand), or only in memory when no dir is given.
+// Graded submissions for a paper are kept next to it in <id>.submissions.json.
+// A shared paper is served without its answer key (withoutAnswerKey) to anyone but
+// its creator until they have submitted an attempt, and so are the correct answers in
+// its graded submissions (withoutCorrectAnswers).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{6,32}$/;
+
+// Request fields worth keeping with a paper (no client identity or callbacks)
+const STORED_PARAMS = [
+  'testFormat', 'selectedSubject', 'topic', 'subtopic', 'questionCount', 'source', 'yearRange',
+  'difficulty', 'difficultyCalibration', 'mode', 'syllabusVersion', 'provider', 'seed'
+];
+
+// Question fields that give the answer away
+const ANSWER_KEY_FIELDS = ['answer', 'explanation', 'verification'];
+
+function isPaperId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// A paper's questions with the answer key taken out, for students sitting it
+function withoutAnswerKey(paper) {
+  return {
+    ...paper,
+    questions: paper.questions.map(question => Object.fromEntries(
+      Object.entries(question).filter(([field]) => !ANSWER_KEY_FIELDS.includes(field))
+    ))
+  };
+}
+
+// Per question, what withoutAnswerKey() took out: released once an attempt is graded
+function answerKey(paper) {
+  return paper.questions.map(question => Object.fromEntries(
+    ANSWER_KEY_FIELDS.filter(field => question[field] !== undefined).map(field => [field, question[field]])
+  ));
+}
+
+// A graded submission without each question's correct answer, for callers who may
+// not see the answer key yet (score and breakdown stay)
+function withoutCorrectAnswers(submission) {
+  return {
+    ...submission,
+    questions: submission.questions.map(question => ({ ...question, correctAnswer: undefined }))
+  };
+}
+
+function createPaperStore({ dir = null } = {}) {
+  const papers = new Map();
+  const submissions = new Map();
+
+  const filePath = id => path.join(dir, `${id}.json`);
+  const submissionsPath = id => path.join(dir, `${id}.submissions.json`);
+
+  function writeJson(file, data) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, file);
+  }
+
+  function newId() {
+    let id;
+    do {
+      id = crypto.randomBytes(6).toString('base64url');
+    } while (dir ? fs.existsSync(filePath(id)) : papers.has(id));
+    return id;
+  }
+
+  // Save a finished paper; returns the stored record. createdBy: the signed-in
+  // user who generated it, who may always see its answer key.
+  function save({ seed, params = {}, questions, metadata = {}, createdBy = null }) {
+    const paper = {
+      id: newId(),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      seed,
+      params: Object.fromEntries(STORED_PARAMS.filter(key => params[key] !== undefined).map(key => [key, params[key]])),
+      questions,
+      metadata
+    };
+    if (dir) {
+      writeJson(filePath(paper.id), paper);
+    } else {
+      papers.set(paper.id, paper);
+    }
+    return paper;
+  }
+
+  function get(id) {
+    if (!isPaperId(id)) return null;
+    if (!dir) return papers.get(id) || null;
+    return fs.existsSync(filePath(id)) ? JSON.parse(fs.readFileSync(filePath(id), 'utf8')) : null;
+  }
+
+  function listSubmissions(paperId) {
+    if (!isPaperId(paperId)) return [];
+    if (!dir) return submissions.get(paperId) || [];
+    return fs.existsSync(submissionsPath(paperId)) ? JSON.parse(fs.readFileSync(submissionsPath(paperId), 'utf8')) : [];
+  }
+
+  // Record a graded submission for a saved paper; returns it with its id and time
+  function addSubmission(paperId, result) {
+    const submission = {
+      id: crypto.randomBytes(6).toString('base64url'),
+      paperId,
+      submittedAt: new Date().toISOString(),
+      ...result
+    };
+    const list = [...listSubmissions(paperId), submission];
+    if (dir) writeJson(submissionsPath(paperId), list);
+    else submissions.set(paperId, list);
+    return submission;
+  }
+
+  function getSubmission(paperId, submissionId) {
+    return listSubmissions(paperId).find(submission => submission.id === submissionId) || null;
+  }
+
+  return { save, get, addSubmission, listSubmissions, getSubmission, isPaperId };
+}
+
+module.exports = { createPaperStore, isPaperId, withoutAnswerKey, answerKey, withoutCorrectAnswers };
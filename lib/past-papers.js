@@ -0,0 +1,100 @@
+// lib/past-papers.js - Past-paper dataset loader shared by server.js and the validator
+// Papers live in data/past-papers/<university>/<year>.json as
+// { "university": "UHS", "year": 2024, "questions": [ ... ] }
+// A paper with "sample": true holds questions written in that paper's style rather
+// than the official ones: its questions get origin 'sample' instead of 'past-paper', so
+// they are never served as real past-paper questions or trusted without verification.
+
+const fs = require('fs');
+const path = require('path');
+const { createRng, shuffle } = require('./random');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'past-papers');
+
+const SUBJECT_KEYS = {
+  Biology: 'biology',
+  Chemistry: 'chemistry',
+  Physics: 'physics',
+  English: 'english',
+  'Logical Reasoning': 'logical'
+};
+
+// Read every paper file; questions get "UNIVERSITY YEAR" sources like the validator expects
+function loadPastPapers(dir = DEFAULT_DIR) {
+  const papers = [];
+  if (!fs.existsSync(dir)) return papers;
+
+  for (const universityDir of fs.readdirSync(dir).sort()) {
+    const fullDir = path.join(dir, universityDir);
+    if (!fs.statSync(fullDir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(fullDir).filter(f => f.endsWith('.json')).sort()) {
+      const filePath = path.join(fullDir, file);
+      const paper = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const university = String(paper.university || universityDir).toUpperCase();
+      const year = Number(paper.year || path.basename(file, '.json'));
+
+      const sample = paper.sample === true;
+
+      papers.push({
+        university,
+        year,
+        sample,
+        file: path.relative(dir, filePath),
+        questions: (paper.questions || []).map(q => ({
+          ...q,
+          source: `${university} ${year}`,
+          year,
+          origin: sample ? 'sample' : 'past-paper'
+        }))
+      });
+    }
+  }
+
+  return papers;
+}
+
+// Flatten papers into one question list
+function loadPastPaperQuestions(dir = DEFAULT_DIR) {
+  return loadPastPapers(dir).flatMap(paper => paper.questions);
+}
+
+// Group questions by syllabus subject key ({ biology: [...], chemistry: [...] })
+function groupBySubject(questions) {
+  const groups = {};
+  for (const question of questions) {
+    const key = SUBJECT_KEYS[question.subject] || String(question.subject || 'unknown').toLowerCase();
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(question);
+  }
+  return groups;
+}
+
+// Pick matching questions at random.
+// criteria: { subject, topic, source, difficulty, yearRange: { start, end } }
+function samplePastPaperQuestions(questions, criteria, count, { seed } = {}) {
+  const subject = criteria.subject ? String(criteria.subject).toLowerCase() : null;
+  const topic = criteria.topic ? String(criteria.topic).toLowerCase() : null;
+  const source = criteria.source && criteria.source !== 'all' ? String(criteria.source).toUpperCase() : null;
+  const difficulty = ['easy', 'moderate', 'difficult'].includes(criteria.difficulty) ? criteria.difficulty : null;
+
+  const matches = questions.filter(q => {
+    if (subject && (SUBJECT_KEYS[q.subject] || '') !== subject && String(q.subject).toLowerCase() !== subject) return false;
+    if (topic && !String(q.topic || '').toLowerCase().includes(topic) && !topic.includes(String(q.topic || '').toLowerCase())) return false;
+    if (source && !q.source.startsWith(`${source} `)) return false;
+    if (difficulty && q.difficulty !== difficulty) return false;
+    if (criteria.yearRange && (q.year < criteria.yearRange.start || q.year > criteria.yearRange.end)) return false;
+    return true;
+  });
+
+  const rng = createRng(seed === undefined ? Date.now() : seed);
+  return shuffle(rng, matches).slice(0, count);
+}
+
+module.exports = {
+  loadPastPapers,
+  loadPastPaperQuestions,
+  groupBySubject,
+  samplePastPaperQuestions,
+  DEFAULT_DIR
+};
@@ -0,0 +1,303 @@
+// lib/pdf-export.js - Printable PDFs of a saved paper and its answer key
+// Built entirely offline with pdfkit. The paper PDF has an MDCAT-style header
+// (exam, time allowed, marking, candidate fields, instructions) followed by numbered
+// MCQs grouped into subject sections, in one or two columns. The answer-key PDF lists
+// every key in a compact grid and then each question's answer with its explanation.
+// The built-in PDF fonts only cover Windows-1252, so common science symbols are spelled
+// out (→ becomes ->, α becomes alpha) unless a Unicode TTF font is supplied (fontPath).
+
+const PDFDocument = require('pdfkit');
+const { stripLetter } = require('./question-export');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+const FONT_SIZE_RANGE = { min: 8, max: 16 };
+const COLUMN_GAP = 20;
+const MUTED = '#666666';
+
+const SYMBOLS = {
+  '→': '->', '←': '<-', '⇌': '<=>', '⇄': '<=>', '↔': '<->', '⟶': '->', '↑': '(g)', '↓': '(s)',
+  '≥': '>=', '≤': '<=', '≠': '!=', '≈': '~', '∝': 'proportional to', '∞': 'infinity', '√': 'sqrt',
+  '−': '-', '∆': 'delta ', 'Δ': 'Delta ', 'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta',
+  'ε': 'epsilon', 'η': 'eta', 'θ': 'theta', 'λ': 'lambda', 'π': 'pi', 'ρ': 'rho', 'σ': 'sigma',
+  'τ': 'tau', 'φ': 'phi', 'ω': 'omega', 'Ω': 'ohm', 'Σ': 'Sum'
+};
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁺': '+', '⁻': '-' };
+// Superscript runs that need more than the ¹ ² ³ Windows-1252 has: 10⁻⁴ -> 10^-4
+const SUPERSCRIPT_RUN = /[⁰¹²³⁴-⁹⁺⁻]*[⁰⁴-⁹⁺⁻][⁰¹²³⁴-⁹⁺⁻]*/g;
+// Characters above U+00FF that Windows-1252 still has
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+// Text the standard fonts can draw; unknown characters become "?"
+function toWinAnsi(text) {
+  const plain = String(text === undefined || text === null ? '' : text)
+    .replace(SUPERSCRIPT_RUN, run => `^${Array.from(run).map(char => SUPERSCRIPTS[char]).join('')}`);
+  return Array.from(plain).map(char => {
+    if (SYMBOLS[char]) return SYMBOLS[char];
+    const subscript = SUBSCRIPT_DIGITS.indexOf(char);
+    if (subscript !== -1) return String(subscript);
+    return char.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.has(char) ? char : '?';
+  }).join('');
+}
+
+// Validate export options from a query string or caller; throws an Error on bad values
+function normalizeExportOptions({ fontSize, columns, showMeta, fontPath = null } = {}) {
+  const size = fontSize === undefined || fontSize === '' ? 11 : Number(fontSize);
+  if (!Number.isFinite(size) || size < FONT_SIZE_RANGE.min || size > FONT_SIZE_RANGE.max) {
+    throw new Error(`fontSize must be a number from ${FONT_SIZE_RANGE.min} to ${FONT_SIZE_RANGE.max}`);
+  }
+  const columnCount = columns === undefined || columns === '' ? 1 : Number(columns);
+  if (columnCount !== 1 && columnCount !== 2) throw new Error('columns must be 1 or 2');
+  const meta = showMeta === undefined || showMeta === '' ? true : !['false', '0', 'no', 'off', false].includes(showMeta);
+  return { fontSize: size, columns: columnCount, showMeta: meta, fontPath };
+}
+
+// Fonts and text conversion for a document: a Unicode TTF when given, else Helvetica
+function setupFonts(doc, fontPath) {
+  if (fontPath) {
+    doc.registerFont('body', fontPath);
+    doc.registerFont('bold', fontPath);
+    return { body: 'body', bold: 'bold', text: value => String(value === undefined || value === null ? '' : value) };
+  }
+  return { body: 'Helvetica', bold: 'Helvetica-Bold', text: toWinAnsi };
+}
+
+// Flow blocks down one or two columns. reserve(height) keeps a block together by
+// moving to the next column (or page) when it would not fit in the current one.
+function createColumnLayout(doc, columns) {
+  const left = doc.page.margins.left;
+  const width = (doc.page.width - left - doc.page.margins.right - COLUMN_GAP * (columns - 1)) / columns;
+  let column = 0;
+  let top = doc.y;
+
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  function nextColumn() {
+    if (column < columns - 1) {
+      column++;
+    } else {
+      doc.addPage();
+      column = 0;
+      top = doc.page.margins.top;
+    }
+    doc.y = top;
+  }
+
+  return {
+    width,
+    x: (indent = 0) => left + column * (width + COLUMN_GAP) + indent,
+    reserve(height) {
+      if (doc.y + height > bottom() && doc.y > top) nextColumn();
+    }
+  };
+}
+
+// Collect a finished document into a Buffer
+function toBuffer(doc, draw) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      draw();
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function formatMarking(marking) {
+  if (!marking) return null;
+  const points = value => (value > 0 ? `+${value}` : String(Math.round(value * 100) / 100));
+  return `${points(marking.correct)} correct, ${points(marking.incorrect)} wrong, ${points(marking.unanswered)} unanswered`;
+}
+
+function paperTitle(paper) {
+  const profile = paper.metadata && paper.metadata.examProfile;
+  return profile && profile.name ? profile.name : 'MDCAT';
+}
+
+function paperScope(paper) {
+  const params = paper.params || {};
+  if (params.testFormat === 'topic-test' && params.topic) return `Topic Test: ${params.topic}`;
+  if (params.testFormat === 'subject-test' && params.selectedSubject) return `Subject Test: ${params.selectedSubject}`;
+  if (params.testFormat === 'adaptive') return 'Adaptive Practice Set';
+  return 'Full-Length Practice Paper';
+}
+
+function drawHeader(doc, paper, fonts, { fontSize, heading }) {
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const left = doc.page.margins.left;
+  const profile = (paper.metadata && paper.metadata.examProfile) || {};
+
+  doc.font(fonts.bold).fontSize(fontSize + 7).text(fonts.text(paperTitle(paper)), left, doc.y, { width, align: 'center' });
+  doc.font(fonts.body).fontSize(fontSize + 2).text(fonts.text(heading || paperScope(paper)), { width, align: 'center' });
+  doc.moveDown(0.5);
+
+  const details = [
+    `Total Questions: ${paper.questions.length}`,
+    profile.timeLimitMinutes ? `Time Allowed: ${profile.timeLimitMinutes} minutes` : null,
+    profile.marking ? `Marking: ${formatMarking(profile.marking)}` : null
+  ].filter(Boolean).join('     ');
+  doc.fontSize(fontSize - 1).fillColor(MUTED).text(fonts.text(details), { width, align: 'center' });
+  doc.text(fonts.text(`Paper ID: ${paper.id}     Generated: ${String(paper.createdAt || '').slice(0, 10)}`), { width, align: 'center' });
+  doc.fillColor('black');
+  doc.moveDown(0.8);
+}
+
+function drawRule(doc) {
+  const y = doc.y;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(0.7).stroke();
+  doc.moveDown(0.8);
+}
+
+// Group questions into consecutive subject sections, keeping paper order and numbering
+function subjectSections(questions) {
+  const sections = [];
+  questions.forEach((question, index) => {
+    const subject = question.subject || 'General';
+    const last = sections[sections.length - 1];
+    const entry = { question, number: question.id || index + 1 };
+    if (last && last.subject === subject) last.entries.push(entry);
+    else sections.push({ subject, entries: [entry] });
+  });
+  return sections;
+}
+
+function metaLine(question) {
+  return [question.source, question.year, question.difficulty].filter(Boolean).join(' · ');
+}
+
+function addPageNumbers(doc, fonts, paper, fontSize) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font(fonts.body).fontSize(fontSize - 2).fillColor(MUTED).text(
+      fonts.text(`${paperTitle(paper)} · ${paper.id} · Page ${i + 1} of ${range.count}`),
+      doc.page.margins.left,
+      doc.page.height - bottomMargin / 2,
+      { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.fillColor('black');
+}
+
+// The question paper: header, candidate fields, instructions and sectioned MCQs
+function renderPaperPdf(paper, options = {}) {
+  const { fontSize, columns, showMeta, fontPath } = normalizeExportOptions(options);
+  const doc = new PDFDocument({ size: 'A4', margin: 48, bufferPages: true, info: { Title: `${paperTitle(paper)} ${paper.id}` } });
+  const fonts = setupFonts(doc, fontPath);
+
+  return toBuffer(doc, () => {
+    drawHeader(doc, paper, fonts, { fontSize });
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    doc.font(fonts.body).fontSize(fontSize).text('Name: ______________________________     Roll No: ________________', doc.page.margins.left, doc.y, { width });
+    doc.moveDown(0.6);
+    doc.fontSize(fontSize - 1).text(fonts.text(
+      'Instructions: Each question has four options with one correct answer. Choose the single best option and mark it on your answer sheet.'
+    ), { width });
+    doc.moveDown(0.6);
+    drawRule(doc);
+
+    const layout = createColumnLayout(doc, columns);
+    const optionIndent = fontSize * 1.6;
+
+    for (const section of subjectSections(paper.questions)) {
+      const title = fonts.text(`${section.subject.toUpperCase()} (${section.entries.length} question${section.entries.length === 1 ? '' : 's'})`);
+      doc.font(fonts.bold).fontSize(fontSize + 1);
+      layout.reserve(doc.heightOfString(title, { width: layout.width }) * 3);
+      doc.text(title, layout.x(), doc.y, { width: layout.width });
+      doc.moveDown(0.4);
+
+      for (const { question, number } of section.entries) {
+        const stem = fonts.text(`${number}. ${question.question}`);
+        const optionLines = (question.options || []).slice(0, 4).map((option, i) => fonts.text(`${LETTERS[i]})  ${stripLetter(option)}`));
+        const meta = showMeta ? fonts.text(metaLine(question)) : '';
+
+        doc.font(fonts.body).fontSize(fontSize);
+        const optionWidth = layout.width - optionIndent;
+        const height = doc.heightOfString(stem, { width: layout.width }) +
+          optionLines.reduce((sum, line) => sum + doc.heightOfString(line, { width: optionWidth }) + 2, 0) +
+          (meta ? doc.fontSize(fontSize - 2).heightOfString(meta, { width: layout.width }) : 0) + fontSize;
+        layout.reserve(height);
+
+        doc.font(fonts.bold).fontSize(fontSize).text(stem, layout.x(), doc.y, { width: layout.width });
+        doc.moveDown(0.2);
+        doc.font(fonts.body);
+        optionLines.forEach(line => {
+          doc.text(line, layout.x(optionIndent), doc.y, { width: optionWidth });
+          doc.y += 2;
+        });
+        if (meta) doc.fontSize(fontSize - 2).fillColor(MUTED).text(meta, layout.x(optionIndent), doc.y, { width: optionWidth }).fillColor('black');
+        doc.fontSize(fontSize).moveDown(0.7);
+      }
+      doc.moveDown(0.3);
+    }
+
+    addPageNumbers(doc, fonts, paper, fontSize);
+  });
+}
+
+// The answer key: a compact key grid, then every answer with its explanation
+function renderAnswerKeyPdf(paper, options = {}) {
+  const { fontSize, columns, showMeta, fontPath } = normalizeExportOptions(options);
+  const doc = new PDFDocument({ size: 'A4', margin: 48, bufferPages: true, info: { Title: `${paperTitle(paper)} ${paper.id} answer key` } });
+  const fonts = setupFonts(doc, fontPath);
+
+  return toBuffer(doc, () => {
+    drawHeader(doc, paper, fonts, { fontSize, heading: `Answer Key & Explanations - ${paperScope(paper)}` });
+    drawRule(doc);
+
+    // Key grid: ten answers per row
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const cellWidth = width / 10;
+    doc.font(fonts.bold).fontSize(fontSize + 1).text('Answer Key', left, doc.y, { width });
+    doc.moveDown(0.4);
+    doc.font(fonts.body).fontSize(fontSize);
+    for (let start = 0; start < paper.questions.length; start += 10) {
+      if (doc.y + fontSize * 2 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+      const rowY = doc.y;
+      paper.questions.slice(start, start + 10).forEach((question, i) => {
+        doc.text(`${question.id || start + i + 1}. ${question.answer}`, left + i * cellWidth, rowY, { width: cellWidth, lineBreak: false });
+      });
+      doc.x = left;
+      doc.y = rowY + fontSize * 1.6;
+    }
+    doc.moveDown(0.8);
+    drawRule(doc);
+
+    doc.font(fonts.bold).fontSize(fontSize + 1).text('Explanations', left, doc.y, { width });
+    doc.moveDown(0.4);
+    const layout = createColumnLayout(doc, columns);
+
+    paper.questions.forEach((question, index) => {
+      const number = question.id || index + 1;
+      const letterIndex = LETTERS.indexOf(String(question.answer || '').toUpperCase());
+      const answerText = letterIndex === -1 ? '' : stripLetter((question.options || [])[letterIndex]);
+      const title = fonts.text(`${number}. ${question.answer}) ${answerText}`);
+      const explanation = fonts.text(question.explanation || 'No explanation provided.');
+      const meta = fonts.text([question.subject, question.topic, showMeta ? metaLine(question) : null].filter(Boolean).join(' · '));
+
+      doc.font(fonts.bold).fontSize(fontSize);
+      const height = doc.heightOfString(title, { width: layout.width }) +
+        doc.font(fonts.body).heightOfString(explanation, { width: layout.width }) +
+        (meta ? doc.fontSize(fontSize - 2).heightOfString(meta, { width: layout.width }) : 0) + fontSize;
+      layout.reserve(height);
+
+      doc.font(fonts.bold).fontSize(fontSize).text(title, layout.x(), doc.y, { width: layout.width });
+      doc.font(fonts.body).text(explanation, layout.x(), doc.y, { width: layout.width });
+      if (meta) doc.fontSize(fontSize - 2).fillColor(MUTED).text(meta, layout.x(), doc.y, { width: layout.width }).fillColor('black');
+      doc.fontSize(fontSize).moveDown(0.7);
+    });
+
+    addPageNumbers(doc, fonts, paper, fontSize);
+  });
+}
+
+module.exports = { renderPaperPdf, renderAnswerKeyPdf, normalizeExportOptions, toWinAnsi };
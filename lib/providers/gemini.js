@@ -0,0 +1,117 @@
+// lib/providers/gemini.js - Google Gemini REST provider
+
+const { createResponseError } = require('./http-error');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+const SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
+// Gemini's schema dialect is an OpenAPI subset with upper-case type names
+function toGeminiSchema(schema) {
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'type') converted.type = String(value).toUpperCase();
+    else if (key === 'items') converted.items = toGeminiSchema(value);
+    else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === 'minItems' || key === 'maxItems') converted[key] = String(value);
+    else converted[key] = value;
+  }
+  return converted;
+}
+
+function createGeminiProvider({ fetch, apiKey, model = DEFAULT_MODEL, timeoutMs = 45000 }) {
+  return {
+    name: 'gemini',
+    label: `Gemini ${model}`,
+    model,
+    requiresApiKey: true,
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    // Send the prompt and return the raw generated text; options.responseSchema
+    // (JSON Schema) constrains the output when given
+    async generate(prompt, options = {}) {
+      if (!apiKey) {
+        throw new Error('GEMINI_API_KEY is required but not configured');
+      }
+
+      const requestBody = {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: 0.1, // Lower for more consistent topic/subject adherence
+          topK: 20,
+          topP: 0.8,
+          maxOutputTokens: 8192,
+          responseMimeType: 'application/json',
+          ...(options.responseSchema ? { responseSchema: toGeminiSchema(options.responseSchema) } : {})
+        },
+        safetySettings: SAFETY_SETTINGS
+      };
+
+      const apiUrl = `${GEMINI_BASE_URL}/${model}:generateContent?key=${apiKey}`;
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(apiUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(requestBody),
+          signal: controller.signal
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`API request timeout after ${Math.round(timeoutMs / 1000)} seconds`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let errorMessage = `API request failed with status ${response.status}`;
+
+        try {
+          const errorData = JSON.parse(errorText);
+          if (errorData.error && errorData.error.message) {
+            errorMessage = `Gemini API error: ${errorData.error.message}`;
+          }
+        } catch (e) {
+          errorMessage = `Gemini API error: ${errorText.substring(0, 200)}`;
+        }
+
+        console.error(`❌ API Error: ${errorMessage}`);
+        throw createResponseError(errorMessage, response);
+      }
+
+      const data = await response.json();
+
+      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+        throw new Error('Invalid response format from Gemini API');
+      }
+
+      const generatedText = data.candidates[0].content.parts?.[0]?.text || '';
+      if (!generatedText) {
+        throw new Error('Empty response from Gemini API');
+      }
+
+      return generatedText;
+    }
+  };
+}
+
+module.exports = { createGeminiProvider, DEFAULT_MODEL };
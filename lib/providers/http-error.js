@@ -0,0 +1,25 @@
+// lib/providers/http-error.js - Errors for failed provider HTTP responses
+// Carries the provider's response status (upstreamStatus, never our own response
+// status) and any Retry-After so the scheduler can back off.
+
+function retryAfterMs(response) {
+  const header = response.headers && typeof response.headers.get === 'function'
+    ? response.headers.get('retry-after')
+    : null;
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function createResponseError(message, response) {
+  const error = new Error(message);
+  error.upstreamStatus = response.status;
+  error.retryAfterMs = retryAfterMs(response);
+  return error;
+}
+
+module.exports = { createResponseError };
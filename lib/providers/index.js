@@ -0,0 +1,61 @@
+// lib/providers/index.js - Question generation provider registry
+// Every provider exposes { name, label, requiresApiKey, isConfigured(), generate(prompt, options) }
+// where generate() resolves to the raw model text (expected to contain a JSON array).
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openai-compatible');
+const { createOfflineProvider } = require('./offline');
+const { normalizeProviderName, PROVIDER_NAMES } = require('./names');
+const { loadConfig } = require('../config');
+
+// settings: a loaded config (lib/config.js); read from `env` when not given
+function createProviderRegistry({ fetch, env = process.env, settings = loadConfig(env) }) {
+  const { provider } = settings;
+  const timeoutMs = provider.timeoutMs;
+
+  const factories = {
+    gemini: () => createGeminiProvider({
+      fetch,
+      apiKey: provider.geminiApiKey,
+      model: provider.geminiModel || undefined,
+      timeoutMs
+    }),
+    'openai-compatible': () => createOpenAICompatibleProvider({
+      fetch,
+      baseUrl: provider.llmBaseUrl || undefined,
+      model: provider.llmModel || undefined,
+      apiKey: provider.llmApiKey,
+      timeoutMs,
+      structuredOutput: provider.llmStructuredOutput
+    }),
+    offline: () => createOfflineProvider({
+      seed: provider.offlineSeed || undefined,
+      delayMs: provider.mockResponses ? provider.mockDelayMs : 0
+    })
+  };
+
+  const instances = {};
+
+  function defaultProviderName() {
+    // Mock responses (ENABLE_MOCK_RESPONSES) always come from the offline generator
+    if (provider.mockResponses) return 'offline';
+    if (provider.default) return provider.default;
+    return settings.server.environment === 'test' ? 'offline' : 'gemini';
+  }
+
+  // Look up a provider instance, falling back to the deployment default
+  function getProvider(name) {
+    const canonical = name ? normalizeProviderName(name) : defaultProviderName();
+    if (!canonical) {
+      throw new Error(`Unknown question provider "${name}". Available: ${PROVIDER_NAMES.join(', ')}`);
+    }
+    if (!instances[canonical]) {
+      instances[canonical] = factories[canonical]();
+    }
+    return instances[canonical];
+  }
+
+  return { getProvider, defaultProviderName };
+}
+
+module.exports = { createProviderRegistry, normalizeProviderName, PROVIDER_NAMES };
@@ -0,0 +1,21 @@
+// lib/providers/names.js - Canonical provider names and their accepted aliases
+
+const PROVIDER_ALIASES = {
+  gemini: 'gemini',
+  'openai-compatible': 'openai-compatible',
+  openai: 'openai-compatible',
+  ollama: 'openai-compatible',
+  local: 'openai-compatible',
+  offline: 'offline',
+  mock: 'offline'
+};
+
+const PROVIDER_NAMES = ['gemini', 'openai-compatible', 'offline'];
+
+// Resolve a provider name or alias to its canonical name (null if unknown)
+function normalizeProviderName(name) {
+  if (!name) return null;
+  return PROVIDER_ALIASES[String(name).trim().toLowerCase()] || null;
+}
+
+module.exports = { normalizeProviderName, PROVIDER_NAMES };
@@ -0,0 +1,340 @@
+// lib/providers/offline.js - Deterministic offline provider for development and tests
+// Builds parameterised MDCAT-style questions locally; the same sequence of calls
+// always produces the same questions, so no network or API key is needed.
+
+const { hashString, createRng, randomInt, pick, shuffle } = require('../random');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+const MAX_REMEMBERED_ANSWERS = 10000;
+
+// Full tests cycle through subjects in paper order roughly matching MDCAT weights
+const FULL_TEST_PATTERN = [
+  'Biology', 'Biology', 'Chemistry', 'Biology', 'Physics', 'Chemistry', 'Biology', 'Physics', 'Biology',
+  'Chemistry', 'Biology', 'English', 'Biology', 'Chemistry', 'Physics', 'Biology', 'Chemistry', 'Physics',
+  'Logical Reasoning', 'Biology'
+];
+
+const SUBJECT_ORDER = ['Biology', 'Chemistry', 'Physics', 'English', 'Logical Reasoning'];
+
+const SUBJECT_ALIASES = {
+  biology: 'Biology',
+  chemistry: 'Chemistry',
+  physics: 'Physics',
+  english: 'English',
+  logical: 'Logical Reasoning',
+  'logical reasoning': 'Logical Reasoning'
+};
+
+const ENGLISH_ITEMS = [
+  { stem: "Choose the correct form: 'She _____ to school every day.'", correct: 'goes', wrong: ['go', 'going', 'gone'], topic: 'Tenses (Past, Present, Future Forms)' },
+  { stem: "Choose the correct form: 'If it rains tomorrow, we _____ indoors.'", correct: 'will stay', wrong: ['stayed', 'would have stayed', 'staying'], topic: 'Conditionals (Zero, First, Second, Third)' },
+  { stem: "Select the correct article: 'He is _____ honest man.'", correct: 'an', wrong: ['a', 'the', 'no article'], topic: 'Articles (Definite, Indefinite)' },
+  { stem: "Identify the correct passive form of 'The nurse checked the patient.'", correct: 'The patient was checked by the nurse.', wrong: ['The patient is checked by the nurse.', 'The patient has been checking by the nurse.', 'The nurse was checked by the patient.'], topic: 'Active and Passive Voice' },
+  { stem: "Choose the correct preposition: 'The book is _____ the table.'", correct: 'on', wrong: ['at', 'into', 'since'], topic: 'Prepositions (Position, Time, Movement, Direction)' },
+  { stem: "Select the grammatically correct sentence.", correct: 'Neither of the students was absent.', wrong: ['Neither of the students were absent.', 'Neither of the student were absent.', 'Neither students was absent.'], topic: 'Subject-Verb Agreement' },
+  { stem: "Choose the correct indirect speech: He said, 'I am tired.'", correct: 'He said that he was tired.', wrong: ['He said that I am tired.', 'He said that he is being tired.', 'He says that he was tired.'], topic: 'Direct and Indirect Speech' },
+  { stem: "Choose the correct form: 'By next year, they _____ their degree.'", correct: 'will have completed', wrong: ['will complete', 'have completed', 'completed'], topic: 'Tenses (Past, Present, Future Forms)' },
+  { stem: "Identify the gerund in: 'Swimming keeps the heart healthy.'", correct: 'Swimming', wrong: ['keeps', 'heart', 'healthy'], topic: 'Gerunds and Gerund Phrases' },
+  { stem: "Choose the correctly punctuated sentence.", correct: "It's a doctor's duty to help.", wrong: ["Its a doctors duty to help.", "It's a doctors' duty, to help.", "Its' a doctor's duty to help."], topic: 'Punctuation Marks' }
+];
+
+// Each template returns { question, correct, wrong: [3 distractors], explanation, topic }
+const TEMPLATES = {
+  Biology: [
+    (rng) => {
+      const adenine = randomInt(rng, 10, 24) + (rng() < 0.5 ? 0 : 16); // skip 25% where A = G
+      const guanine = 50 - adenine;
+      return {
+        question: `A double-stranded DNA molecule contains ${adenine}% adenine. What percentage of its bases are guanine?`,
+        correct: `${guanine}%`,
+        wrong: [`${adenine}%`, `${100 - adenine}%`, `${100 - 2 * adenine}%`],
+        explanation: `By Chargaff's rule A = T and G = C, so A + T = ${2 * adenine}% and G = (100 - ${2 * adenine}) / 2 = ${guanine}%.`,
+        topic: 'Biological Molecules (Carbohydrates, Proteins, Lipids, DNA, RNA)'
+      };
+    },
+    (rng) => {
+      const haploid = pick(rng, [4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 23, 24]);
+      return {
+        question: `A diploid cell with ${haploid * 2} chromosomes undergoes meiosis. How many chromosomes are present in each daughter cell?`,
+        correct: `${haploid}`,
+        wrong: [`${haploid * 2}`, `${haploid * 4}`, `${haploid + 1}`],
+        explanation: `Meiosis halves the chromosome number, so each daughter cell receives ${haploid} chromosomes.`,
+        topic: 'Cell Structure & Function (Prokaryotic vs Eukaryotic, Organelles, Chromosomes)'
+      };
+    },
+    (rng) => {
+      const offspring = randomInt(rng, 3, 40) * 4;
+      return {
+        question: `In a monohybrid cross between two heterozygous parents (Aa x Aa), ${offspring} offspring are produced. How many are expected to show the recessive phenotype?`,
+        correct: `${offspring / 4}`,
+        wrong: [`${offspring / 2}`, `${(offspring * 3) / 4}`, `${offspring}`],
+        explanation: `Aa x Aa gives a 3:1 phenotypic ratio, so one quarter (${offspring / 4}) of the ${offspring} offspring are aa.`,
+        topic: 'Inheritance (Mendel\'s Laws, Gene Linkage, X-linked Inheritance, Hemophilia)'
+      };
+    },
+    (rng) => {
+      const rate = randomInt(rng, 60, 100);
+      const strokeVolume = pick(rng, [50, 60, 70, 80]);
+      const output = (rate * strokeVolume) / 1000;
+      return {
+        question: `A heart beats ${rate} times per minute with a stroke volume of ${strokeVolume} mL. What is the cardiac output?`,
+        correct: `${output.toFixed(2)} L/min`,
+        wrong: [`${(output * 2).toFixed(2)} L/min`, `${(output / 2).toFixed(2)} L/min`, `${((rate + strokeVolume) / 100).toFixed(2)} L/min`],
+        explanation: `Cardiac output = heart rate x stroke volume = ${rate} x ${strokeVolume} mL = ${output.toFixed(2)} L/min.`,
+        topic: 'Circulation (Human Heart, Cardiac Cycle, Blood Vessels, Lymphatic System)'
+      };
+    }
+  ],
+  Chemistry: [
+    (rng) => {
+      const grams = randomInt(rng, 1, 30) * 4;
+      const moles = grams / 40;
+      return {
+        question: `How many moles are present in ${grams} g of NaOH? (Molar mass of NaOH = 40 g/mol)`,
+        correct: `${moles}`,
+        wrong: [`${moles * 2}`, `${moles / 2}`, `${grams * 40}`],
+        explanation: `Moles = mass / molar mass = ${grams} / 40 = ${moles} mol.`,
+        topic: 'Solutions (Solubility, Concentration, Colligative Properties)'
+      };
+    },
+    (rng) => {
+      const exponent = randomInt(rng, 1, 6);
+      return {
+        question: `What is the pH of a 1 x 10^-${exponent} M solution of HCl?`,
+        correct: `${exponent}`,
+        wrong: [`${14 - exponent}`, `${exponent + 1}`, `-${exponent}`],
+        explanation: `HCl is a strong acid, so [H+] = 10^-${exponent} M and pH = -log[H+] = ${exponent}.`,
+        topic: 'Acids & Bases (pH, Buffer Solutions, Neutralization)'
+      };
+    },
+    (rng) => {
+      const mass = pick(rng, [16, 32, 64, 128, 256]);
+      const halfLife = randomInt(rng, 2, 12);
+      const periods = randomInt(rng, 1, 4);
+      const remaining = mass / Math.pow(2, periods);
+      return {
+        question: `A ${mass} g radioactive sample has a half-life of ${halfLife} days. How much remains after ${halfLife * periods} days?`,
+        correct: `${remaining} g`,
+        wrong: [`${remaining * 2} g`, `${remaining / 2} g`, `${mass - remaining / 2} g`],
+        explanation: `${halfLife * periods} days is ${periods} half-lives, so ${mass} / 2^${periods} = ${remaining} g remains.`,
+        topic: 'Nuclear Chemistry (Radioactivity, Half-Life, Nuclear Reactions)'
+      };
+    },
+    (rng) => {
+      const pressure = pick(rng, [1, 2, 3, 4]);
+      const volume = pick(rng, [12, 24, 36, 48]);
+      const newPressure = pressure * pick(rng, [2, 3, 4]);
+      const newVolume = (pressure * volume) / newPressure;
+      return {
+        question: `A gas occupies ${volume} L at ${pressure} atm. What volume will it occupy at ${newPressure} atm at constant temperature?`,
+        correct: `${newVolume} L`,
+        wrong: [`${(volume * newPressure) / pressure} L`, `${volume} L`, `${newVolume + volume} L`],
+        explanation: `Boyle's law: P1V1 = P2V2, so V2 = ${pressure} x ${volume} / ${newPressure} = ${newVolume} L.`,
+        topic: 'States of Matter (Gas Laws, Intermolecular Forces)'
+      };
+    }
+  ],
+  Physics: [
+    (rng) => {
+      const mass = randomInt(rng, 3, 20);
+      const acceleration = randomInt(rng, 2, 12);
+      const force = mass * acceleration;
+      return {
+        question: `A body of mass ${mass} kg accelerates at ${acceleration} m/s². What is the net force acting on it?`,
+        correct: `${force} N`,
+        wrong: [`${mass + acceleration} N`, `${force * 2} N`, `${(mass / acceleration).toFixed(1)} N`],
+        explanation: `Newton's second law: F = ma = ${mass} x ${acceleration} = ${force} N.`,
+        topic: 'Dynamics (Newton\'s Laws, Forces, Friction)'
+      };
+    },
+    (rng) => {
+      const initial = randomInt(rng, 1, 10);
+      const acceleration = randomInt(rng, 2, 5);
+      const time = randomInt(rng, 2, 10);
+      const finalVelocity = initial + acceleration * time;
+      return {
+        question: `A car starts with a velocity of ${initial} m/s and accelerates uniformly at ${acceleration} m/s² for ${time} s. What is its final velocity?`,
+        correct: `${finalVelocity} m/s`,
+        wrong: [`${acceleration * time} m/s`, `${finalVelocity * 2} m/s`, `${finalVelocity + acceleration} m/s`],
+        explanation: `Using v = u + at: v = ${initial} + ${acceleration} x ${time} = ${finalVelocity} m/s.`,
+        topic: 'Kinematics (Displacement, Velocity, Acceleration, Equations of Motion)'
+      };
+    },
+    (rng) => {
+      const current = randomInt(rng, 1, 10);
+      const resistance = randomInt(rng, 11, 30);
+      const voltage = current * resistance;
+      return {
+        question: `A potential difference of ${voltage} V is applied across a ${resistance} Ω resistor. What current flows through it?`,
+        correct: `${current} A`,
+        wrong: [`${voltage * resistance} A`, `${current * 2} A`, `${current + resistance} A`],
+        explanation: `Ohm's law: I = V / R = ${voltage} / ${resistance} = ${current} A.`,
+        topic: 'Current Electricity (Ohm\'s Law, Circuits, Resistance)'
+      };
+    },
+    (rng) => {
+      const mass = randomInt(rng, 1, 10) * 2;
+      const speed = randomInt(rng, 3, 15);
+      const energy = (mass * speed * speed) / 2;
+      return {
+        question: `What is the kinetic energy of a ${mass} kg object moving at ${speed} m/s?`,
+        correct: `${energy} J`,
+        wrong: [`${mass * speed} J`, `${energy * 2} J`, `${(mass * speed) / 2} J`],
+        explanation: `KE = ½mv² = ½ x ${mass} x ${speed}² = ${energy} J.`,
+        topic: 'Work, Energy & Power (Conservation of Energy, Work-Energy Theorem)'
+      };
+    }
+  ],
+  English: [
+    (rng, index) => {
+      const item = ENGLISH_ITEMS[(index + randomInt(rng, 0, ENGLISH_ITEMS.length - 1)) % ENGLISH_ITEMS.length];
+      return {
+        question: item.stem,
+        correct: item.correct,
+        wrong: item.wrong,
+        explanation: `"${item.correct}" is the grammatically correct choice; the other options break standard usage rules.`,
+        topic: item.topic
+      };
+    }
+  ],
+  'Logical Reasoning': [
+    (rng) => {
+      const start = randomInt(rng, 1, 30);
+      const step = randomInt(rng, 2, 9);
+      const series = [0, 1, 2, 3].map(i => start + i * step);
+      const next = start + 4 * step;
+      return {
+        question: `What comes next in the series: ${series.join(', ')}, ?`,
+        correct: `${next}`,
+        wrong: [`${next + 1}`, `${next - 1}`, `${next + step}`],
+        explanation: `Each term increases by ${step}, so the next term is ${series[3]} + ${step} = ${next}.`,
+        topic: 'Letter and Symbols Series (Arithmetical, Geometrical Progressions)'
+      };
+    },
+    (rng) => {
+      const start = randomInt(rng, 1, 5);
+      const ratio = randomInt(rng, 2, 4);
+      const series = [0, 1, 2, 3].map(i => start * Math.pow(ratio, i));
+      const next = start * Math.pow(ratio, 4);
+      return {
+        question: `Find the next term of the geometric progression ${series.join(', ')}, ?`,
+        correct: `${next}`,
+        wrong: [`${next + ratio}`, `${series[3] + ratio}`, `${next * ratio}`],
+        explanation: `Each term is multiplied by ${ratio}, so the next term is ${series[3]} x ${ratio} = ${next}.`,
+        topic: 'Letter and Symbols Series (Arithmetical, Geometrical Progressions)'
+      };
+    },
+    (rng) => {
+      const startCode = randomInt(rng, 0, 9);
+      const step = randomInt(rng, 2, 3);
+      const letters = [0, 1, 2, 3].map(i => String.fromCharCode(65 + startCode + i * step));
+      const next = String.fromCharCode(65 + startCode + 4 * step);
+      const shift = (offset) => String.fromCharCode(65 + startCode + 4 * step + offset);
+      return {
+        question: `Which letter continues the series ${letters.join(', ')}, ?`,
+        correct: next,
+        wrong: [shift(1), shift(-1), shift(2)],
+        explanation: `The series skips ${step - 1} letter(s) each time, so the next letter is ${next}.`,
+        topic: 'Letter and Symbols Series (Arithmetical, Geometrical Progressions)'
+      };
+    }
+  ]
+};
+
+function normalizeSubject(subject) {
+  if (!subject) return null;
+  return SUBJECT_ALIASES[String(subject).toLowerCase()] || null;
+}
+
+function pickDifficulty(rng, difficulty) {
+  if (['easy', 'moderate', 'difficult'].includes(difficulty)) return difficulty;
+  const roll = rng();
+  if (roll < 0.15) return 'easy';
+  if (roll < 0.85) return 'moderate';
+  return 'difficult';
+}
+
+function subjectForIndex(options, index) {
+  const subject = normalizeSubject(options.selectedSubject);
+  if (options.testFormat === 'subject-test' && subject) return subject;
+  if (options.testFormat === 'topic-test') return subject || 'Biology';
+  return FULL_TEST_PATTERN[index % FULL_TEST_PATTERN.length];
+}
+
+function buildQuestion(rng, options, index) {
+  const subject = subjectForIndex(options, index);
+  const template = pick(rng, TEMPLATES[subject]);
+  const item = template(rng, index);
+
+  const ordered = shuffle(rng, [item.correct, ...item.wrong]);
+
+  return {
+    question: item.question,
+    options: ordered,
+    answer: LETTERS[ordered.indexOf(item.correct)],
+    explanation: item.explanation,
+    subject,
+    topic: options.testFormat === 'topic-test' && options.topic ? options.topic : item.topic,
+    difficulty: pickDifficulty(rng, options.difficulty),
+    year: randomInt(rng, 2018, 2025),
+    source: options.source && options.source !== 'all' ? options.source.toUpperCase() : 'MDCAT'
+  };
+}
+
+function stemKey(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// delayMs: simulated response time, used when it stands in for a real model (mock responses)
+function createOfflineProvider({ seed = 'mdcat-offline', delayMs = 0 } = {}) {
+  let callCount = 0;
+  // Correct option text of every question generated so far, used to answer
+  // verification solves; questions it did not write are left unanswered
+  const answerKey = new Map();
+
+  function solve(questions) {
+    const answers = [];
+    questions.forEach((q, i) => {
+      const index = (q.options || []).indexOf(answerKey.get(stemKey(q.question)));
+      if (index !== -1) answers.push({ index: i + 1, answer: LETTERS[index] });
+    });
+    return JSON.stringify(answers);
+  }
+
+  return {
+    name: 'offline',
+    label: 'offline question generator',
+    requiresApiKey: false,
+
+    isConfigured() {
+      return true;
+    },
+
+    async generate(prompt, options = {}) {
+      if (options.task === 'solve') return solve(options.questions || []);
+
+      if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+      callCount++;
+      const rng = createRng(hashString(`${seed}:${callCount}:${prompt}`));
+      const count = Math.max(1, Number(options.questionCount) || 1);
+
+      const questions = [];
+      for (let i = 0; i < count; i++) {
+        const question = buildQuestion(rng, options, i);
+        answerKey.set(stemKey(question.question), question.options[LETTERS.indexOf(question.answer)]);
+        if (answerKey.size > MAX_REMEMBERED_ANSWERS) answerKey.delete(answerKey.keys().next().value);
+        questions.push(question);
+      }
+
+      // Full tests are returned in paper order like the real prompt requests
+      if (options.testFormat === 'full-test') {
+        questions.sort((a, b) => SUBJECT_ORDER.indexOf(a.subject) - SUBJECT_ORDER.indexOf(b.subject));
+      }
+
+      return JSON.stringify(questions);
+    }
+  };
+}
+
+module.exports = { createOfflineProvider };
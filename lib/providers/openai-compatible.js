@@ -0,0 +1,107 @@
+// lib/providers/openai-compatible.js - OpenAI-compatible chat completions provider
+// Works with Ollama, LM Studio, vLLM and other servers exposing /v1/chat/completions
+
+const { createResponseError } = require('./http-error');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+const SYSTEM_PROMPT = 'You are an MDCAT exam question writer. Reply with a JSON array of questions only.';
+
+// Structured outputs need an object at the top level, so the array is wrapped
+function toResponseFormat(schema) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: 'mdcat_questions',
+      schema: { type: 'object', properties: { questions: schema }, required: ['questions'] }
+    }
+  };
+}
+
+function createOpenAICompatibleProvider({
+  fetch,
+  baseUrl = DEFAULT_BASE_URL,
+  model = DEFAULT_MODEL,
+  apiKey,
+  timeoutMs = 45000,
+  structuredOutput = true
+}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai-compatible',
+    label: `${model} via ${baseUrl}`,
+    model,
+    requiresApiKey: false,
+
+    isConfigured() {
+      return !!baseUrl;
+    },
+
+    async generate(prompt, options = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const requestBody = {
+        model,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.1,
+        max_tokens: 8192,
+        stream: false
+      };
+      if (structuredOutput && options.responseSchema) {
+        requestBody.response_format = toResponseFormat(options.responseSchema);
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(requestBody),
+          signal: controller.signal
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`API request timeout after ${Math.round(timeoutMs / 1000)} seconds`);
+        }
+        throw new Error(`Local LLM API unreachable at ${endpoint}: ${error.message}`);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let errorMessage = `Local LLM API error: status ${response.status}`;
+
+        try {
+          const errorData = JSON.parse(errorText);
+          const message = errorData.error && (errorData.error.message || errorData.error);
+          if (message) errorMessage = `Local LLM API error: ${message}`;
+        } catch (e) {
+          errorMessage = `Local LLM API error: ${errorText.substring(0, 200)}`;
+        }
+
+        console.error(`❌ API Error: ${errorMessage}`);
+        throw createResponseError(errorMessage, response);
+      }
+
+      const data = await response.json();
+      const generatedText = data.choices?.[0]?.message?.content || '';
+      if (!generatedText) {
+        throw new Error('Empty response from Local LLM API');
+      }
+
+      return generatedText;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider, DEFAULT_BASE_URL, DEFAULT_MODEL };
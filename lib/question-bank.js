@@ -0,0 +1,232 @@
+// lib/question-bank.js - Persistent question bank backed by a JSON file
+// Stores every validated question once (keyed by a hash of its text and options),
+// indexes it by subject, topic, difficulty, source and year, and remembers which
+// questions each client has already been served.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SUBJECT_KEYS = {
+  biology: 'biology',
+  chemistry: 'chemistry',
+  physics: 'physics',
+  english: 'english',
+  logical: 'logical',
+  'logical reasoning': 'logical'
+};
+
+const INDEX_FIELDS = ['subject', 'topic', 'difficulty', 'source', 'year'];
+
+// Map "Biology", "logical", "Logical Reasoning" etc. to syllabus keys
+function subjectKey(subject) {
+  if (!subject) return null;
+  return SUBJECT_KEYS[String(subject).trim().toLowerCase()] || null;
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Stable id derived from the question stem and its options
+function questionKey(question) {
+  const options = Array.isArray(question.options) ? question.options.map(normalizeText).sort() : [];
+  const basis = `${normalizeText(question.question)}|${options.join('|')}`;
+  return crypto.createHash('sha1').update(basis).digest('hex').slice(0, 16);
+}
+
+function indexValue(field, question) {
+  if (field === 'subject') return subjectKey(question.subject);
+  if (field === 'year') return question.year ? String(question.year) : null;
+  if (field === 'source') return question.source ? String(question.source).split(/\s+/)[0].toLowerCase() : null;
+  return question[field] ? normalizeText(question[field]) : null;
+}
+
+// Strip bookkeeping fields before handing a stored question out
+function toQuestion(entry) {
+  const question = { ...entry };
+  delete question.servedCount;
+  delete question.createdAt;
+  return question;
+}
+
+function createQuestionBank({ filePath = null } = {}) {
+  let data = { version: 1, questions: {}, seen: {} };
+  const indexes = Object.fromEntries(INDEX_FIELDS.map(field => [field, new Map()]));
+
+  function addToIndexes(entry) {
+    for (const field of INDEX_FIELDS) {
+      const value = indexValue(field, entry);
+      if (value === null) continue;
+      if (!indexes[field].has(value)) indexes[field].set(value, new Set());
+      indexes[field].get(value).add(entry.bankId);
+    }
+  }
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      data = { version: 1, questions: parsed.questions || {}, seen: parsed.seen || {} };
+      Object.values(data.questions).forEach(addToIndexes);
+      console.log(`🏦 Question bank loaded: ${Object.keys(data.questions).length} questions`);
+    } catch (error) {
+      console.error(`❌ Could not load question bank from ${filePath}:`, error.message);
+    }
+  }
+
+  // Write atomically so a crash mid-write never corrupts the bank
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // Store validated questions; returns the stored entries (existing ones for duplicates)
+  function addQuestions(questions, { origin = 'ai' } = {}) {
+    const stored = [];
+    let added = 0;
+
+    for (const question of questions) {
+      const bankId = questionKey(question);
+      if (!data.questions[bankId]) {
+        const entry = { ...question };
+        delete entry.id; // per-paper numbering, not part of the stored question
+        data.questions[bankId] = {
+          ...entry,
+          bankId,
+          origin: question.origin || origin,
+          servedCount: 0,
+          createdAt: new Date().toISOString()
+        };
+        addToIndexes(data.questions[bankId]);
+        added++;
+      }
+      stored.push(data.questions[bankId]);
+    }
+
+    if (added > 0) save();
+    return stored;
+  }
+
+  // Find questions matching { subject, topic, difficulty, source, yearRange: { start, end } }
+  function findQuestions(criteria = {}) {
+    let candidates = null;
+
+    const narrow = (ids) => {
+      candidates = candidates === null ? new Set(ids) : new Set([...candidates].filter(id => ids.has(id)));
+    };
+
+    const subject = subjectKey(criteria.subject);
+    if (subject) narrow(indexes.subject.get(subject) || new Set());
+
+    if (['easy', 'moderate', 'difficult'].includes(criteria.difficulty)) {
+      narrow(indexes.difficulty.get(criteria.difficulty) || new Set());
+    }
+
+    if (criteria.source && criteria.source !== 'all') {
+      narrow(indexes.source.get(String(criteria.source).toLowerCase()) || new Set());
+    }
+
+    if (criteria.topic) {
+      const wanted = normalizeText(criteria.topic);
+      const ids = new Set();
+      for (const [topic, topicIds] of indexes.topic) {
+        if (topic.includes(wanted) || wanted.includes(topic)) topicIds.forEach(id => ids.add(id));
+      }
+      narrow(ids);
+    }
+
+    if (criteria.yearRange) {
+      const ids = new Set();
+      for (let year = criteria.yearRange.start; year <= criteria.yearRange.end; year++) {
+        (indexes.year.get(String(year)) || []).forEach(id => ids.add(id));
+      }
+      narrow(ids);
+    }
+
+    const ids = candidates === null ? Object.keys(data.questions) : [...candidates];
+    return ids.map(id => data.questions[id]);
+  }
+
+  // Take up to `count` matching questions, preferring ones the client has not seen
+  // and, after that, ones served least often. Marks the returned questions as served.
+  function take(criteria, count, { clientId } = {}) {
+    if (count <= 0) return [];
+
+    const seen = new Set(clientId ? data.seen[clientId] || [] : []);
+    const matches = findQuestions(criteria).filter(q => !seen.has(q.bankId));
+
+    const selected = matches
+      .map(q => ({ q, order: q.servedCount + Math.random() }))
+      .sort((a, b) => a.order - b.order)
+      .slice(0, count)
+      .map(({ q }) => q);
+
+    if (selected.length > 0) {
+      selected.forEach(q => { q.servedCount++; });
+      markSeen(clientId, selected);
+    }
+
+    return selected.map(toQuestion);
+  }
+
+  function markSeen(clientId, questions) {
+    if (!clientId) {
+      save();
+      return;
+    }
+    const seen = new Set(data.seen[clientId] || []);
+    questions.forEach(q => seen.add(q.bankId || questionKey(q)));
+    data.seen[clientId] = [...seen];
+    save();
+  }
+
+  // Merge changes (e.g. a corrected answer or verification status) into a stored question
+  function updateQuestion(bankId, changes) {
+    if (!data.questions[bankId]) return false;
+    Object.assign(data.questions[bankId], changes);
+    save();
+    return true;
+  }
+
+  function removeQuestions(bankIds) {
+    let removed = 0;
+    for (const bankId of bankIds) {
+      const entry = data.questions[bankId];
+      if (!entry) continue;
+      for (const field of INDEX_FIELDS) {
+        const value = indexValue(field, entry);
+        if (value !== null && indexes[field].has(value)) indexes[field].get(value).delete(bankId);
+      }
+      delete data.questions[bankId];
+      removed++;
+    }
+    if (removed > 0) save();
+    return removed;
+  }
+
+  // Whether the bank already holds this question (same stem and options)
+  function hasQuestion(question) {
+    return Boolean(data.questions[questionKey(question)]);
+  }
+
+  // Stored questions a client has already been served
+  function seenQuestions(clientId) {
+    return (data.seen[clientId] || []).filter(id => data.questions[id]).map(id => toQuestion(data.questions[id]));
+  }
+
+  function stats() {
+    const bySubject = {};
+    for (const [subject, ids] of indexes.subject) bySubject[subject] = ids.size;
+    return { total: Object.keys(data.questions).length, bySubject, clients: Object.keys(data.seen).length };
+  }
+
+  load();
+
+  return { addQuestions, findQuestions, hasQuestion, take, markSeen, seenQuestions, updateQuestion, removeQuestions, stats };
+}
+
+module.exports = { createQuestionBank, questionKey, subjectKey };
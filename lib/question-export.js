@@ -0,0 +1,228 @@
+// lib/question-export.js - Questions in LMS and flashcard import formats
+// Turns a paper or a question-bank selection into files other tools import:
+//   gift  - Moodle GIFT, with $CATEGORY lines per subject/topic and the explanation
+//           as general feedback
+//   qti   - IMS QTI 2.1 content package (zip): one choiceInteraction item per
+//           question, the explanation as modal feedback, subject/topic as keywords
+//   aiken - Moodle Aiken (stem, options, ANSWER: line; the format has no feedback)
+//   csv   - one row per question with every field, for spreadsheets
+//   anki  - tab-separated notes with Anki's import headers; subject/topic/difficulty
+//           become hierarchical tags and the explanation sits on the back
+// exportQuestions() returns { body, contentType, extension }.
+
+const { createZip } = require('./zip');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+const CSV_COLUMNS = ['id', 'subject', 'topic', 'subtopic', 'difficulty', 'question', 'option_a', 'option_b', 'option_c', 'option_d', 'answer', 'explanation', 'source', 'year'];
+
+const text = value => (value === undefined || value === null ? '' : String(value));
+const oneLine = value => text(value).replace(/\s+/g, ' ').trim();
+
+// "A) Mitochondria" / "B. Nucleus" -> "Mitochondria" / "Nucleus"
+const stripLetter = option => text(option).replace(/^\s*\(?[A-D][).:]\s+/, '');
+
+// Questions with plain options, a letter answer and a number, ready for any format
+function normalizeQuestions(questions) {
+  return questions.map((question, index) => {
+    const options = (question.options || []).slice(0, 4).map(stripLetter);
+    const answer = text(question.answer).trim().toUpperCase();
+    return {
+      number: question.id || index + 1,
+      question: text(question.question).trim(),
+      options,
+      answer,
+      correctIndex: LETTERS.indexOf(answer),
+      explanation: text(question.explanation).trim(),
+      subject: text(question.subject).trim() || 'General',
+      topic: text(question.topic).trim(),
+      subtopic: text(question.subtopic).trim(),
+      difficulty: text(question.difficulty).trim(),
+      source: text(question.source).trim(),
+      year: text(question.year).trim()
+    };
+  });
+}
+
+// Moodle GIFT: ~ = # { } : and backslash are special
+const giftEscape = value => oneLine(value).replace(/([~=#{}:\\])/g, '\\$1');
+
+function toGift(questions, { title = 'MDCAT' } = {}) {
+  const lines = [`// ${oneLine(title)} - ${questions.length} questions`, ''];
+  let category = null;
+  for (const q of questions) {
+    const path = ['MDCAT', q.subject, q.topic].filter(Boolean).map(part => oneLine(part).replace(/\//g, '-')).join('/');
+    if (path !== category) {
+      lines.push(`$CATEGORY: $course$/${path}`, '');
+      category = path;
+    }
+    lines.push(`::Q${q.number}::${giftEscape(q.question)} {`);
+    q.options.forEach((option, i) => lines.push(`${i === q.correctIndex ? '=' : '~'}${giftEscape(option)}`));
+    if (q.explanation) lines.push(`####${giftEscape(q.explanation)}`);
+    lines.push('}', '');
+  }
+  return lines.join('\n');
+}
+
+// Moodle Aiken: every stem and option on one line
+function toAiken(questions) {
+  return questions.map(q => [
+    oneLine(q.question),
+    ...q.options.map((option, i) => `${LETTERS[i]}. ${oneLine(option)}`),
+    `ANSWER: ${q.answer}`
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+const csvCell = value => {
+  const cell = text(value);
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// RFC 4180 CSV with a UTF-8 byte order mark so spreadsheets read symbols correctly
+function toCsv(questions) {
+  const rows = questions.map(q => [
+    q.number, q.subject, q.topic, q.subtopic, q.difficulty, q.question,
+    q.options[0], q.options[1], q.options[2], q.options[3], q.answer, q.explanation, q.source, q.year
+  ]);
+  return '\uFEFF' + [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+const escapeHtml = value => text(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const ankiField = value => escapeHtml(value).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+const ankiTag = value => oneLine(value).replace(/\s+/g, '_');
+
+// Anki "Notes in Plain Text" with header lines: Front, Back, Tags
+function toAnki(questions) {
+  const header = ['#separator:tab', '#html:true', '#columns:Front\tBack\tTags', '#tags column:3'];
+  const notes = questions.map(q => {
+    const front = `${ankiField(q.question)}<br><br>${q.options.map((option, i) => `${LETTERS[i]}) ${ankiField(option)}`).join('<br>')}`;
+    const answerText = q.correctIndex === -1 ? '' : ` ${ankiField(q.options[q.correctIndex])}`;
+    const back = `<b>${q.answer})${answerText}</b>${q.explanation ? `<br><br>${ankiField(q.explanation)}` : ''}`;
+    const tags = [
+      ['MDCAT', q.subject, q.topic].filter(Boolean).map(ankiTag).join('::'),
+      q.difficulty ? `difficulty::${ankiTag(q.difficulty)}` : null,
+      q.source ? `source::${ankiTag(q.source)}` : null
+    ].filter(Boolean).join(' ');
+    return [front, back, tags].join('\t');
+  });
+  return [...header, ...notes].join('\n') + '\n';
+}
+
+const escapeXml = value => escapeHtml(value).replace(/'/g, '&apos;');
+
+function qtiItem(q, identifier) {
+  const choices = q.options.map((option, i) => `        <simpleChoice identifier="${LETTERS[i]}">${escapeXml(option)}</simpleChoice>`).join('\n');
+  const feedback = q.explanation
+    ? `\n  <modalFeedback outcomeIdentifier="FEEDBACK" showHide="show" identifier="explanation">${escapeXml(q.explanation)}</modalFeedback>`
+    : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${identifier}" title="${escapeXml(`Q${q.number} ${q.subject}${q.topic ? ` - ${q.topic}` : ''}`)}" adaptive="false" timeDependent="false">
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>${q.answer}</value>
+    </correctResponse>
+  </responseDeclaration>
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue>
+      <value>0</value>
+    </defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${escapeXml(q.question)}</prompt>
+${choices}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match>
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </match>
+        <setOutcomeValue identifier="SCORE">
+          <baseValue baseType="float">1</baseValue>
+        </setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK">
+      <baseValue baseType="identifier">explanation</baseValue>
+    </setOutcomeValue>
+  </responseProcessing>${feedback}
+</assessmentItem>
+`;
+}
+
+function qtiManifest(questions, identifiers, title) {
+  const resources = questions.map((q, i) => {
+    const keywords = [q.subject, q.topic, q.difficulty].filter(Boolean)
+      .map(keyword => `            <imsmd:keyword><imsmd:langstring xml:lang="en">${escapeXml(keyword)}</imsmd:langstring></imsmd:keyword>`)
+      .join('\n');
+    return `    <resource identifier="RES-${identifiers[i]}" type="imsqti_item_xmlv2p1" href="items/${identifiers[i]}.xml">
+      <metadata>
+        <imsmd:lom>
+          <imsmd:general>
+            <imsmd:title><imsmd:langstring xml:lang="en">${escapeXml(`Q${q.number}`)}</imsmd:langstring></imsmd:title>
+${keywords}
+          </imsmd:general>
+        </imsmd:lom>
+      </metadata>
+      <file href="items/${identifiers[i]}.xml"/>
+    </resource>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:imsmd="http://www.imsglobal.org/xsd/imsmd_v1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/imscp_v1p1.xsd http://www.imsglobal.org/xsd/imsmd_v1p2 http://www.imsglobal.org/xsd/imsmd_v1p2p4.xsd"
+    identifier="MANIFEST-MDCAT">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+    <imsmd:lom>
+      <imsmd:general>
+        <imsmd:title><imsmd:langstring xml:lang="en">${escapeXml(title)}</imsmd:langstring></imsmd:title>
+      </imsmd:general>
+    </imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+}
+
+// IMS QTI 2.1 content package: imsmanifest.xml plus items/<id>.xml
+function toQtiPackage(questions, { title = 'MDCAT' } = {}) {
+  const identifiers = questions.map(q => `ITEM-${String(q.number).replace(/[^A-Za-z0-9_-]/g, '_')}`);
+  return createZip([
+    { name: 'imsmanifest.xml', data: qtiManifest(questions, identifiers, title) },
+    ...questions.map((q, i) => ({ name: `items/${identifiers[i]}.xml`, data: qtiItem(q, identifiers[i]) }))
+  ]);
+}
+
+const EXPORT_FORMATS = {
+  gift: { render: toGift, contentType: 'text/plain; charset=utf-8', extension: 'gift.txt' },
+  qti: { render: toQtiPackage, contentType: 'application/zip', extension: 'qti.zip' },
+  aiken: { render: toAiken, contentType: 'text/plain; charset=utf-8', extension: 'aiken.txt' },
+  csv: { render: toCsv, contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  anki: { render: toAnki, contentType: 'text/tab-separated-values; charset=utf-8', extension: 'anki.tsv' }
+};
+
+// Render questions in one of EXPORT_FORMATS; throws an Error for an unknown format
+function exportQuestions(questions, format, options = {}) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) throw new Error(`Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  return {
+    body: exporter.render(normalizeQuestions(questions), options),
+    contentType: exporter.contentType,
+    extension: exporter.extension
+  };
+}
+
+module.exports = { exportQuestions, normalizeQuestions, stripLetter, EXPORT_FORMATS, CSV_COLUMNS };
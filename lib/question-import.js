@@ -0,0 +1,351 @@
+// lib/question-import.js - Bulk import of hand-written MCQs into the question bank
+// Reads CSV (the columns of the CSV export; "a".."d" or a single "options" column
+// also work), JSON (an array or { questions: [...] }), Aiken and GIFT ($CATEGORY
+// paths such as $course$/MDCAT/Biology/Genetics give the subject and topic). Each row
+// is tidied (option letters stripped, answers like "b)" or the option text turned
+// into a letter, subject and topic mapped onto the syllabus) and checked with the
+// shared question rules. importIntoBank() stores the clean rows as human-authored
+// questions and returns a per-row report of what was imported, skipped or refused.
+
+const { questionErrors, resolveQuestionTopic, ANSWER_LETTERS } = require('./question-validation');
+const { questionKey } = require('./question-bank');
+const { stripLetter } = require('./question-export');
+const { normalizeLevel } = require('./difficulty');
+
+const IMPORT_FORMATS = ['csv', 'json', 'aiken', 'gift'];
+const MAX_IMPORT_ROWS = 5000;
+
+// CSV header spellings -> question fields
+const CSV_FIELDS = {
+  question: 'question', stem: 'question', question_text: 'question',
+  option_a: 0, a: 0, option_b: 1, b: 1, option_c: 2, c: 2, option_d: 3, d: 3,
+  options: 'options',
+  answer: 'answer', correct: 'answer', correct_answer: 'answer', key: 'answer',
+  explanation: 'explanation', feedback: 'explanation', rationale: 'explanation',
+  subject: 'subject', topic: 'topic', subtopic: 'subtopic', difficulty: 'difficulty', source: 'source', year: 'year'
+};
+
+const text = value => (value === undefined || value === null ? '' : String(value));
+
+// Format from a file name's extension, or null
+function formatFromFilename(filename) {
+  const extension = text(filename).toLowerCase().split('.').pop();
+  if (extension === 'txt') return /gift/i.test(filename) ? 'gift' : 'aiken';
+  return IMPORT_FORMATS.includes(extension) ? extension : null;
+}
+
+// RFC 4180 records with the line each starts on: [{ line, cells }]
+function csvRecords(input) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      cells.push(cell);
+      records.push({ line: start, cells });
+      cells = [];
+      cell = '';
+      start = ++line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: start, cells });
+  }
+  return records.filter(record => record.cells.some(value => value.trim() !== ''));
+}
+
+function parseCsv(input) {
+  const [header, ...records] = csvRecords(input);
+  if (!header) return [];
+  const columns = header.cells.map(name => CSV_FIELDS[name.trim().toLowerCase().replace(/[\s-]+/g, '_')]);
+  if (!columns.includes('question')) throw new Error('CSV needs a "question" column');
+
+  return records.map(({ line, cells }) => {
+    const question = { options: [] };
+    columns.forEach((field, i) => {
+      const value = text(cells[i]).trim();
+      if (field === undefined || value === '') return;
+      if (typeof field === 'number') question.options[field] = value;
+      else if (field === 'options') question.options = value.split(/\s*(?:\||\r?\n)\s*/);
+      else question[field] = value;
+    });
+    return { row: line, question };
+  });
+}
+
+function parseJson(input) {
+  let parsed;
+  try {
+    parsed = JSON.parse(input);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  const questions = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+  if (!Array.isArray(questions)) throw new Error('JSON must be an array of questions or { "questions": [...] }');
+  return questions.map((question, index) => ({ row: index + 1, question }));
+}
+
+// Aiken: stem line(s), "A. option" lines, then "ANSWER: B"; blank lines between questions
+function parseAiken(input) {
+  const entries = [];
+  let current = null;
+
+  input.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    if (!current) current = { row: index + 1, stem: [], options: [] };
+
+    const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+    const answer = line.match(/^ANSWER:\s*(.*)$/i);
+    if (answer) {
+      entries.push({ row: current.row, question: { question: current.stem.join(' '), options: current.options, answer: answer[1].trim() } });
+      current = null;
+    } else if (option && (current.stem.length > 0 || current.options.length > 0)) {
+      current.options.push(option[2]);
+    } else if (current.options.length > 0) {
+      current.options[current.options.length - 1] += ` ${line}`;
+    } else {
+      current.stem.push(line);
+    }
+  });
+
+  if (current) entries.push({ row: current.row, error: 'Question has no ANSWER: line' });
+  return entries;
+}
+
+const giftUnescape = value => value.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+
+// Index of the next unescaped `char` at or after `from`, or -1
+function findUnescaped(input, char, from) {
+  for (let i = from; i < input.length; i++) {
+    if (input[i] === '\\') i++;
+    else if (input[i] === char) return i;
+  }
+  return -1;
+}
+
+// Answers inside a GIFT { ... } block: [{ correct, text }] plus the general feedback
+function giftAnswers(block) {
+  const answers = [];
+  let feedback = '';
+  let current = null;
+  let target = 'none';
+
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      const escaped = block.slice(i, i + 2);
+      if (target === 'answer') current.text += escaped;
+      else if (target === 'general') feedback += escaped;
+      i++;
+    } else if (target !== 'general' && block.startsWith('####', i)) {
+      target = 'general';
+      i += 3;
+    } else if (target === 'general') {
+      feedback += char;
+    } else if (char === '=' || char === '~') {
+      current = { correct: char === '=', text: '' };
+      answers.push(current);
+      target = 'answer';
+    } else if (char === '#') {
+      target = 'none'; // per-answer feedback is not kept
+    } else if (target === 'answer') {
+      current.text += char;
+    }
+  }
+  return { answers: answers.map(answer => ({ ...answer, text: giftUnescape(answer.text) })), feedback: giftUnescape(feedback) };
+}
+
+// GIFT multiple-choice questions; $CATEGORY lines set the subject and topic of the
+// questions after them (a leading "MDCAT" segment is skipped)
+function parseGift(input) {
+  const source = input.replace(/^[ \t]*\/\/.*$/gm, '');
+  const entries = [];
+  let category = {};
+  let position = 0;
+
+  while (position < source.length) {
+    const open = findUnescaped(source, '{', position);
+    if (open === -1) break;
+    const close = findUnescaped(source, '}', open);
+    if (close === -1) throw new Error('GIFT question is missing its closing "}"');
+
+    const stem = [];
+    let row = null;
+    source.slice(position, open).split('\n').forEach((line, offset) => {
+      const trimmed = line.trim();
+      const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+      if (categoryMatch) {
+        const parts = categoryMatch[1].replace(/^\$\w+\$\//, '').split('/').map(part => part.trim()).filter(Boolean);
+        if (parts[0] && parts[0].toUpperCase() === 'MDCAT') parts.shift();
+        category = { subject: parts[0], topic: parts[1] };
+      } else if (trimmed) {
+        if (row === null) row = source.slice(0, position).split('\n').length + offset;
+        stem.push(trimmed);
+      }
+    });
+
+    const questionText = giftUnescape(stem.join(' ').replace(/^::(?:\\.|[^:])*::/, '').replace(/^\[(?:html|markdown|plain|moodle)\]/i, ''));
+    const { answers, feedback } = giftAnswers(source.slice(open + 1, close));
+    const entry = { row: row || source.slice(0, open).split('\n').length };
+
+    if (answers.length === 0) {
+      entry.error = 'Only multiple-choice GIFT questions can be imported';
+    } else if (answers.filter(answer => answer.correct).length !== 1) {
+      entry.error = 'GIFT question must have exactly one correct (=) answer';
+    } else {
+      entry.question = {
+        question: questionText,
+        options: answers.map(answer => answer.text),
+        answer: ANSWER_LETTERS[answers.findIndex(answer => answer.correct)] || '',
+        explanation: feedback || undefined,
+        subject: category.subject,
+        topic: category.topic
+      };
+    }
+    entries.push(entry);
+    position = close + 1;
+  }
+  return entries;
+}
+
+const PARSERS = { csv: parseCsv, json: parseJson, aiken: parseAiken, gift: parseGift };
+
+// Parse a file's text into [{ row, question } | { row, error }]; throws an Error
+// for an unknown format or a file that cannot be read at all
+function parseImport(input, format) {
+  if (!PARSERS[format]) throw new Error(`Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  const entries = PARSERS[format](text(input).replace(/^\uFEFF/, ''));
+  if (entries.length > MAX_IMPORT_ROWS) throw new Error(`An import can hold at most ${MAX_IMPORT_ROWS} questions`);
+  return entries;
+}
+
+// "b", "(B)", "B)", "Option B", "2" or the text of an option -> "B"
+function normalizeAnswer(answer, options) {
+  const value = text(answer).trim();
+  const letter = value.match(/^(?:option\s+)?\(?([A-Da-d])\)?[.):]?$/i);
+  if (letter) return letter[1].toUpperCase();
+  if (/^[1-4]$/.test(value)) return ANSWER_LETTERS[Number(value) - 1];
+  const byText = options.findIndex(option => option.toLowerCase() === stripLetter(value).toLowerCase());
+  return byText === -1 ? value : ANSWER_LETTERS[byText];
+}
+
+// Tidy one parsed question and check it: { question, errors, warnings }
+function prepareQuestion(raw, { syllabusIndex, defaults = {}, rules = {} }) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { question: null, errors: ['Not an object'], warnings: [] };
+
+  const options = Array.isArray(raw.options) ? Array.from(raw.options, option => stripLetter(text(option)).trim()) : raw.options;
+  const question = {
+    question: text(raw.question).trim(),
+    options,
+    answer: normalizeAnswer(raw.answer, Array.isArray(options) ? options : []),
+    explanation: text(raw.explanation).trim() || undefined,
+    subject: text(raw.subject || defaults.subject).trim(),
+    topic: text(raw.topic || defaults.topic).trim(),
+    subtopic: text(raw.subtopic).trim() || undefined,
+    difficulty: raw.difficulty || defaults.difficulty,
+    source: text(raw.source || defaults.source).trim() || undefined,
+    year: raw.year ? Number(raw.year) || undefined : undefined,
+    origin: 'human'
+  };
+  const errors = questionErrors(question, { ...rules, requiredFields: ['question', 'options', 'answer', 'subject', 'topic'] });
+  const warnings = [];
+
+  const subject = question.subject && syllabusIndex.getSubject(question.subject);
+  if (question.subject && !subject) {
+    errors.push(`Unknown subject "${question.subject}"`);
+  } else if (subject) {
+    question.subject = subject.name;
+  }
+
+  if (subject && question.topic) {
+    const resolved = resolveQuestionTopic(syllabusIndex, question);
+    if (!resolved) {
+      errors.push(`Topic "${question.topic}" is not in the ${syllabusIndex.version} syllabus`);
+    } else {
+      if (resolved.topic !== question.topic) warnings.push(`Topic "${question.topic}" mapped to "${resolved.topic}"`);
+      question.topic = resolved.topic;
+      if (!question.subtopic && resolved.subtopic) question.subtopic = resolved.subtopic;
+    }
+  }
+
+  if (question.difficulty) {
+    const level = normalizeLevel(question.difficulty);
+    if (!level) warnings.push(`Unknown difficulty "${question.difficulty}" ignored`);
+    question.difficulty = level || undefined;
+  }
+  if (!question.explanation) warnings.push('No explanation');
+
+  Object.keys(question).forEach(key => question[key] === undefined && delete question[key]);
+  return { question, errors, warnings };
+}
+
+// Parse, check and store a file's questions in the bank (unless dryRun). Returns
+// { format, total, imported, duplicates, invalid, rows: [{ row, status, errors, warnings, question, topic }] }
+// where status is imported (or valid in a dry run), duplicate or invalid.
+function importIntoBank(bank, input, format, { syllabusIndex, defaults = {}, rules = {}, dryRun = false, author = null } = {}) {
+  const seen = new Set();
+  const accepted = [];
+  const rows = parseImport(input, format).map(entry => {
+    if (entry.error) return { row: entry.row, status: 'invalid', errors: [entry.error], warnings: [] };
+
+    const { question, errors, warnings } = prepareQuestion(entry.question, { syllabusIndex, defaults, rules });
+    const report = {
+      row: entry.row,
+      status: 'invalid',
+      errors,
+      warnings,
+      question: question ? question.question.slice(0, 80) : '',
+      topic: question ? question.topic : undefined
+    };
+    if (errors.length > 0) return report;
+
+    const key = questionKey(question);
+    if (seen.has(key) || bank.hasQuestion(question)) {
+      return { ...report, status: 'duplicate', warnings: [...warnings, 'Already in the question bank'] };
+    }
+    seen.add(key);
+    accepted.push(author ? { ...question, importedBy: author } : question);
+    return { ...report, status: dryRun ? 'valid' : 'imported' };
+  });
+
+  if (!dryRun && accepted.length > 0) bank.addQuestions(accepted, { origin: 'human' });
+
+  const count = status => rows.filter(row => row.status === status).length;
+  return {
+    format,
+    dryRun,
+    total: rows.length,
+    imported: dryRun ? 0 : accepted.length,
+    valid: accepted.length,
+    duplicates: count('duplicate'),
+    invalid: count('invalid'),
+    rows
+  };
+}
+
+module.exports = { importIntoBank, parseImport, prepareQuestion, formatFromFilename, IMPORT_FORMATS, MAX_IMPORT_ROWS };
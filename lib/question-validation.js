@@ -0,0 +1,58 @@
+// lib/question-validation.js - Rules a question must pass to be used
+// The same checks run on generated questions before they reach a paper or the bank
+// (validateAndFilterQuestions in server.js), on the past-paper dataset
+// (scripts/validate-past-papers.js) and on bulk imports (lib/question-import.js).
+// questionErrors() lists what is wrong with a question; resolveQuestionTopic() maps
+// its topic onto a syllabus topic.
+
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+const REQUIRED_FIELDS = ['question', 'options', 'answer', 'subject'];
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+// Problems that keep a question out of papers and the bank; [] when it is usable.
+// enabled: false skips the quality checks (ENABLE_QUESTION_VALIDATION=false) and
+// minQuestionLength is the shortest acceptable stem when they run.
+function questionErrors(question, { requiredFields = REQUIRED_FIELDS, enabled = true, minQuestionLength = 10 } = {}) {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) return ['Not an object'];
+
+  const errors = requiredFields.filter(field => isMissing(question[field])).map(field => `Missing ${field}`);
+
+  if (!isMissing(question.question)) {
+    if (typeof question.question !== 'string' || question.question.trim().length === 0) {
+      errors.push('Question text is empty');
+    } else if (enabled && question.question.length < minQuestionLength) {
+      errors.push(`Question text is shorter than ${minQuestionLength} characters`);
+    }
+  }
+
+  if (!isMissing(question.options)) {
+    if (!Array.isArray(question.options) || question.options.length !== 4) {
+      errors.push('Must have exactly 4 options');
+    } else {
+      question.options.forEach((option, i) => {
+        if (typeof option !== 'string' || (enabled && option.trim().length === 0)) errors.push(`Option ${i + 1} is empty`);
+      });
+    }
+  }
+
+  if (!isMissing(question.answer) && !ANSWER_LETTERS.includes(question.answer)) {
+    errors.push(`Answer must be A, B, C or D (got "${question.answer}")`);
+  }
+
+  if (!isMissing(question.subject) && typeof question.subject !== 'string') {
+    errors.push('Subject must be text');
+  }
+
+  return errors;
+}
+
+// The syllabus topic a question's topic label means, or null. English topics are
+// often labelled "Grammar - <area>", which the syllabus lists without the prefix.
+function resolveQuestionTopic(syllabusIndex, question) {
+  if (!question.topic) return null;
+  const topic = String(question.topic).replace(/^Grammar\s*-\s*/i, '');
+  return syllabusIndex.resolveTopic(topic, { subject: question.subject });
+}
+
+module.exports = { questionErrors, resolveQuestionTopic, ANSWER_LETTERS, REQUIRED_FIELDS };
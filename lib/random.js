@@ -0,0 +1,46 @@
+// lib/random.js - Seeded random helpers shared by generation stages
+
+// Hash a string into a 32-bit unsigned integer (FNV-1a)
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Create a deterministic random function (mulberry32) returning floats in [0, 1)
+function createRng(seed) {
+  let state = (typeof seed === 'number' ? seed : hashString(seed)) >>> 0;
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Random integer in [min, max] inclusive
+function randomInt(rng, min, max) {
+  return Math.floor(rng() * (max - min + 1)) + min;
+}
+
+// Pick a random element from an array
+function pick(rng, items) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+// Fisher-Yates shuffle returning a new array
+function shuffle(rng, items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = { hashString, createRng, randomInt, pick, shuffle };
@@ -0,0 +1,194 @@
+// lib/rate-limit.js - Per-client request rate limits and daily question quotas
+// Each client (an API key from API_KEYS when it sends X-API-Key, otherwise its IP address) may
+// make `requestsPerMinute` generation requests per minute and receive
+// `questionsPerDay` questions per UTC day. A request reserves its question count up
+// front so parallel requests cannot overshoot the quota; whatever a generation does
+// not deliver is refunded afterwards. Counters live in a store: memory, or a JSON
+// file so limits survive restarts.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counters in memory; every record carries the time it stops mattering (resetAt)
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    get: key => records.get(key) || null,
+    set: (key, record) => { records.set(key, record); },
+    prune(now) {
+      for (const [key, record] of records) {
+        if (record.resetAt <= now) records.delete(key);
+      }
+    },
+    entries: () => Array.from(records.entries()),
+    size: () => records.size
+  };
+}
+
+// Same as the memory store, written through to a JSON file
+function createFileStore(filePath) {
+  const memory = createMemoryStore();
+  if (fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(saved.records || {}).forEach(([key, record]) => memory.set(key, record));
+    } catch (error) {
+      console.error(`⚠️ Could not read rate limit store ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ records: Object.fromEntries(memory.entries()) }));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    ...memory,
+    set(key, record) {
+      memory.set(key, record);
+      save();
+    },
+    prune(now) {
+      const before = memory.size();
+      memory.prune(now);
+      if (memory.size() !== before) save();
+    }
+  };
+}
+
+// Start of the next UTC day
+function nextUtcMidnight(now) {
+  return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+function createRateLimiter({ store = createMemoryStore(), requestsPerMinute = 60, questionsPerDay = 1000, now = Date.now } = {}) {
+  let lastPrune = 0;
+
+  function current(key, windowEnd) {
+    const time = now();
+    if (time - lastPrune > MINUTE_MS) {
+      store.prune(time);
+      lastPrune = time;
+    }
+    const record = store.get(key);
+    return record && record.resetAt > time ? record : { used: 0, resetAt: windowEnd(time) };
+  }
+
+  const minuteWindow = time => time + MINUTE_MS;
+
+  function view(limit, record, allowed = true) {
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - record.used),
+      resetAt: record.resetAt,
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((record.resetAt - now()) / 1000))
+    };
+  }
+
+  // Count one request against the per-minute limit
+  function hitRequest(client) {
+    const key = `requests:${client}`;
+    const record = current(key, minuteWindow);
+    if (record.used >= requestsPerMinute) return view(requestsPerMinute, record, false);
+    const updated = { used: record.used + 1, resetAt: record.resetAt };
+    store.set(key, updated);
+    return view(requestsPerMinute, updated);
+  }
+
+  // Reserve `count` questions from today's quota; nothing is reserved when it does not fit
+  function reserveQuestions(client, count) {
+    const key = `questions:${client}`;
+    const record = current(key, nextUtcMidnight);
+    if (record.used + count > questionsPerDay) return view(questionsPerDay, record, false);
+    const updated = { used: record.used + count, resetAt: record.resetAt };
+    if (count > 0) store.set(key, updated);
+    return view(questionsPerDay, updated);
+  }
+
+  // Give back reserved questions that were not delivered
+  function refundQuestions(client, count) {
+    if (!(count > 0)) return;
+    const key = `questions:${client}`;
+    const record = store.get(key);
+    if (!record || record.resetAt <= now()) return;
+    store.set(key, { used: Math.max(0, record.used - count), resetAt: record.resetAt });
+  }
+
+  // Current standing without counting anything
+  function status(client) {
+    return {
+      requests: view(requestsPerMinute, current(`requests:${client}`, minuteWindow)),
+      questions: view(questionsPerDay, current(`questions:${client}`, nextUtcMidnight))
+    };
+  }
+
+  return { hitRequest, reserveQuestions, refundQuestions, status, limits: { requestsPerMinute, questionsPerDay } };
+}
+
+// "key:<hash>" for clients sending one of `apiKeys` as X-API-Key, else "ip:<address>".
+// Unknown keys count as no key: otherwise a fresh random key would mean fresh limits.
+function clientKey(req, apiKeys = []) {
+  const apiKey = (req.get('X-API-Key') || '').trim();
+  if (apiKey && apiKeys && apiKeys.includes(apiKey)) {
+    return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+  }
+  return `ip:${req.ip || (req.socket && req.socket.remoteAddress) || 'unknown'}`;
+}
+
+function setLimitHeaders(res, prefix, state) {
+  res.set(`${prefix}-Limit`, String(state.limit));
+  res.set(`${prefix}-Remaining`, String(state.remaining));
+  res.set(`${prefix}-Reset`, String(Math.ceil(state.resetAt / 1000)));
+}
+
+// Express middleware: per-minute limit, then the daily quota for questionCount(req)
+// questions. The reservation is left in res.locals.rateLimit for the route to settle.
+function createRateLimitMiddleware(limiter, { questionCount = () => 0, getClientKey = clientKey } = {}) {
+  return (req, res, next) => {
+    const client = getClientKey(req);
+
+    const requests = limiter.hitRequest(client);
+    setLimitHeaders(res, 'X-RateLimit', requests);
+    if (!requests.allowed) {
+      res.set('Retry-After', String(requests.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Limit is ${requests.limit} per minute; try again in ${requests.retryAfterSeconds}s.`,
+        retryAfter: requests.retryAfterSeconds
+      });
+    }
+
+    const count = questionCount(req);
+    const questions = limiter.reserveQuestions(client, count);
+    setLimitHeaders(res, 'X-Quota', questions);
+    if (!questions.allowed) {
+      res.set('Retry-After', String(questions.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: `Daily question quota reached: ${questions.remaining} of ${questions.limit} questions left today, ${count} requested.`,
+        retryAfter: questions.retryAfterSeconds,
+        quota: { limit: questions.limit, remaining: questions.remaining, resetAt: new Date(questions.resetAt).toISOString() }
+      });
+    }
+
+    res.locals.rateLimit = { client, reserved: count };
+    next();
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createRateLimiter,
+  createRateLimitMiddleware,
+  clientKey,
+  setLimitHeaders
+};
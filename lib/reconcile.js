@@ -0,0 +1,195 @@
+// lib/reconcile.js - Fit a generated paper to its planned parts
+// A paper is planned as parts ({ subject, difficulty, topic?, count }). Reconciling
+// drops duplicates and near-duplicates (optionally also of questions the student has
+// already seen), asks the provider for exactly what each part is still missing, fills
+// what remains with off-target questions of the right subject, drops the surplus and
+// reports what could not be filled as `shortfall`. Generation, verification and
+// banking are passed in by the caller.
+
+const { createDuplicateIndex } = require('./dedup');
+const { subjectKey } = require('./question-bank');
+
+const MAX_BACKFILL_ROUNDS = 2;
+
+// Does a question count toward a planned part (subject and difficulty, plus topic when
+// requested)? matchesTopic(question, topic) decides topic matches.
+function fitsPart(question, part, { testFormat, topic, matchesTopic = () => true } = {}) {
+  if (part.subject && subjectKey(question.subject) !== subjectKey(part.subject)) return false;
+  if (part.topic && !matchesTopic(question, part.topic)) return false;
+  if (testFormat === 'topic-test' && topic && !matchesTopic(question, topic)) return false;
+  if (part.difficulty && question.difficulty !== part.difficulty) return false;
+  return true;
+}
+
+// Assign questions to parts up to each part's target; the rest are left over
+function allocateToParts(questions, parts, options) {
+  const allocation = parts.map(part => ({ part, questions: [] }));
+  const leftover = [];
+  for (const question of questions) {
+    const slot = allocation.find(a => a.questions.length < a.part.count && fitsPart(question, a.part, options));
+    if (slot) slot.questions.push(question);
+    else leftover.push(question);
+  }
+  return { allocation, leftover };
+}
+
+// Parts still short of their target: [{ part, missing }]
+function findGaps(allocation) {
+  return allocation
+    .map(a => ({ part: a.part, missing: a.part.count - a.questions.length }))
+    .filter(gap => gap.missing > 0);
+}
+
+// Top up short parts with leftover questions of the right subject (any difficulty or
+// topic) rather than ship short; returns how many were used
+function fillOffTarget(allocation, leftover) {
+  let offTarget = 0;
+  for (const slot of allocation) {
+    while (slot.questions.length < slot.part.count) {
+      const index = leftover.findIndex(q => !slot.part.subject || subjectKey(q.subject) === subjectKey(slot.part.subject));
+      if (index === -1) break;
+      slot.questions.push(leftover.splice(index, 1)[0]);
+      offTarget++;
+    }
+  }
+  return offTarget;
+}
+
+// Full tests are assembled in syllabus order (Biology → ... → Logical Reasoning)
+function sortBySubjectOrder(questions, parts) {
+  if (parts.length < 2) return questions;
+  const subjectOrder = parts.map(part => subjectKey(part.subject));
+  return questions
+    .map((q, index) => ({ q, index, rank: subjectOrder.indexOf(subjectKey(q.subject)) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ q }) => q);
+}
+
+// Request for one gap: the part's subject, topic and difficulty, missing questions
+function gapParams(params, { part, missing }) {
+  return {
+    ...params,
+    testFormat: part.topic ? 'topic-test' : params.testFormat === 'full-test' ? 'subject-test' : params.testFormat,
+    selectedSubject: part.subject || params.selectedSubject,
+    topic: part.topic || (params.testFormat === 'topic-test' ? params.topic : null),
+    difficulty: part.difficulty,
+    questionCount: missing
+  };
+}
+
+// Reconcile `questions` with `parts`. Only params.mode 'ai' backfills.
+//   generate(gapParams)    resolves to validated questions for one gap
+//   verify(questions)      resolves to { questions, dropped } (default keeps everything)
+//   onBackfill(questions)  called with the fresh questions kept from each round
+//   onProgress(event)      'backfill' events with the round and its gaps
+//   matchesTopic(question, topic)
+async function reconcilePaper(questions, params, {
+  parts,
+  generate,
+  verify = async list => ({ questions: list, dropped: 0 }),
+  onBackfill = () => {},
+  onProgress = () => {},
+  matchesTopic,
+  seenQuestions = [],
+  maxRounds = MAX_BACKFILL_ROUNDS
+}) {
+  const fitOptions = { testFormat: params.testFormat, topic: params.topic, matchesTopic };
+  const verificationStats = { dropped: 0 };
+  const verifyAll = async list => {
+    const { questions: kept, dropped } = await verify(list);
+    verificationStats.dropped += dropped;
+    return kept;
+  };
+
+  const duplicates = createDuplicateIndex();
+  const seen = new Set(seenQuestions);
+  seenQuestions.forEach(q => duplicates.add(q));
+
+  const duplicateStats = { removed: 0, againstSeen: 0 };
+  const keepUnique = list => list.filter(q => {
+    const match = duplicates.findDuplicate(q);
+    if (match) {
+      duplicateStats.removed++;
+      if (seen.has(match.question)) duplicateStats.againstSeen++;
+      return false;
+    }
+    duplicates.add(q);
+    return true;
+  });
+
+  let pool = keepUnique(questions);
+  if (duplicateStats.removed > 0) {
+    console.log(`🧬 Removed ${duplicateStats.removed} duplicate question(s) (${duplicateStats.againstSeen} already seen)`);
+  }
+  pool = await verifyAll(pool);
+  let backfilled = 0;
+
+  for (let round = 1; round <= maxRounds && params.mode === 'ai'; round++) {
+    const gaps = findGaps(allocateToParts(pool, parts, fitOptions).allocation);
+    if (gaps.length === 0) break;
+
+    console.log(`🩹 Backfill round ${round}: ${gaps.map(g => `${g.part.subject || 'questions'} (${g.part.difficulty}) +${g.missing}`).join(', ')}`);
+    onProgress({
+      type: 'backfill',
+      round,
+      gaps: gaps.map(g => ({ subject: g.part.subject, difficulty: g.part.difficulty, missing: g.missing }))
+    });
+
+    const results = await Promise.all(gaps.map(async gap => {
+      try {
+        const generated = await generate(gapParams(params, gap));
+        return generated.map(q => {
+          if (gap.part.topic) return { ...q, subject: gap.part.subject, topic: gap.part.topic };
+          return params.testFormat === 'full-test' ? { ...q, subject: gap.part.subject } : q;
+        });
+      } catch (error) {
+        console.error(`❌ Backfill for ${gap.part.subject || 'questions'} failed:`, error.message);
+        return [];
+      }
+    }));
+
+    const fresh = await verifyAll(keepUnique(results.flat()));
+    if (fresh.length > 0) onBackfill(fresh);
+
+    backfilled += fresh.length;
+    pool = [...pool, ...fresh];
+  }
+
+  const { allocation, leftover } = allocateToParts(pool, parts, fitOptions);
+  const offTarget = fillOffTarget(allocation, leftover);
+
+  const missingBySubject = {};
+  for (const slot of allocation) {
+    const missing = slot.part.count - slot.questions.length;
+    const key = slot.part.subject || 'any';
+    if (missing > 0) missingBySubject[key] = (missingBySubject[key] || 0) + missing;
+  }
+  const missing = Object.values(missingBySubject).reduce((sum, n) => sum + n, 0);
+  if (missing > 0) {
+    console.log(`⚠️ Unresolved shortfall: ${JSON.stringify(missingBySubject)}`);
+  }
+
+  return {
+    questions: sortBySubjectOrder(allocation.flatMap(slot => slot.questions), parts),
+    shortfall: {
+      requested: params.questionCount,
+      missing,
+      bySubject: missingBySubject,
+      backfilled,
+      offTarget,
+      resolved: missing === 0
+    },
+    duplicates: duplicateStats,
+    verification: verificationStats
+  };
+}
+
+module.exports = {
+  reconcilePaper,
+  fitsPart,
+  allocateToParts,
+  findGaps,
+  fillOffTarget,
+  sortBySubjectOrder,
+  MAX_BACKFILL_ROUNDS
+};
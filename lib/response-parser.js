@@ -0,0 +1,191 @@
+// lib/response-parser.js - Tolerant parsing of model responses into question arrays
+// Models wrap JSON in code fences, break escaping, leave trailing commas or get cut
+// off at the output token limit. Instead of losing the whole batch we recover every
+// complete question object and report how many were salvaged versus lost.
+
+// JSON Schema for a generation response; providers translate it to their own format
+const QUESTION_RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      question: { type: 'string' },
+      options: { type: 'array', items: { type: 'string' }, minItems: 4, maxItems: 4 },
+      answer: { type: 'string', enum: ['A', 'B', 'C', 'D'] },
+      explanation: { type: 'string' },
+      subject: { type: 'string' },
+      topic: { type: 'string' },
+      difficulty: { type: 'string', enum: ['easy', 'moderate', 'difficult'] },
+      year: { type: 'integer' },
+      source: { type: 'string' }
+    },
+    required: ['question', 'options', 'answer', 'explanation', 'subject', 'topic', 'difficulty']
+  }
+};
+
+const VALID_ESCAPES = new Set(['"', '\\', '/', 'b', 'f', 'n', 'r', 't', 'u']);
+
+function stripCodeFences(text) {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  return fenced ? fenced[1].trim() : trimmed;
+}
+
+function nextNonSpace(text, from) {
+  for (let i = from; i < text.length; i++) {
+    if (!/\s/.test(text[i])) return text[i];
+  }
+  return '';
+}
+
+// Fix the escaping mistakes models make: invalid escapes (\' or LaTeX-style \alpha),
+// raw newlines inside strings, unescaped inner quotes and trailing commas.
+function repairJson(text) {
+  let out = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') {
+        const next = text[i + 1];
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+          out += text.slice(i, i + 6);
+          i += 5;
+        } else if (next !== undefined && next !== 'u' && VALID_ESCAPES.has(next)) {
+          out += char + next;
+          i++;
+        } else if (next === "'") {
+          out += "'";
+          i++;
+        } else {
+          out += '\\\\';
+        }
+      } else if (char === '"') {
+        // A quote not followed by a structural character is part of the text
+        if ([',', '}', ']', ':', ''].includes(nextNonSpace(text, i + 1))) {
+          inString = false;
+          out += char;
+        } else {
+          out += '\\"';
+        }
+      } else if (char === '\n') {
+        out += '\\n';
+      } else if (char === '\r') {
+        out += '\\r';
+      } else if (char === '\t') {
+        out += '\\t';
+      } else {
+        out += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',' && ['}', ']'].includes(nextNonSpace(text, i + 1))) {
+      continue;
+    }
+    out += char;
+  }
+
+  return out;
+}
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false };
+  }
+}
+
+// Where the question array starts: a bare array or { "questions": [ ... ] }
+function findArrayStart(text) {
+  const keyed = text.search(/"questions"\s*:\s*\[/);
+  if (keyed !== -1) return text.indexOf('[', keyed);
+  return text.indexOf('[');
+}
+
+// Walk the array and cut out each top-level object, tolerating a missing tail
+function extractObjects(text, start) {
+  const objects = [];
+  let depth = 0;
+  let inString = false;
+  let objectStart = -1;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      if (char === '{' && depth === 1) objectStart = i;
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (char === '}' && depth === 1 && objectStart !== -1) {
+        objects.push(text.slice(objectStart, i + 1));
+        objectStart = -1;
+      }
+      if (depth === 0) return { objects, truncated: false };
+    }
+  }
+
+  return { objects, truncated: true, partial: objectStart !== -1 };
+}
+
+function asQuestionList(value) {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.questions)) return value.questions;
+  return null;
+}
+
+// Parse a model response. Returns { questions, report } where report is
+// { strategy: 'json' | 'salvage' | 'none', salvaged, lost, repaired, truncated }.
+function parseQuestionResponse(text) {
+  const cleaned = stripCodeFences(text);
+
+  const direct = tryParse(cleaned);
+  const directList = direct.ok ? asQuestionList(direct.value) : null;
+  if (directList) {
+    return {
+      questions: directList,
+      report: { strategy: 'json', salvaged: directList.length, lost: 0, repaired: 0, truncated: false }
+    };
+  }
+
+  const start = findArrayStart(cleaned);
+  if (start === -1) {
+    return { questions: [], report: { strategy: 'none', salvaged: 0, lost: 0, repaired: 0, truncated: false } };
+  }
+
+  const { objects, truncated, partial } = extractObjects(cleaned, start);
+  const questions = [];
+  let lost = partial ? 1 : 0;
+  let repaired = 0;
+
+  for (const objectText of objects) {
+    let parsed = tryParse(objectText);
+    if (!parsed.ok) {
+      parsed = tryParse(repairJson(objectText));
+      if (parsed.ok) repaired++;
+    }
+    if (parsed.ok && parsed.value && typeof parsed.value === 'object') questions.push(parsed.value);
+    else lost++;
+  }
+
+  return {
+    questions,
+    report: { strategy: 'salvage', salvaged: questions.length, lost, repaired, truncated }
+  };
+}
+
+module.exports = { parseQuestionResponse, repairJson, stripCodeFences, QUESTION_RESPONSE_SCHEMA };
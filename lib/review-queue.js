@@ -0,0 +1,143 @@
+// lib/review-queue.js - Spaced-repetition review cards for missed and flagged questions
+// Every question a signed-in student gets wrong or flags becomes a card scheduled
+// with SM-2: a correct review (quality 3-5) pushes the next one out to 1 day, then
+// 6 days, then interval x easiness; a miss (quality 0-2) starts the card over at
+// 1 day. Easiness starts at 2.5 and never drops below 1.3. A card may carry a fresh
+// variant of its question, which the next review is graded against. Cards are kept
+// per user in one JSON file under `dir`, or only in memory without a dir.
+
+const fs = require('fs');
+const path = require('path');
+const { questionKey } = require('./question-bank');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASINESS = 1.3;
+const USER_ID_PATTERN = /^[a-f0-9]{16}$/;
+const QUESTION_FIELDS = ['question', 'options', 'answer', 'explanation', 'subject', 'topic', 'difficulty', 'source', 'year'];
+
+const snapshot = question => Object.fromEntries(QUESTION_FIELDS.filter(field => question[field] !== undefined).map(field => [field, question[field]]));
+
+// SM-2 step for a review of the given quality (0-5); returns the new schedule fields
+function sm2(card, quality) {
+  const easiness = Math.max(MIN_EASINESS, card.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  if (quality < 3) {
+    return { easiness, repetitions: 0, intervalDays: 1, lapses: card.lapses + 1 };
+  }
+  const repetitions = card.repetitions + 1;
+  const intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.intervalDays * easiness);
+  return { easiness, repetitions, intervalDays, lapses: card.lapses };
+}
+
+function createReviewStore({ dir = null, now = Date.now } = {}) {
+  const memory = new Map();
+
+  const filePath = userId => path.join(dir, `${userId}.json`);
+
+  function load(userId) {
+    if (!USER_ID_PATTERN.test(String(userId))) return {};
+    if (!dir) return memory.get(userId) || {};
+    return fs.existsSync(filePath(userId)) ? JSON.parse(fs.readFileSync(filePath(userId), 'utf8')) : {};
+  }
+
+  function save(userId, cards) {
+    if (!dir) {
+      memory.set(userId, cards);
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = `${filePath(userId)}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(cards));
+    fs.renameSync(tmpPath, filePath(userId));
+  }
+
+  // Queue questions ([{ question, reason }]) for review from tomorrow. A question
+  // already in the queue starts over, since it was just missed again.
+  function add(userId, entries, { paperId = null } = {}) {
+    if (!USER_ID_PATTERN.test(String(userId)) || entries.length === 0) return [];
+    const cards = load(userId);
+    const time = now();
+    const added = entries.map(({ question, reason }) => {
+      const id = questionKey(question);
+      const existing = cards[id];
+      cards[id] = {
+        id,
+        question: snapshot(question),
+        reason,
+        paperId: paperId || (existing && existing.paperId) || null,
+        addedAt: existing ? existing.addedAt : new Date(time).toISOString(),
+        easiness: existing ? existing.easiness : 2.5,
+        repetitions: 0,
+        intervalDays: 1,
+        lapses: existing ? existing.lapses + (reason === 'incorrect' ? 1 : 0) : 0,
+        reviews: existing ? existing.reviews : 0,
+        dueAt: time + DAY_MS,
+        variant: null
+      };
+      return cards[id];
+    });
+    save(userId, cards);
+    return added;
+  }
+
+  // Cards due now, most overdue first
+  function due(userId, { limit = 20 } = {}) {
+    const time = now();
+    return Object.values(load(userId))
+      .filter(card => card.dueAt <= time)
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .slice(0, limit);
+  }
+
+  function get(userId, cardId) {
+    return load(userId)[cardId] || null;
+  }
+
+  // Grade an answer to a card (against its variant when it has one) and reschedule it.
+  // quality defaults to 4 for a correct answer and 1 for a wrong one.
+  function review(userId, cardId, { answer, quality } = {}) {
+    const cards = load(userId);
+    const card = cards[cardId];
+    if (!card) return null;
+
+    const shown = card.variant || card.question;
+    const correctAnswer = String(shown.answer || '').trim().toUpperCase();
+    const correct = String(answer || '').trim().toUpperCase() === correctAnswer;
+    const grade = correct ? (Number.isInteger(quality) && quality >= 3 && quality <= 5 ? quality : 4) : 1;
+
+    const schedule = sm2(card, grade);
+    cards[cardId] = {
+      ...card,
+      ...schedule,
+      reviews: card.reviews + 1,
+      lastReviewedAt: new Date(now()).toISOString(),
+      dueAt: now() + schedule.intervalDays * DAY_MS,
+      variant: null
+    };
+    save(userId, cards);
+    return { card: cards[cardId], correct, correctAnswer, explanation: shown.explanation || null, quality: grade };
+  }
+
+  // Attach a freshly generated variant that the next review will show and grade
+  function setVariant(userId, cardId, question) {
+    const cards = load(userId);
+    if (!cards[cardId]) return null;
+    cards[cardId] = { ...cards[cardId], variant: snapshot(question) };
+    save(userId, cards);
+    return cards[cardId];
+  }
+
+  function stats(userId) {
+    const cards = Object.values(load(userId));
+    const time = now();
+    const upcoming = cards.filter(card => card.dueAt > time).map(card => card.dueAt);
+    return {
+      total: cards.length,
+      due: cards.filter(card => card.dueAt <= time).length,
+      nextDueAt: upcoming.length > 0 ? new Date(Math.min(...upcoming)).toISOString() : null
+    };
+  }
+
+  return { add, due, get, review, setVariant, stats };
+}
+
+module.exports = { createReviewStore, sm2, DAY_MS };
@@ -0,0 +1,127 @@
+// lib/scheduler.js - Concurrency limiter for provider calls
+// Runs at most `maxConcurrent` tasks at once. When a task fails with a 429/503 the
+// whole scheduler pauses before starting anything new, doubling the pause on each
+// further rate-limit error (or honouring Retry-After) and halving it on success.
+// scheduleWithRetries() gives every call, single or side by side, the same
+// `maxAttempts` attempts.
+
+const RATE_LIMIT_STATUSES = [429, 503];
+
+function isRateLimitError(error) {
+  return !!error && RATE_LIMIT_STATUSES.includes(error.upstreamStatus);
+}
+
+// Wait before retrying after a failed attempt: 2s, 4s, 8s, then 10s
+function defaultRetryDelay(attempt) {
+  return Math.min(Math.pow(2, attempt) * 1000, 10000);
+}
+
+function createScheduler({
+  maxConcurrent = 3,
+  maxAttempts = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000,
+  retryDelay = defaultRetryDelay,
+  now = Date.now
+} = {}) {
+  const limit = Math.max(1, maxConcurrent);
+  const queue = [];
+  let active = 0;
+  let backoffMs = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  function onRateLimit(error) {
+    const doubled = backoffMs > 0 ? backoffMs * 2 : baseDelayMs;
+    backoffMs = Math.min(maxDelayMs, Math.max(doubled, error.retryAfterMs || 0));
+    pausedUntil = Math.max(pausedUntil, now() + backoffMs);
+    console.log(`🚦 Provider rate limited (status ${error.upstreamStatus}), pausing calls for ${backoffMs}ms`);
+  }
+
+  function onSuccess() {
+    backoffMs = backoffMs / 2 < baseDelayMs ? 0 : Math.floor(backoffMs / 2);
+  }
+
+  function drain() {
+    while (active < limit && queue.length > 0) {
+      const wait = pausedUntil - now();
+      if (wait > 0) {
+        if (!timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            drain();
+          }, wait);
+          if (timer.unref) timer.unref();
+        }
+        return;
+      }
+
+      const item = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(item.task)
+        .then(
+          result => {
+            onSuccess();
+            item.resolve(result);
+          },
+          error => {
+            if (isRateLimitError(error)) onRateLimit(error);
+            item.reject(error);
+          }
+        )
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+
+  // Queue `task` (a function returning a promise); resolves with its result
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  // Run task(attempt, attempts) through the queue up to maxAttempts times. The task
+  // resolves to { value } when done, or { retry: true } to go again straight away (an
+  // empty or partial result). A failed attempt is retried after retryDelay(attempt),
+  // or once the pause is over for a rate limit; onRetry(error, attempt, attempts) is
+  // called before each such retry.
+  async function scheduleWithRetries(task, { onRetry = () => {} } = {}) {
+    const attempts = Math.max(1, maxAttempts);
+    let lastError = null;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const outcome = await schedule(() => task(attempt, attempts));
+        if (!outcome.retry) return outcome.value;
+        lastError = null;
+      } catch (error) {
+        lastError = error;
+        console.error(`❌ Attempt ${attempt} failed:`, error.message);
+        if (attempt === attempts) break;
+
+        onRetry(error, attempt, attempts);
+        // Rate limits pause the scheduler itself, so the retry just queues up again
+        if (isRateLimitError(error)) continue;
+
+        const waitMs = retryDelay(attempt);
+        if (waitMs > 0) {
+          console.log(`⏳ Waiting ${waitMs}ms before retry...`);
+          await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+      }
+    }
+    throw lastError || new Error(`No result after ${attempts} attempts`);
+  }
+
+  function stats() {
+    return { maxConcurrent: limit, maxAttempts, active, queued: queue.length, backoffMs };
+  }
+
+  return { schedule, scheduleWithRetries, stats };
+}
+
+module.exports = { createScheduler, isRateLimitError };
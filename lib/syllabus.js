@@ -0,0 +1,172 @@
+// lib/syllabus.js - Versioned syllabus definitions and fuzzy topic search
+// Each exam year's syllabus lives in data/syllabus/<version>.json as
+// { "version": "2025", "title", "totalQuestions", "subjects": { "biology": { "name",
+//   "weight", "topics": [{ "topic", "subtopics", "objectives" }] } } }
+// Topic strings look like "Bioenergetics (Respiration)": the part before the brackets
+// is the topic name and the bracketed list its core subtopics; `subtopics` adds more
+// so searches like "krebs cycle" land on the right topic. Matching tolerates typos
+// and partial words so it can drive autocomplete.
+
+const fs = require('fs');
+const path = require('path');
+const { subjectKey } = require('./question-bank');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'syllabus');
+
+const SUBJECT_NAMES = {
+  biology: 'Biology',
+  chemistry: 'Chemistry',
+  physics: 'Physics',
+  english: 'English',
+  logical: 'Logical Reasoning'
+};
+
+const MIN_SEARCH_SCORE = 0.5;
+const MIN_RESOLVE_SCORE = 0.7;
+
+// Read every <version>.json; returns { versions: [...oldest first], byVersion: { "2025": syllabus } }
+function loadSyllabi(dir = DEFAULT_DIR) {
+  const byVersion = {};
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+      const syllabus = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const version = String(syllabus.version || path.basename(file, '.json'));
+      const weights = Object.values(syllabus.subjects || {}).reduce((sum, s) => sum + (s.weight || 0), 0);
+      if (Math.abs(weights - 1) > 0.001) {
+        throw new Error(`Syllabus ${version}: subject weights add up to ${weights}, expected 1`);
+      }
+      byVersion[version] = { ...syllabus, version };
+    }
+  }
+  return { versions: Object.keys(byVersion).sort(), byVersion };
+}
+
+// "Enzymes (Enzyme Action, Inhibitors)" -> { name: 'Enzymes', subtopics: ['Enzyme Action', 'Inhibitors'] }
+function parseTopic(topic) {
+  const match = String(topic).match(/^([^(]+?)\s*\((.*)\)\s*$/);
+  if (!match) return { name: String(topic).trim(), subtopics: [] };
+  return {
+    name: match[1].trim(),
+    subtopics: match[2].split(',').map(s => s.trim()).filter(Boolean)
+  };
+}
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]s\b/g, 's')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Light stemming so "enzymes" finds "Enzyme Action"
+function tokens(text) {
+  return normalize(text).split(' ').filter(Boolean)
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Optimal string alignment distance (edits, counting a swap of neighbours as one)
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function tokenScore(queryToken, targetToken) {
+  if (queryToken === targetToken) return 1;
+  if (queryToken.length >= 2 && targetToken.startsWith(queryToken)) return 0.9;
+  const allowed = queryToken.length <= 3 ? 0 : queryToken.length <= 6 ? 1 : 2;
+  const distance = editDistance(queryToken, targetToken);
+  return distance <= allowed ? 0.85 - 0.15 * (distance - 1) : 0;
+}
+
+// 1 for an exact match, high for prefixes, lower for typo-tolerant word matches
+function phraseScore(query, target) {
+  const q = normalize(query);
+  const t = normalize(target);
+  if (!q || !t) return 0;
+  if (q === t) return 1;
+  if (t.startsWith(q)) return 0.97;
+  if (` ${t} `.includes(` ${q}`)) return 0.93;
+
+  const queryTokens = tokens(query);
+  const targetTokens = tokens(target);
+  const scores = queryTokens.map(qt => Math.max(0, ...targetTokens.map(tt => tokenScore(qt, tt))));
+  const average = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  return scores.every(s => s > 0) ? average * 0.88 : average * 0.5;
+}
+
+// syllabus: one version as loaded by loadSyllabi
+function createSyllabusIndex(syllabus) {
+  const subjects = Object.entries(syllabus.subjects).map(([key, info]) => ({
+    key,
+    name: info.name || SUBJECT_NAMES[key] || key,
+    percentage: info.weight,
+    topics: info.topics.map(entry => {
+      const { name, subtopics } = parseTopic(entry.topic);
+      const extra = (entry.subtopics || []).filter(s => !subtopics.includes(s));
+      return { topic: entry.topic, name, subtopics: [...subtopics, ...extra], objectives: entry.objectives || [] };
+    })
+  }));
+
+  function getSubject(subject) {
+    const key = subjectKey(subject) || String(subject || '').toLowerCase();
+    return subjects.find(s => s.key === key) || null;
+  }
+
+  // Best-first matches: [{ subject, subjectKey, topic, name, subtopic, score }]
+  function search(query, { subject, limit = 10 } = {}) {
+    if (!normalize(query)) return [];
+    const scope = subject ? [getSubject(subject)].filter(Boolean) : subjects;
+
+    const results = [];
+    for (const s of scope) {
+      for (const entry of s.topics) {
+        let best = { score: Math.max(phraseScore(query, entry.name), phraseScore(query, entry.topic)), subtopic: null };
+        for (const subtopic of entry.subtopics) {
+          // Slightly below the topic name so "Enzymes" prefers the topic over "Enzyme Action"
+          const score = phraseScore(query, subtopic) * 0.98;
+          if (score > best.score) best = { score, subtopic };
+        }
+        if (best.score >= MIN_SEARCH_SCORE) {
+          results.push({
+            subject: s.name,
+            subjectKey: s.key,
+            topic: entry.topic,
+            name: entry.name,
+            subtopic: best.subtopic,
+            score: Math.round(best.score * 1000) / 1000
+          });
+        }
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // The canonical topic a free-text query most likely means, or null
+  function resolveTopic(query, { subject } = {}) {
+    const [best] = search(query, { subject, limit: 1 });
+    return best && best.score >= MIN_RESOLVE_SCORE ? best : null;
+  }
+
+  return {
+    version: syllabus.version,
+    subjects: () => subjects,
+    getSubject,
+    search,
+    resolveTopic
+  };
+}
+
+module.exports = { loadSyllabi, createSyllabusIndex, parseTopic, SUBJECT_NAMES, DEFAULT_DIR };
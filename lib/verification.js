@@ -0,0 +1,169 @@
+// lib/verification.js - Answer-key verification for generated questions
+// Each question is re-solved without its key (one or more independent solves,
+// majority vote) and the explanation is checked for which option it supports.
+// The key, the explanation and the re-solve are then reconciled into a
+// `verification` status:
+//   verified   - re-solve agrees with the key and the explanation does not contradict it
+//   corrected  - key was wrong but the re-solve and the explanation agree; answer fixed
+//   disputed   - key, explanation and re-solve disagree
+//   unverified - no re-solve was available and nothing contradicts the key
+//   trusted    - official past-paper key, not re-solved
+
+const { parseQuestionResponse } = require('./response-parser');
+const { normalizeText } = require('./dedup');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+const SOLVE_RESPONSE_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer' },
+      answer: { type: 'string', enum: LETTERS }
+    },
+    required: ['index', 'answer']
+  }
+};
+
+function buildSolvePrompt(questions) {
+  const list = questions.map((q, i) => {
+    const options = q.options.map((option, j) => `   ${LETTERS[j]}) ${option}`).join('\n');
+    return `${i + 1}. ${q.question}\n${options}`;
+  }).join('\n\n');
+
+  return `You are an expert MDCAT examiner. Solve each multiple-choice question below independently.
+Work out the correct option yourself; do not guess from option position.
+
+${list}
+
+Reply with ONLY a JSON array, one entry per question:
+[{"index": 1, "answer": "B"}]`;
+}
+
+// Which option the explanation supports: an explicit "answer is B"/"correct option (B)"
+// reference, else the single option it quotes, else the single option it mentions.
+// Options restated from the stem (given values) do not count as mentions.
+function explanationAnswer(question) {
+  const explanation = String(question.explanation || '');
+  if (!explanation) return null;
+
+  // Only the keywords ignore case: a lowercase "answer is a ..." is a word, not option A
+  const explicit = explanation.match(/\b(?:[Cc]orrect\s+(?:[Aa]nswer|[Oo]ption|[Cc]hoice)|[Aa]nswer|ANSWER)\s*(?:is|IS|:)?\s*\(?([A-D])\)?(?![\w'])/);
+  if (explicit) return explicit[1];
+
+  const options = (question.options || []).map((option, i) => ({ letter: LETTERS[i], raw: String(option).trim() }));
+  const lowered = explanation.toLowerCase();
+  const quoted = options.filter(({ raw }) => raw && ['"', "'", '“'].some(q => lowered.includes(`${q}${raw.toLowerCase()}`)));
+  if (quoted.length === 1) return quoted[0].letter;
+
+  const stem = ` ${normalizeText(question.question)} `;
+  const text = ` ${normalizeText(explanation)} `;
+  const mentioned = options
+    .map(({ letter, raw }) => ({ letter, option: normalizeText(raw) }))
+    .filter(({ option }) => option.length >= 2 && !stem.includes(` ${option} `) &&
+      [` ${option} `, ` ${option}s `, ` ${option}es `].some(form => text.includes(form)));
+
+  return mentioned.length === 1 ? mentioned[0].letter : null;
+}
+
+function majority(votes) {
+  const counts = {};
+  votes.filter(Boolean).forEach(vote => { counts[vote] = (counts[vote] || 0) + 1; });
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || (ranked[1] && ranked[1][1] === ranked[0][1])) return null;
+  return ranked[0][0];
+}
+
+// Combine key, explanation and votes into { answer, verification }
+function decideVerification(question, votes, checkedBy) {
+  const keyed = question.answer;
+  const solved = majority(votes);
+  const explained = explanationAnswer(question);
+  const details = { checkedBy, votes, solvedAnswer: solved, explanationAnswer: explained };
+
+  if (!solved) {
+    const status = explained && explained !== keyed ? 'disputed' : 'unverified';
+    return { answer: keyed, verification: { status, ...details } };
+  }
+  if (solved === keyed) {
+    const status = explained && explained !== keyed ? 'disputed' : 'verified';
+    return { answer: keyed, verification: { status, ...details } };
+  }
+  if (explained === solved) {
+    return { answer: solved, verification: { status: 'corrected', originalAnswer: keyed, ...details } };
+  }
+  return { answer: keyed, verification: { status: 'disputed', ...details } };
+}
+
+function needsVerification(question) {
+  if (question.origin === 'past-paper') return false;
+  const existing = question.verification && question.verification.status;
+  return existing !== 'verified' && existing !== 'corrected';
+}
+
+// generate(prompt, options) resolves to raw model text; votes: independent solves per question
+function createAnswerVerifier({ generate, votes = 1, batchSize = 20, checkedBy = 'model' }) {
+  async function solveBatch(batch) {
+    const solves = await Promise.all(Array.from({ length: votes }, async () => {
+      try {
+        const text = await generate(buildSolvePrompt(batch), {
+          task: 'solve',
+          questions: batch.map(q => ({ question: q.question, options: q.options })),
+          responseSchema: SOLVE_RESPONSE_SCHEMA
+        });
+        const answers = new Array(batch.length).fill(null);
+        for (const item of parseQuestionResponse(text).questions) {
+          const index = Number(item.index) - 1;
+          const answer = String(item.answer || '').trim().toUpperCase();
+          if (index >= 0 && index < batch.length && LETTERS.includes(answer)) answers[index] = answer;
+        }
+        return answers;
+      } catch (error) {
+        console.error('❌ Answer verification solve failed:', error.message);
+        return new Array(batch.length).fill(null);
+      }
+    }));
+
+    return batch.map((_, i) => solves.map(answers => answers[i]));
+  }
+
+  // Returns the questions with `verification` set (and `answer` fixed when corrected)
+  async function verify(questions) {
+    const pending = questions.filter(needsVerification);
+    const votesByQuestion = new Map();
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += batchSize) batches.push(pending.slice(i, i + batchSize));
+    const results = await Promise.all(batches.map(solveBatch));
+    batches.forEach((batch, b) => batch.forEach((q, i) => votesByQuestion.set(q, results[b][i])));
+
+    return questions.map(question => {
+      if (!votesByQuestion.has(question)) {
+        return question.verification ? question : { ...question, verification: { status: 'trusted' } };
+      }
+      const { answer, verification } = decideVerification(question, votesByQuestion.get(question), checkedBy);
+      return { ...question, answer, verification };
+    });
+  }
+
+  return { verify };
+}
+
+function summarizeVerification(questions) {
+  const summary = { verified: 0, corrected: 0, disputed: 0, unverified: 0, trusted: 0 };
+  questions.forEach(q => {
+    const status = q.verification && q.verification.status;
+    if (status in summary) summary[status]++;
+  });
+  return summary;
+}
+
+module.exports = {
+  createAnswerVerifier,
+  decideVerification,
+  explanationAnswer,
+  buildSolvePrompt,
+  summarizeVerification,
+  SOLVE_RESPONSE_SCHEMA
+};
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * MDCAT Question Bank Import Script
+ *
+ * Imports hand-written MCQs from CSV, JSON, Aiken or GIFT files into the question
+ * bank, with the same checks and syllabus topic mapping as POST /api/question-bank/import.
+ * Stop the server first: it keeps the bank in memory and would overwrite the import.
+ *
+ * Usage: node scripts/import-questions.js <file> [options]
+ *   --format csv|json|aiken|gift   (default: from the file extension)
+ *   --subject, --topic, --difficulty, --source   defaults for rows without them
+ *   --dry-run                      check the file without storing anything
+ *   --report <path>                write the per-row report as JSON
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createQuestionBank } = require('../lib/question-bank');
+const { loadSyllabi, createSyllabusIndex } = require('../lib/syllabus');
+const { importIntoBank, formatFromFilename, IMPORT_FORMATS } = require('../lib/question-import');
+
+const USAGE = 'Usage: node scripts/import-questions.js <file> [--format csv|json|aiken|gift] [--subject S] [--topic T] [--difficulty D] [--source S] [--dry-run] [--report report.json]';
+
+/**
+ * Parse command-line arguments into { file, format, defaults, dryRun, reportPath }
+ */
+function parseArgs(argv) {
+    const options = { file: null, format: null, defaults: {}, dryRun: false, reportPath: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--format') {
+            options.format = String(argv[++i] || '').toLowerCase();
+        } else if (arg === '--report') {
+            options.reportPath = argv[++i];
+        } else if (['--subject', '--topic', '--difficulty', '--source'].includes(arg)) {
+            options.defaults[arg.slice(2)] = argv[++i];
+        } else if (!arg.startsWith('--') && !options.file) {
+            options.file = arg;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Import one file and print the per-row report
+ */
+function importQuestions(argv) {
+    const options = parseArgs(argv);
+    if (!options.file) throw new Error(USAGE);
+
+    const format = options.format || formatFromFilename(options.file);
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new Error(`Cannot tell the format of ${options.file}; pass --format ${IMPORT_FORMATS.join('|')}`);
+    }
+
+    const config = loadConfig();
+
+    const syllabi = loadSyllabi(config.storage.syllabusDir || undefined);
+    const version = process.env.SYLLABUS_VERSION || syllabi.versions[syllabi.versions.length - 1];
+    if (!syllabi.byVersion[version]) throw new Error(`Syllabus ${version} not found. Available: ${syllabi.versions.join(', ')}`);
+
+    const bankPath = config.storage.questionBankPath || path.join(__dirname, '../storage/question-bank.json');
+    const bank = createQuestionBank({ filePath: bankPath });
+
+    console.log(`📥 Importing ${options.file} (${format}${options.dryRun ? ', dry run' : ''}) into ${bankPath}`);
+    const report = importIntoBank(bank, fs.readFileSync(options.file, 'utf8'), format, {
+        syllabusIndex: createSyllabusIndex(syllabi.byVersion[version]),
+        defaults: options.defaults,
+        rules: { enabled: config.validation.enabled, minQuestionLength: config.validation.minQuestionLength },
+        dryRun: options.dryRun,
+        author: 'cli'
+    });
+
+    report.rows.forEach(row => {
+        const icon = { imported: '✅', valid: '✅', duplicate: '⏭️', invalid: '❌' }[row.status];
+        const notes = [...row.errors, ...row.warnings].join('; ');
+        console.log(`   ${icon} Row ${row.row} ${row.status}${notes ? `: ${notes}` : ''}`);
+    });
+    console.log(`\n📊 ${report.total} rows: ${report.dryRun ? `${report.valid} valid` : `${report.imported} imported`}, ${report.duplicates} duplicate, ${report.invalid} invalid`);
+
+    if (options.reportPath) {
+        fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+        console.log(`📄 Report saved to: ${options.reportPath}`);
+    }
+    return report;
+}
+
+// Run the import if called directly
+if (require.main === module) {
+    try {
+        const report = importQuestions(process.argv.slice(2));
+        process.exitCode = report.invalid > 0 ? 1 : 0;
+    } catch (error) {
+        console.error('❌ Import Error:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { importQuestions, parseArgs };
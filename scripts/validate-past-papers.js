@@ -6,15 +6,44 @@
  * This script validates the integrity and quality of past paper questions
  * to ensure they meet MDCAT standards and format requirements.
  * 
- * Usage: node scripts/validate-past-papers.js
+ * Usage: node scripts/validate-past-papers.js [--include-samples]
+ * Reads the dataset from data/past-papers/<university>/<year>.json and checks it
+ * against the syllabus in data/syllabus/<version>.json (SYLLABUS_VERSION, default: latest)
+ * Papers marked "sample": true are not part of the real dataset and are skipped
+ * unless --include-samples is given; the report counts them separately either way.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadPastPapers, groupBySubject, DEFAULT_DIR } = require('../lib/past-papers');
+const { loadSyllabi, createSyllabusIndex } = require('../lib/syllabus');
+const { questionErrors, resolveQuestionTopic } = require('../lib/question-validation');
+
+// Dataset location (override with PAST_PAPERS_DIR)
+const PAST_PAPERS_DIR = process.env.PAST_PAPERS_DIR || DEFAULT_DIR;
+
+// Also check the sample papers (format examples, not official questions)
+const INCLUDE_SAMPLES = process.argv.includes('--include-samples');
+
+// Syllabus the dataset is checked against; questions from a year with its own
+// syllabus have their topics checked against that year instead
+const SYLLABI = loadSyllabi(process.env.SYLLABUS_DIR || undefined);
+const SYLLABUS_VERSION = process.env.SYLLABUS_VERSION || SYLLABI.versions[SYLLABI.versions.length - 1];
+const SYLLABUS = SYLLABI.byVersion[SYLLABUS_VERSION];
+if (!SYLLABUS) {
+    console.error(`❌ Syllabus ${SYLLABUS_VERSION} not found. Available: ${SYLLABI.versions.join(', ') || 'none'}`);
+    process.exit(1);
+}
+const SYLLABUS_INDEXES = Object.fromEntries(
+    SYLLABI.versions.map(version => [version, createSyllabusIndex(SYLLABI.byVersion[version])])
+);
+
+// Fields every past-paper question must have
+const REQUIRED_FIELDS = ['question', 'options', 'answer', 'subject', 'topic', 'source'];
 
-// MDCAT 2025 Standards
+// MDCAT Standards for the selected syllabus
 const MDCAT_STANDARDS = {
-    subjects: ['Biology', 'Chemistry', 'Physics', 'English', 'Logical Reasoning'],
+    subjects: Object.values(SYLLABUS.subjects).map(subject => subject.name),
     validAnswers: ['A', 'B', 'C', 'D'],
     universities: ['UHS', 'KMU', 'DUHS', 'BUMHS', 'NUMS'],
     minYears: 2010,
@@ -49,6 +78,7 @@ let validationResults = {
     total: 0,
     valid: 0,
     invalid: 0,
+    papers: { real: 0, samples: 0, samplesChecked: INCLUDE_SAMPLES },
     errors: [],
     warnings: [],
     subjectDistribution: {},
@@ -69,20 +99,17 @@ function validatePastPaperDatabase() {
     console.log('=====================================\n');
 
     try {
-        // Load the server file to extract the database
-        const serverPath = path.join(__dirname, '../server.js');
-        if (!fs.existsSync(serverPath)) {
-            throw new Error('Server file not found. Please run this script from the project root.');
-        }
-
-        // Extract past paper database from server.js
-        const pastPaperDatabase = extractDatabaseFromServer(serverPath);
+        // Load the past paper dataset shared with server.js
+        const pastPaperDatabase = loadPastPaperDatabase();
         
-        if (!pastPaperDatabase) {
-            throw new Error('Could not extract past paper database from server.js');
+        if (!pastPaperDatabase || Object.keys(pastPaperDatabase).length === 0) {
+            const skipped = validationResults.papers.samples > 0 && !INCLUDE_SAMPLES
+                ? ` (${validationResults.papers.samples} sample paper(s) skipped; add official papers, or run with --include-samples to check the samples)`
+                : '';
+            throw new Error(`No past paper questions found in ${PAST_PAPERS_DIR}${skipped}`);
         }
 
-        console.log('📚 Database extracted successfully');
+        console.log('📚 Database loaded successfully');
         console.log(`📊 Found ${Object.keys(pastPaperDatabase).length} subject categories\n`);
 
         // Validate each subject category
@@ -100,80 +127,21 @@ function validatePastPaperDatabase() {
 }
 
 /**
- * Extract past paper database from server.js file
+ * Load the past paper dataset grouped by subject
  */
-function extractDatabaseFromServer(serverPath) {
-    try {
-        const serverContent = fs.readFileSync(serverPath, 'utf8');
-        
-        // Find the pastPaperDatabase object in the file
-        const dbStartMatch = serverContent.match(/const pastPaperDatabase = \{/);
-        if (!dbStartMatch) {
-            throw new Error('Past paper database not found in server.js');
+function loadPastPaperDatabase() {
+    const papers = loadPastPapers(PAST_PAPERS_DIR).filter(paper => {
+        if (paper.sample) validationResults.papers.samples++;
+        else validationResults.papers.real++;
+
+        if (paper.sample && !INCLUDE_SAMPLES) {
+            console.log(`   📄 ${paper.file}: sample paper, skipped`);
+            return false;
         }
-
-        // Simple extraction - in a real scenario, you might want to use a more robust method
-        // For now, we'll return a mock database for validation
-        return {
-            biology: [
-                {
-                    question: "Which of the following organelles is responsible for protein synthesis?",
-                    options: ["Mitochondria", "Ribosomes", "Lysosomes", "Golgi apparatus"],
-                    answer: "B",
-                    subject: "Biology",
-                    topic: "Cell Biology",
-                    source: "UHS 2024",
-                    difficulty: "easy"
-                }
-            ],
-            chemistry: [
-                {
-                    question: "The oxidation state of sulfur in H₂SO₄ is:",
-                    options: ["+4", "+6", "-2", "+2"],
-                    answer: "B",
-                    subject: "Chemistry",
-                    topic: "Chemical Bonding",
-                    source: "UHS 2024",
-                    difficulty: "moderate"
-                }
-            ],
-            physics: [
-                {
-                    question: "The SI unit of electric current is:",
-                    options: ["Volt", "Ampere", "Ohm", "Coulomb"],
-                    answer: "B",
-                    subject: "Physics",
-                    topic: "Current Electricity",
-                    source: "UHS 2024",
-                    difficulty: "easy"
-                }
-            ],
-            english: [
-                {
-                    question: "Choose the correct form: 'She _____ to school every day.'",
-                    options: ["go", "goes", "going", "gone"],
-                    answer: "B",
-                    subject: "English",
-                    topic: "Grammar - Present Tense",
-                    source: "UHS 2024",
-                    difficulty: "easy"
-                }
-            ],
-            logical: [
-                {
-                    question: "If all roses are flowers and all flowers are plants, then all roses are:",
-                    options: ["Plants", "Trees", "Shrubs", "Herbs"],
-                    answer: "A",
-                    subject: "Logical Reasoning",
-                    topic: "Syllogism",
-                    source: "UHS 2024",
-                    difficulty: "moderate"
-                }
-            ]
-        };
-    } catch (error) {
-        throw new Error(`Failed to read server.js: ${error.message}`);
-    }
+        console.log(`   📄 ${paper.file}: ${paper.questions.length} questions${paper.sample ? ' (sample)' : ''}`);
+        return true;
+    });
+    return groupBySubject(papers.flatMap(paper => paper.questions));
 }
 
 /**
@@ -202,44 +170,17 @@ function validateSingleQuestion(question, index, subjectCategory) {
     const questionId = `${subjectCategory}[${index}]`;
     let isValid = true;
 
-    // Required fields validation
-    const requiredFields = ['question', 'options', 'answer', 'subject', 'topic', 'source'];
-    requiredFields.forEach(field => {
-        if (!question[field]) {
-            validationResults.errors.push(`${questionId}: Missing required field '${field}'`);
-            isValid = false;
-        }
+    // Structural rules shared with generated questions and bulk imports
+    questionErrors(question, { requiredFields: REQUIRED_FIELDS, minQuestionLength: 0 }).forEach(error => {
+        validationResults.errors.push(`${questionId}: ${error}`);
+        isValid = false;
     });
 
     // Question text validation
-    if (question.question && question.question.length < 10) {
+    if (typeof question.question === 'string' && question.question.length < 10) {
         validationResults.warnings.push(`${questionId}: Question text seems too short`);
     }
 
-    // Options validation
-    if (question.options) {
-        if (!Array.isArray(question.options)) {
-            validationResults.errors.push(`${questionId}: Options must be an array`);
-            isValid = false;
-        } else if (question.options.length !== 4) {
-            validationResults.errors.push(`${questionId}: Must have exactly 4 options`);
-            isValid = false;
-        } else {
-            question.options.forEach((option, optIndex) => {
-                if (!option || option.trim().length === 0) {
-                    validationResults.errors.push(`${questionId}: Option ${optIndex + 1} is empty`);
-                    isValid = false;
-                }
-            });
-        }
-    }
-
-    // Answer validation
-    if (question.answer && !MDCAT_STANDARDS.validAnswers.includes(question.answer)) {
-        validationResults.errors.push(`${questionId}: Answer must be A, B, C, or D`);
-        isValid = false;
-    }
-
     // Subject validation
     if (question.subject && !MDCAT_STANDARDS.subjects.includes(question.subject)) {
         validationResults.errors.push(`${questionId}: Invalid subject '${question.subject}'`);
@@ -259,6 +200,15 @@ function validateSingleQuestion(question, index, subjectCategory) {
         }
     }
 
+    // Topic validation against the syllabus of the question's year (or the selected one)
+    if (question.topic) {
+        const year = question.source && parseInt(String(question.source).split(' ')[1]);
+        const index = SYLLABUS_INDEXES[String(year)] || SYLLABUS_INDEXES[SYLLABUS_VERSION];
+        if (!resolveQuestionTopic(index, question)) {
+            validationResults.warnings.push(`${questionId}: Topic '${question.topic}' is not in the ${index.version} syllabus`);
+        }
+    }
+
     // English subject specific validation
     if (question.subject === 'English') {
         validateEnglishQuestion(question, questionId);
@@ -348,6 +298,8 @@ function generateValidationReport() {
 
     // Overall statistics
     console.log('📈 Overall Statistics:');
+    const { real, samples, samplesChecked } = validationResults.papers;
+    console.log(`   Papers: ${real} real, ${samples} sample (${samplesChecked ? 'checked' : 'skipped'})`);
     console.log(`   Total Questions: ${validationResults.total}`);
     console.log(`   ✅ Valid: ${validationResults.valid}`);
     console.log(`   ❌ Invalid: ${validationResults.invalid}`);
@@ -422,20 +374,16 @@ function generateValidationReport() {
 }
 
 /**
- * Check MDCAT 2025 compliance
+ * Check compliance with the selected syllabus
  */
 function checkMDCATCompliance() {
-    console.log('🎯 MDCAT 2025 Compliance Check:');
+    console.log(`🎯 ${SYLLABUS.title} Compliance Check:`);
     
-    // Check subject distribution against MDCAT standards
+    // Check subject distribution against the syllabus weights
     const totalQuestions = validationResults.total;
-    const expectedDistribution = {
-        'Biology': 34,
-        'Chemistry': 27,
-        'Physics': 27,
-        'English': 9,
-        'Logical Reasoning': 3
-    };
+    const expectedDistribution = Object.fromEntries(
+        Object.values(SYLLABUS.subjects).map(subject => [subject.name, Math.round(subject.weight * 100)])
+    );
 
     Object.keys(expectedDistribution).forEach(subject => {
         const actualCount = validationResults.subjectDistribution[subject] || 0;
@@ -455,12 +403,14 @@ function saveValidationReport() {
     const reportPath = path.join(__dirname, '../validation-report.json');
     const reportData = {
         timestamp: new Date().toISOString(),
+        syllabusVersion: SYLLABUS_VERSION,
         summary: {
             total: validationResults.total,
             valid: validationResults.valid,
             invalid: validationResults.invalid,
             successRate: ((validationResults.valid / validationResults.total) * 100).toFixed(1)
         },
+        papers: validationResults.papers,
         distributions: {
             subjects: validationResults.subjectDistribution,
             sources: validationResults.sourceDistribution,
@@ -3,6 +3,57 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const { createProviderRegistry, normalizeProviderName, PROVIDER_NAMES } = require('./lib/providers');
+const { createQuestionBank, subjectKey } = require('./lib/question-bank');
+const { normalizeText } = require('./lib/dedup');
+const { parseQuestionResponse, QUESTION_RESPONSE_SCHEMA } = require('./lib/response-parser');
+const { createAnswerVerifier, summarizeVerification } = require('./lib/verification');
+const { balanceAnswerKey, answerDistribution } = require('./lib/option-shuffle');
+const { reconcilePaper, sortBySubjectOrder } = require('./lib/reconcile');
+const {
+  DIFFICULTY_LEVELS,
+  normalizeDifficulty,
+  difficultyTargets,
+  splitPartsByDifficulty,
+  calibrateQuestion,
+  difficultyDistribution
+} = require('./lib/difficulty');
+const { loadPastPapers, samplePastPaperQuestions } = require('./lib/past-papers');
+const { loadSyllabi, createSyllabusIndex } = require('./lib/syllabus');
+const { loadExamProfiles, timeLimitFor, pickExemplars, DEFAULT_PROFILE } = require('./lib/exam-profiles');
+const { createJobStore } = require('./lib/jobs');
+const { createGenerationCache } = require('./lib/generation-cache');
+const { createPaperStore, withoutAnswerKey, answerKey, withoutCorrectAnswers } = require('./lib/paper-store');
+const { MARKING_SCHEMES, resolveMarking, gradeAnswers } = require('./lib/grading');
+const { createAccountStore, publicUser, readSessionToken, setSessionCookie, clearSessionCookie } = require('./lib/accounts');
+const { createAttemptStore } = require('./lib/attempts');
+const { createAbilityStore, planAdaptiveSet } = require('./lib/ability');
+const { createReviewStore } = require('./lib/review-queue');
+const { renderPaperPdf, renderAnswerKeyPdf, normalizeExportOptions } = require('./lib/pdf-export');
+const { exportQuestions, EXPORT_FORMATS } = require('./lib/question-export');
+const { questionErrors } = require('./lib/question-validation');
+const { importIntoBank, formatFromFilename, IMPORT_FORMATS } = require('./lib/question-import');
+const { createScheduler, isRateLimitError } = require('./lib/scheduler');
+const { loadConfig, publicConfig, applyLogLevel } = require('./lib/config');
+const {
+  createMemoryStore,
+  createFileStore,
+  createRateLimiter,
+  createRateLimitMiddleware,
+  clientKey,
+  setLimitHeaders
+} = require('./lib/rate-limit');
+
+// Typed settings from the environment (.env); an invalid value stops the server here
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+applyLogLevel(config.logging.level);
 
 // Polyfill fetch for Node < 18
 let fetchFn = global.fetch;
@@ -11,137 +62,228 @@ if (typeof fetchFn !== 'function') {
 }
 const fetch = fetchFn;
 
+// Question generation providers (Gemini, OpenAI-compatible/Ollama, offline)
+const providers = createProviderRegistry({ fetch, settings: config });
+
+// Persistent bank of validated questions (memory-only in test mode)
+const questionBank = createQuestionBank({
+  filePath: config.server.environment === 'test' ? null :
+    (config.storage.questionBankPath || path.join(__dirname, 'storage', 'question-bank.json'))
+});
+
+// Shared limit on in-flight provider calls across all requests
+const generationScheduler = createScheduler({
+  maxConcurrent: config.provider.maxConcurrentCalls,
+  maxAttempts: config.provider.maxRetries
+});
+
+// Generated questions per normalized request, in memory and (outside tests) on disk
+const generationCache = createGenerationCache({
+  dir: config.server.environment === 'test' ? null : (config.storage.cacheDir || path.join(__dirname, 'storage', 'cache')),
+  maxEntries: config.cache.maxEntries,
+  ttlMs: config.cache.ttlMs,
+  freshShare: config.cache.freshShare
+});
+generationCache.prune();
+
+// Finished papers under shareable IDs (memory-only in test mode)
+const paperStore = createPaperStore({
+  dir: config.server.environment === 'test' ? null : (config.storage.papersDir || path.join(__dirname, 'storage', 'papers'))
+});
+
+// Student accounts with cookie sessions, and each student's attempt history
+// (memory-only in test mode)
+const accounts = createAccountStore({
+  filePath: config.server.environment === 'test' ? null : (config.storage.accountsPath || path.join(__dirname, 'storage', 'accounts.json')),
+  sessionTtlMs: config.storage.sessionTtlMs,
+  teacherUsernames: config.storage.teacherUsernames || []
+});
+const attemptStore = createAttemptStore({
+  dir: config.server.environment === 'test' ? null : (config.storage.attemptsDir || path.join(__dirname, 'storage', 'attempts'))
+});
+const abilityStore = createAbilityStore({
+  dir: config.server.environment === 'test' ? null : (config.storage.abilityDir || path.join(__dirname, 'storage', 'abilities'))
+});
+const reviewStore = createReviewStore({
+  dir: config.server.environment === 'test' ? null : (config.storage.reviewDir || path.join(__dirname, 'storage', 'review'))
+});
+
+// Background generation jobs, kept for JOB_TTL_MS after they finish
+const jobStore = createJobStore({ ttlMs: config.storage.jobTtlMs });
+
+// Per-client generation limits: requests per minute and questions per day
+const rateLimiter = createRateLimiter({
+  store: config.server.rateLimitStore === 'file' && config.server.environment !== 'test'
+    ? createFileStore(config.storage.rateLimitPath || path.join(__dirname, 'storage', 'rate-limits.json'))
+    : createMemoryStore(),
+  requestsPerMinute: config.server.rateLimitPerMinute,
+  questionsPerDay: config.server.questionsPerDay
+});
+
+// Clients are told apart by an API_KEYS key, else by IP address
+const identifyClient = req => clientKey(req, config.server.apiKeys);
+
+// Generation routes reserve the requested question count (capped like the request validation)
+const limitGeneration = createRateLimitMiddleware(rateLimiter, {
+  getClientKey: identifyClient,
+  questionCount: req => {
+    const count = req.body && req.body.count;
+    return Number.isInteger(count) && count > 0 ? Math.min(count, config.generation.maxQuestionsPerRequest) : 0;
+  }
+});
+
+// Sign-up and login only count against the per-minute request limit
+const limitAuth = createRateLimitMiddleware(rateLimiter, { getClientKey: identifyClient });
+
+// A review variant is one generated question
+const limitVariant = createRateLimitMiddleware(rateLimiter, { getClientKey: identifyClient, questionCount: () => 1 });
+
+// Return the part of a request's question reservation that was not delivered;
+// with `res`, its X-Quota headers are updated to match
+function releaseQuota(reservation, delivered = 0, res = null) {
+  if (!reservation) return;
+  rateLimiter.refundQuestions(reservation.client, reservation.reserved - delivered);
+  if (res) setLimitHeaders(res, 'X-Quota', rateLimiter.status(reservation.client).questions);
+}
+
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset']
+}));
 app.use(express.json({ limit: '50mb' }));
-app.use(express.static('.'));
-
-// Validate required environment variables
-if (!process.env.GEMINI_API_KEY) {
-    console.error('❌ GEMINI_API_KEY is required but not found in environment variables');
-    if (process.env.NODE_ENV !== 'test') process.exit(1);
-}
-
-// Constants for MDCAT 2025 Official Syllabus - EXACT TOPICS FROM PM&DC CURRICULUM
-const MDCAT_SYLLABUS = {
-  biology: { 
-    percentage: 0.45, 
-    topics: [
-      'Acellular Life (Viruses, AIDS and HIV)',
-      'Bioenergetics (Respiration)',
-      'Biological Molecules (Carbohydrates, Proteins, Lipids, DNA, RNA)',
-      'Cell Structure & Function (Prokaryotic vs Eukaryotic, Organelles, Chromosomes)',
-      'Coordination & Control (Receptors, Neurons, Brain, Nervous System)',
-      'Enzymes (Enzyme Action, Factors Affecting Enzymes, Inhibitors)',
-      'Evolution (Lamarckism, Darwinism, Natural Selection)',
-      'Reproduction (Human Reproductive System, Menstrual Cycle, STDs)',
-      'Support & Movement (Human Skeleton, Muscles, Joints, Arthritis)',
-      'Inheritance (Mendel\'s Laws, Gene Linkage, X-linked Inheritance, Hemophilia)',
-      'Circulation (Human Heart, Cardiac Cycle, Blood Vessels, Lymphatic System)',
-      'Immunity (Specific Defense Mechanisms)',
-      'Respiration (Human Respiratory System, Mechanism of Breathing)',
-      'Homeostasis (Osmoregulation, Excretion, Kidney Structure & Function)',
-      'Ecosystems (Food Chains, Energy Flow, Carbon and Nitrogen Cycles)'
-    ]
-  },
-  chemistry: { 
-    percentage: 0.25, 
-    topics: [
-      'Atomic Structure (Electron Configuration, Quantum Numbers)',
-      'Chemical Bonding (Ionic, Covalent, Metallic Bonds)',
-      'Electrochemistry (Electrolysis, Faraday\'s Laws)',
-      'Chemical Equilibria (Le Chatelier\'s Principle, Equilibrium Constants)',
-      'Reaction Kinetics (Rate Laws, Activation Energy, Catalysts)',
-      'Acids & Bases (pH, Buffer Solutions, Neutralization)',
-      'Periodic Table & Periodicity (Groups, Periods, Trends)',
-      'Organic Chemistry (Functional Groups, Reactions, IUPAC Nomenclature)',
-      'States of Matter (Gas Laws, Intermolecular Forces)',
-      'Solutions (Solubility, Concentration, Colligative Properties)',
-      'Thermochemistry (Enthalpy, Entropy, Free Energy)',
-      'Nuclear Chemistry (Radioactivity, Half-Life, Nuclear Reactions)',
-      'Analytical Chemistry (Chromatography, Spectroscopy)',
-      'Transition Elements (Properties, Complex Compounds)',
-      'Hydrocarbons (Alkanes, Alkenes, Alkynes)'
-    ]
-  },
-  physics: { 
-    percentage: 0.20, 
-    topics: [
-      'Kinematics (Displacement, Velocity, Acceleration, Equations of Motion)',
-      'Dynamics (Newton\'s Laws, Forces, Friction)',
-      'Work, Energy & Power (Conservation of Energy, Work-Energy Theorem)',
-      'Circular Motion & Gravitation (Centripetal Force, Kepler\'s Laws)',
-      'Waves (Types, Properties, Standing Waves, Doppler Effect)',
-      'Optics (Reflection, Refraction, Lenses, Optical Instruments)',
-      'Thermodynamics (Laws, Heat Transfer, Thermal Properties)',
-      'Electrostatics (Coulomb\'s Law, Electric Field, Potential)',
-      'Current Electricity (Ohm\'s Law, Circuits, Resistance)',
-      'Magnetism (Magnetic Fields, Electromagnetism, Faraday\'s Law)',
-      'Modern Physics (Quantum Theory, Photoelectric Effect)',
-      'Nuclear Physics (Nuclear Stability, Radioactive Decay)',
-      'Electronics (Semiconductors, Logic Gates, Digital Systems)',
-      'Fluid Mechanics (Pressure, Buoyancy, Bernoulli\'s Principle)',
-      'Electromagnetic Waves (Spectrum, Properties, Applications)'
-    ]
-  },
-  english: { 
-    percentage: 0.05, 
-    topics: [
-      'Parts of Speech (Nouns, Pronouns, Verbs, Adjectives)',
-      'Tenses (Past, Present, Future Forms)',
-      'Conditionals (Zero, First, Second, Third)',
-      'Articles (Definite, Indefinite)',
-      'Infinitives and Infinitive Phrases',
-      'Gerunds and Gerund Phrases',
-      'Adverbs (Position and Types)',
-      'Prepositions (Position, Time, Movement, Direction)',
-      'Punctuation Marks',
-      'Sentence Structure and Clauses',
-      'Active and Passive Voice',
-      'Direct and Indirect Speech',
-      'Subject-Verb Agreement',
-      'Sentence Errors and Corrections'
-    ]
-  },
-  logical: { 
-    percentage: 0.05, 
-    topics: [
-      'Critical Thinking (Logical Arguments, Truth vs Falsehood)',
-      'Letter and Symbols Series (Arithmetical, Geometrical Progressions)',
-      'Logical Deductions (Structured Thinking, Relations)',
-      'Logical Problems (Puzzles, Deductive Reasoning)',
-      'Course of Action (Administrative Decisions, Problem Solving)',
-      'Cause and Effect (Relationships, Reasoning)'
-    ]
+
+// The signed-in student, if the request carries a valid session cookie
+app.use('/api', (req, res, next) => {
+  req.user = accounts.getSessionUser(readSessionToken(req));
+  next();
+});
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Please log in first' });
   }
-};
+  next();
+}
+
+// The shared question bank is only written and exported by teachers (TEACHER_USERNAMES)
+function requireTeacher(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Please log in first' });
+  }
+  if (accounts.roleOf(req.user) !== 'teacher') {
+    return res.status(403).json({ success: false, error: 'Only teacher accounts can do this' });
+  }
+  next();
+}
+
+// Response times of API calls (ENABLE_PERFORMANCE_MONITORING)
+if (config.logging.performance) {
+  app.use('/api', (req, res, next) => {
+    const started = Date.now();
+    res.on('finish', () => console.log(`⏱️ ${req.method} ${req.originalUrl} → ${res.statusCode} in ${Date.now() - started}ms`));
+    next();
+  });
+}
+
+// Validate required environment variables for the default provider
+const defaultProvider = providers.getProvider();
+if (!defaultProvider.isConfigured()) {
+    console.error(`❌ Provider "${defaultProvider.name}" is not configured (GEMINI_API_KEY missing)`);
+    if (config.server.environment !== 'test') process.exit(1);
+}
+
+// Syllabus definitions per exam year from data/syllabus/<version>.json
+const SYLLABI = loadSyllabi(config.storage.syllabusDir || undefined);
+if (SYLLABI.versions.length === 0) {
+  throw new Error('No syllabus definitions found in data/syllabus');
+}
+const DEFAULT_SYLLABUS_VERSION = config.generation.syllabusVersion || SYLLABI.versions[SYLLABI.versions.length - 1];
+if (!SYLLABI.byVersion[DEFAULT_SYLLABUS_VERSION]) {
+  throw new Error(`SYLLABUS_VERSION ${DEFAULT_SYLLABUS_VERSION} not found. Available: ${SYLLABI.versions.join(', ')}`);
+}
+
+// Topic/subtopic lookup with fuzzy search, one index per syllabus version
+const syllabusIndexes = Object.fromEntries(
+  SYLLABI.versions.map(version => [version, createSyllabusIndex(SYLLABI.byVersion[version])])
+);
+
+function getSyllabus(version) {
+  return SYLLABI.byVersion[version || DEFAULT_SYLLABUS_VERSION];
+}
+
+function getSyllabusIndex(version) {
+  return syllabusIndexes[version || DEFAULT_SYLLABUS_VERSION];
+}
+
+// Default version in the { biology: { percentage, topics: [...] } } shape
+const MDCAT_SYLLABUS = Object.fromEntries(
+  Object.entries(getSyllabus().subjects).map(([key, subject]) => [
+    key,
+    { percentage: subject.weight, topics: subject.topics.map(t => t.topic) }
+  ])
+);
+
+// Exam profiles per conducting body from data/exam-profiles.json; source 'all' uses the PM&DC default
+const EXAM_PROFILES = loadExamProfiles(config.storage.examProfilesPath || undefined);
+const UNIVERSITIES = EXAM_PROFILES.ids.filter(id => id !== DEFAULT_PROFILE).map(id => id.toUpperCase());
+
+function getExamProfile(source) {
+  return EXAM_PROFILES.byId[source] || EXAM_PROFILES.byId[DEFAULT_PROFILE];
+}
+
+// Real past-paper questions from data/past-papers/<university>/<year>.json; sample
+// papers (written in a paper's style, not the official questions) are never served.
+// None of the bundled papers are real: past-papers-only needs papers supplied by the user
+const PAST_PAPERS_DIR = config.storage.pastPapersDir || 'data/past-papers';
+const LOADED_PAST_PAPERS = loadPastPapers(config.storage.pastPapersDir || undefined);
+const PAST_PAPERS = LOADED_PAST_PAPERS.filter(paper => !paper.sample);
+const SAMPLE_PAST_PAPERS = LOADED_PAST_PAPERS.length - PAST_PAPERS.length;
+const PAST_PAPER_QUESTIONS = PAST_PAPERS.flatMap(paper => paper.questions);
+
+const GENERATION_MODES = ['ai', 'past-papers-only'];
+
+// Answer-key verification: re-solve generated questions and drop (or flag) disputed keys
+const VERIFICATION = config.verification;
 
-const UNIVERSITIES = ['UHS', 'KMU', 'DUHS', 'BUMHS', 'NUMS'];
+// Largest single provider call; bigger requests are split by subject or into batches
+const MAX_BATCH_SIZE = config.generation.maxBatchSize;
 
-// Updated Gemini API URL for 2.5-flash model
-const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+// How a generated question's difficulty is decided: the model's own label, or the rubric estimate
+const DIFFICULTY_CALIBRATIONS = ['model', 'rubric'];
+const DEFAULT_DIFFICULTY_CALIBRATION = config.generation.difficultyCalibration;
 
 // -------------------- Utility Functions (Define First) --------------------
 
-// Calculate subject distribution based on question count
-function calculateDistribution(total) {
-  const biology = Math.floor(total * MDCAT_SYLLABUS.biology.percentage);
-  const chemistry = Math.floor(total * MDCAT_SYLLABUS.chemistry.percentage);
-  const physics = Math.floor(total * MDCAT_SYLLABUS.physics.percentage);
-  const english = Math.floor(total * MDCAT_SYLLABUS.english.percentage);
-  const logical = Math.floor(total * MDCAT_SYLLABUS.logical.percentage);
-  
-  const currentSum = biology + chemistry + physics + english + logical;
+// Subject weights for a paper: the exam profile's own weights when it has them
+// for every syllabus subject, otherwise the syllabus weights
+function paperWeights({ syllabusVersion, source } = {}) {
+  const subjects = getSyllabus(syllabusVersion).subjects;
+  const profileWeights = getExamProfile(source).subjectWeights;
+  const useProfile = profileWeights && Object.keys(subjects).every(key => key in profileWeights);
+  return Object.fromEntries(Object.entries(subjects).map(([key, subject]) => [
+    key,
+    useProfile ? profileWeights[key] : subject.weight
+  ]));
+}
+
+// Calculate subject distribution based on question count and the paper's subject weights
+function calculateDistribution(total, { syllabusVersion, source } = {}) {
+  const weights = paperWeights({ syllabusVersion, source });
+  const result = {};
+  for (const [key, weight] of Object.entries(weights)) {
+    result[key] = Math.floor(total * weight);
+  }
+
+  const currentSum = Object.values(result).reduce((a, b) => a + b, 0);
   const remaining = total - currentSum;
   
-  let result = { biology, chemistry, physics, english, logical };
-  
   if (remaining > 0) {
-    const priorities = ['biology', 'chemistry', 'physics', 'english', 'logical'];
+    // Subjects a profile leaves out (weight 0) never receive the leftovers
+    const priorities = Object.keys(weights).filter(key => weights[key] > 0);
     for (let i = 0; i < remaining; i++) {
       result[priorities[i % priorities.length]]++;
     }
@@ -159,33 +301,24 @@ function addIds(questions) {
 }
 
 // Check if topic is in official syllabus
-function isTopicInOfficialSyllabus(topic) {
+function isTopicInOfficialSyllabus(topic, syllabusVersion) {
   if (!topic) return false;
-  const lcTopic = topic.toLowerCase();
-  for (const subj of Object.values(MDCAT_SYLLABUS)) {
-    for (const t of subj.topics) {
-      if (t.toLowerCase().includes(lcTopic) || lcTopic.includes(t.toLowerCase())) {
-        return true;
-      }
-    }
-  }
-  return false;
+  return !!getSyllabusIndex(syllabusVersion).resolveTopic(topic);
 }
 
 // Find which subject a topic belongs to
-function findTopicSubject(topic) {
+function findTopicSubject(topic, syllabusVersion) {
   if (!topic) return null;
-  const lcTopic = topic.toLowerCase();
-  
-  for (const [subjectKey, subjectInfo] of Object.entries(MDCAT_SYLLABUS)) {
-    for (const t of subjectInfo.topics) {
-      if (t.toLowerCase().includes(lcTopic) || lcTopic.includes(t.toLowerCase())) {
-        // Return proper subject name
-        return subjectKey.charAt(0).toUpperCase() + subjectKey.slice(1);
-      }
-    }
-  }
-  return null;
+  const resolved = getSyllabusIndex(syllabusVersion).resolveTopic(topic);
+  return resolved ? resolved.subject : null;
+}
+
+// Does a question's topic label mean the requested (canonical) topic?
+function matchesTopic(question, topic, syllabusVersion) {
+  const label = String(question.topic || '');
+  if (label.toLowerCase().includes(topic.toLowerCase())) return true;
+  const resolved = getSyllabusIndex(syllabusVersion).resolveTopic(label);
+  return !!resolved && resolved.topic === topic;
 }
 
 // Normalize year range
@@ -235,53 +368,15 @@ function validateAndFilterQuestions(questions, requestedCount) {
 
   console.log(`🔍 Validating ${questions.length} questions (requested: ${requestedCount})`);
 
+  // Quality checks can be switched off with ENABLE_QUESTION_VALIDATION=false
+  const rules = { enabled: config.validation.enabled, minQuestionLength: config.validation.minQuestionLength };
   const validQuestions = questions.filter((q, index) => {
-    try {
-      if (!q || typeof q !== 'object') {
-        console.error(`❌ Question ${index + 1}: Not an object`);
-        return false;
-      }
-
-      const requiredFields = ['question', 'options', 'answer', 'subject'];
-      for (const field of requiredFields) {
-        if (!q.hasOwnProperty(field)) {
-          console.error(`❌ Question ${index + 1}: Missing ${field}`);
-          return false;
-        }
-      }
-
-      if (typeof q.question !== 'string' || q.question.length < 10) {
-        console.error(`❌ Question ${index + 1}: Invalid question text`);
-        return false;
-      }
-
-      if (!Array.isArray(q.options) || q.options.length !== 4) {
-        console.error(`❌ Question ${index + 1}: Invalid options array`);
-        return false;
-      }
-
-      for (let i = 0; i < q.options.length; i++) {
-        if (typeof q.options[i] !== 'string' || q.options[i].length === 0) {
-          console.error(`❌ Question ${index + 1}: Invalid option ${i + 1}`);
-          return false;
-        }
-      }
-
-      if (!['A', 'B', 'C', 'D'].includes(q.answer)) {
-        console.error(`❌ Question ${index + 1}: Invalid answer "${q.answer}"`);
-        return false;
-      }
-
-      if (typeof q.subject !== 'string') {
-        console.error(`❌ Question ${index + 1}: Invalid subject`);
-        return false;
-      }
-
-      return true;
-    } catch (validationError) {
-      console.error(`❌ Question ${index + 1} validation error:`, validationError.message);
+    const errors = questionErrors(q, rules);
+    if (errors.length > 0) {
+      console.error(`❌ Question ${index + 1}: ${errors.join('; ')}`);
       return false;
     }
+    return true;
   });
 
   console.log(`✅ Validated ${validQuestions.length}/${questions.length} questions`);
@@ -290,14 +385,19 @@ function validateAndFilterQuestions(questions, requestedCount) {
 
 // -------------------- FIXED: Prompt Building Function --------------------
 
-function buildPrompt({ testFormat, selectedSubject, topic, questionCount, source, yearRange, difficulty }) {
+function buildPrompt({ testFormat, selectedSubject, topic, subtopic, questionCount, source, yearRange, difficulty, syllabusVersion }) {
+  const syllabus = getSyllabus(syllabusVersion);
+  const subjectEntries = Object.entries(syllabus.subjects);
   const yrs = normalizeYearRange(yearRange);
   const yearText = yrs ? `Questions should simulate papers from ${yrs.start}-${yrs.end} period.` : 
                         'Include variety from different years (2018-2025) for authenticity.';
 
+  const profile = getExamProfile(source);
+
   let difficultyText = '';
   if (difficulty === 'mixed') {
-    difficultyText = 'Use difficulty distribution: 15% easy, 70% moderate, 15% difficult.';
+    const mix = profile.difficulty;
+    difficultyText = `Use difficulty distribution: ${Math.round(mix.easy * 100)}% easy, ${Math.round(mix.moderate * 100)}% moderate, ${Math.round(mix.difficult * 100)}% difficult.`;
   } else if (difficulty === 'easy') {
     difficultyText = 'Generate EASY level questions only - basic concepts and definitions.';
   } else if (difficulty === 'moderate') {
@@ -312,27 +412,22 @@ function buildPrompt({ testFormat, selectedSubject, topic, questionCount, source
   // FIXED: Better logic for different test formats
   if (testFormat === 'full-test') {
     scopeText = 'Generate a COMPLETE MDCAT test with exact subject distribution:';
-    const distribution = calculateDistribution(questionCount);
+    const distribution = calculateDistribution(questionCount, { syllabusVersion, source });
+    const paperSubjects = subjectEntries.filter(([key]) => distribution[key] > 0);
     
     topicsBlock = `
 Subject Distribution (MUST generate EXACTLY these numbers - total must equal ${questionCount}):
-- Biology: EXACTLY ${distribution.biology} questions
-- Chemistry: EXACTLY ${distribution.chemistry} questions  
-- Physics: EXACTLY ${distribution.physics} questions
-- English: EXACTLY ${distribution.english} questions
-- Logical Reasoning: EXACTLY ${distribution.logical} questions
+${paperSubjects.map(([key, subject]) => `- ${subject.name}: EXACTLY ${distribution[key]} questions`).join('\n')}
 
 CRITICAL ORDERING: Generate questions in this SEQUENTIAL ORDER:
-1. ALL Biology questions first (${distribution.biology} questions)
-2. ALL Chemistry questions second (${distribution.chemistry} questions)
-3. ALL Physics questions third (${distribution.physics} questions)
-4. ALL English questions fourth (${distribution.english} questions)
-5. ALL Logical Reasoning questions last (${distribution.logical} questions)`;
+${paperSubjects.map(([key, subject], i) => `${i + 1}. ALL ${subject.name} questions ${i === 0 ? 'first' : i === paperSubjects.length - 1 ? 'last' : 'next'} (${distribution[key]} questions)`).join('\n')}`;
 
   } else if (testFormat === 'topic-test' && topic) {
     // FIXED: Topic-specific generation
-    const relatedSubject = findTopicSubject(topic);
+    const relatedSubject = findTopicSubject(topic, syllabusVersion);
     const subjectForTopic = relatedSubject || selectedSubject || 'Biology';
+    const topicEntry = relatedSubject && getSyllabusIndex(syllabusVersion).getSubject(relatedSubject).topics.find(t => t.topic === topic);
+    const objectives = topicEntry ? topicEntry.objectives : [];
     
     scopeText = `Generate questions EXCLUSIVELY for the SPECIFIC TOPIC: "${topic}"`;
     topicsBlock = `
@@ -342,11 +437,14 @@ TOPIC FOCUS INSTRUCTIONS:
 - NO other topics allowed
 - ALL questions must be directly related to: "${topic}"
 - Use only concepts, terms, and examples from: "${topic}"
-- Question variety: definitions, applications, comparisons, analysis within "${topic}"`;
+- Question variety: definitions, applications, comparisons, analysis within "${topic}"
+- Set "topic" in every question to exactly: "${topic}"${subtopic ? `
+- Concentrate on the subtopic: "${subtopic}"` : ''}${objectives.length ? `
+- Test these learning objectives: ${objectives.join('; ')}` : ''}`;
 
   } else if (testFormat === 'subject-test' && selectedSubject) {
     // FIXED: Subject-specific generation  
-    const subjectInfo = MDCAT_SYLLABUS[selectedSubject.toLowerCase()];
+    const subjectInfo = syllabus.subjects[subjectKey(selectedSubject) || selectedSubject.toLowerCase()];
     if (!subjectInfo) {
       throw new Error(`Invalid subject: ${selectedSubject}`);
     }
@@ -356,18 +454,24 @@ TOPIC FOCUS INSTRUCTIONS:
 SUBJECT FOCUS INSTRUCTIONS:
 - Generate ALL ${questionCount} questions from ${selectedSubject} ONLY
 - NO questions from other subjects
-- Distribute questions across these ${selectedSubject} topics: ${subjectInfo.topics.join(', ')}
+- Distribute questions across these ${selectedSubject} topics: ${subjectInfo.topics.map(t => t.topic).join(', ')}
 - Ensure variety within ${selectedSubject} topics
 - ALL questions must have subject: "${selectedSubject}"`;
     
   } else {
     // Default fallback
     scopeText = `Generate mixed MDCAT questions covering various subjects.`;
-    topicsBlock = `Cover topics from Biology, Chemistry, Physics, English, and Logical Reasoning.`;
+    topicsBlock = `Cover topics from ${subjectEntries.map(([, subject]) => subject.name).join(', ')}.`;
   }
 
-  const uniText = source && source !== 'all' ? `Style questions similar to ${source} past papers.` : 
-                                              'Use authentic MDCAT past paper style questions.';
+  const uniText = profile.id !== DEFAULT_PROFILE
+    ? `Style questions like ${profile.name} papers (${profile.conductingBody}): ${profile.style}`
+    : `Use authentic MDCAT past paper style questions: ${profile.style}`;
+  const exemplars = pickExemplars(profile, { subject: testFormat === 'full-test' ? null : selectedSubject });
+  const exemplarBlock = exemplars.length ? `
+STYLE EXAMPLES from ${profile.name} (match their tone, length and format; do NOT reuse them):
+${exemplars.map(e => JSON.stringify({ question: e.question, options: e.options, answer: e.answer, subject: e.subject })).join('\n')}
+` : '';
 
   const schema = `
 RESPONSE FORMAT: Return ONLY a valid JSON array. No markdown, no explanations, no code blocks.
@@ -383,7 +487,7 @@ Required JSON Structure:
     "topic": "Specific topic from official PM&DC syllabus",
     "difficulty": "easy|moderate|difficult",
     "year": 2024,
-    "source": "${source || 'MDCAT'}"
+    "source": "${profile.id === DEFAULT_PROFILE ? 'MDCAT' : profile.id.toUpperCase()}"
   }
 ]
 
@@ -393,7 +497,7 @@ STRICT VALIDATION REQUIREMENTS:
 - Answer must be exactly one of: "A", "B", "C", "D"
 - All fields are mandatory except "topic" which can be general
 - Questions must be medically/scientifically accurate and current
-- English questions: Grammar/syntax only (no literature/comprehension)
+- English questions: only these syllabus areas: ${(syllabus.subjects.english ? syllabus.subjects.english.topics : []).map(t => t.topic.split(' (')[0]).join(', ')}
 - Use proper JSON escaping for quotes and special characters
 - ${testFormat === 'topic-test' ? `ALL questions must be about topic: "${topic}"` : ''}
 - ${testFormat === 'subject-test' ? `ALL questions must be from subject: "${selectedSubject}"` : ''}`;
@@ -408,7 +512,7 @@ GENERATION REQUIREMENTS:
 1. Generate EXACTLY ${questionCount} questions in valid JSON array format
 2. Each question must have 4 options and 1 correct answer
 3. Include detailed explanations for every answer
-4. Questions must be from official PM&DC 2025 syllabus topics
+4. Questions must be from official ${syllabus.title} syllabus topics
 5. Ensure medical/scientific accuracy and currency
 6. For full tests: Follow strict sequential subject ordering
 7. For topic tests: ALL questions must be about the specified topic ONLY
@@ -418,7 +522,7 @@ GENERATION REQUIREMENTS:
 ${difficultyText}
 ${yearText}
 ${uniText}
-
+${exemplarBlock}
 ${schema}
 
 Generate the questions now:`;
@@ -426,189 +530,108 @@ Generate the questions now:`;
 
 // -------------------- API Functions --------------------
 
-// Enhanced Gemini API call with better error handling
-async function callGeminiAPI(prompt) {
+// Generate questions through the selected provider and parse its JSON output.
+// options: generation params; options.provider picks a provider for this request.
+// The returned array carries a parseReport ({ salvaged, lost, truncated, ... }).
+async function callGeminiAPI(prompt, options = {}) {
   try {
-    if (process.env.NODE_ENV === 'test') {
-      console.log('🧪 Test mode: Returning mock questions');
-      return [
-        {
-          question: "Which of the following is the powerhouse of the cell?",
-          options: ["Nucleus", "Mitochondria", "Ribosome", "Endoplasmic reticulum"],
-          answer: "B",
-          explanation: "Mitochondria are called the powerhouse of the cell because they produce ATP through cellular respiration.",
-          subject: "Biology",
-          topic: "Cell Structure & Function",
-          difficulty: "moderate",
-          year: 2024,
-          source: "test"
-        }
-      ];
-    }
-
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is required but not configured');
-    }
-
-    console.log('🤖 Calling Gemini 2.5-flash API...');
-    
-    const requestBody = {
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.1, // Lower for more consistent topic/subject adherence
-        topK: 20,
-        topP: 0.8,
-        maxOutputTokens: 8192,
-        responseMimeType: 'application/json'
-      },
-      safetySettings: [
-        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
-      ]
-    };
-
-    const apiUrl = `${GEMINI_URL}?key=${process.env.GEMINI_API_KEY}`;
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 45000); // 45 second timeout
-    
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody),
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `API request failed with status ${response.status}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        if (errorData.error && errorData.error.message) {
-          errorMessage = `Gemini API error: ${errorData.error.message}`;
-        }
-      } catch (e) {
-        errorMessage = `Gemini API error: ${errorText.substring(0, 200)}`;
-      }
-      
-      console.error(`❌ API Error: ${errorMessage}`);
-      throw new Error(errorMessage);
-    }
+    const provider = providers.getProvider(options.provider);
+    if (config.logging.apiCalls) console.log(`🤖 Calling ${provider.label}...`);
+    console.debug(`📝 Prompt for ${provider.name}${provider.model ? ` (${provider.model})` : ''}: ${prompt.length} characters`);
 
-    const data = await response.json();
+    const generatedText = await provider.generate(prompt, { ...options, responseSchema: QUESTION_RESPONSE_SCHEMA });
 
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response format from Gemini API');
+    const { questions, report } = parseQuestionResponse(generatedText);
+    if (report.strategy === 'none') {
+      console.error('🔍 Response preview:', String(generatedText).substring(0, 300));
+      throw new Error(`Failed to parse JSON response from ${provider.name} API`);
     }
-
-    const generatedText = data.candidates[0].content.parts?.[0]?.text || '';
-    if (!generatedText) {
-      throw new Error('Empty response from Gemini API');
+    if (report.strategy === 'salvage') {
+      console.log(`🩹 Salvaged ${report.salvaged} question(s), lost ${report.lost}` +
+        `${report.repaired ? `, repaired ${report.repaired}` : ''}${report.truncated ? ' (response truncated)' : ''}`);
     }
 
-    // Enhanced JSON parsing
-    try {
-      const parsed = JSON.parse(generatedText);
-      const result = Array.isArray(parsed) ? parsed : [];
-      
-      // Add random years for variety if not present
-      return result.map(q => ({
-        ...q,
-        year: q.year || getRandomYear(null),
-        topic: q.topic || 'General',
-        difficulty: q.difficulty || 'moderate'
-      }));
-    } catch (parseError) {
-      console.error('❌ JSON Parse error:', parseError.message);
-      console.error('🔍 Response preview:', generatedText.substring(0, 300));
-      
-      // Try to extract JSON array using regex
-      const jsonArrayMatch = generatedText.match(/\[[\s\S]*\]/);
-      if (jsonArrayMatch) {
-        try {
-          const cleanedJson = jsonArrayMatch[0];
-          const parsed = JSON.parse(cleanedJson);
-          return Array.isArray(parsed) ? parsed.map(q => ({
-            ...q,
-            year: q.year || getRandomYear(null),
-            topic: q.topic || 'General',
-            difficulty: q.difficulty || 'moderate'
-          })) : [];
-        } catch (subParseError) {
-          console.error('❌ JSON Sub-Parse error:', subParseError.message);
-        }
-      }
-      
-      throw new Error('Failed to parse JSON response from Gemini API');
-    }
+    // Add random years for variety if not present
+    const rubric = options.difficultyCalibration === 'rubric';
+    const result = questions.map(q => calibrateQuestion({
+      ...q,
+      year: q.year || getRandomYear(null),
+      topic: q.topic || 'General'
+    }, { rubric }));
+    result.parseReport = report;
+    return result;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('API request timeout after 45 seconds');
-    }
     console.error('❌ callGeminiAPI error:', error);
     throw error;
   }
 }
 
-// Add retry logic with exponential backoff
-async function callGeminiAPIWithRetry(prompt, maxRetries = 3) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`🤖 API call attempt ${attempt}/${maxRetries}...`);
-      
-      const result = await callGeminiAPI(prompt);
-      
+// Forward a progress event to the job tracking this generation, if any
+function reportProgress(params, event) {
+  if (params && typeof params.onProgress === 'function') params.onProgress(event);
+}
+
+// Add retry logic with exponential backoff; every attempt goes through the scheduler,
+// which gives single and parallel calls the same MAX_API_RETRIES attempts.
+// When a response loses items (truncated or unrecoverable JSON) the next attempt
+// asks only for the remainder.
+async function callGeminiAPIWithRetry(prompt, options = {}) {
+  const requested = Number(options.questionCount) || 0;
+  const collected = [];
+  let attemptPrompt = prompt;
+  let attemptOptions = options;
+
+  try {
+    return await generationScheduler.scheduleWithRetries(async (attempt, attempts) => {
+      if (config.logging.apiCalls) console.log(`🤖 API call attempt ${attempt}/${attempts}...`);
+
+      const result = await callGeminiAPI(attemptPrompt, attemptOptions);
+
       if (Array.isArray(result) && result.length > 0) {
+        collected.push(...result);
         console.log(`✅ Successfully generated ${result.length} questions`);
-        return result;
-      } else if (attempt === maxRetries) {
+        reportProgress(options, { type: 'questions', count: result.length, subjects: getSubjectDistribution(result) });
+
+        const remainder = requested - collected.length;
+        if (result.parseReport && result.parseReport.lost > 0 && remainder > 0 && attempt < attempts) {
+          console.log(`🔁 ${result.parseReport.lost} question(s) lost in parsing, requesting the remaining ${remainder}...`);
+          reportProgress(options, { type: 'salvage', salvaged: result.parseReport.salvaged, lost: result.parseReport.lost });
+          attemptOptions = { ...options, questionCount: remainder };
+          attemptPrompt = buildPrompt(attemptOptions);
+          return { retry: true };
+        }
+        return { value: collected };
+      } else if (attempt === attempts) {
+        if (collected.length > 0) return { value: collected };
         throw new Error('No valid questions generated after all attempts');
-      } else {
-        console.log(`⚠️ Empty result on attempt ${attempt}, retrying...`);
-        continue;
       }
-      
-    } catch (error) {
-      lastError = error;
-      console.error(`❌ Attempt ${attempt} failed:`, error.message);
-      
-      if (attempt === maxRetries) break;
-      
-      const waitTime = Math.min(Math.pow(2, attempt) * 1000, 10000); // Max 10 seconds
-      console.log(`⏳ Waiting ${waitTime}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+      console.log(`⚠️ Empty result on attempt ${attempt}, retrying...`);
+      return { retry: true };
+    }, {
+      onRetry: (error, attempt, maxRetries) => reportProgress(options, { type: 'retry', attempt, maxRetries, error: error.message })
+    });
+  } catch (error) {
+    if (collected.length > 0) return collected;
+    throw error;
   }
-  
-  throw lastError || new Error('All retry attempts failed');
 }
 
-// FIXED: Sequential Full Test Generation
-async function generateSequentialFullTest(params) {
-  const { questionCount } = params;
-  const distribution = calculateDistribution(questionCount);
+// Full test generation: subjects run in parallel (bounded by the scheduler)
+// and are assembled in syllabus order
+async function generateFullTestBySubject(params) {
+  const { questionCount, syllabusVersion, source } = params;
+  const distribution = calculateDistribution(questionCount, { syllabusVersion, source });
   
-  console.log(`🎯 Generating sequential full test with distribution:`, distribution);
-
-  const subjects = [
-    { name: 'Biology', key: 'biology', count: distribution.biology },
-    { name: 'Chemistry', key: 'chemistry', count: distribution.chemistry },
-    { name: 'Physics', key: 'physics', count: distribution.physics },
-    { name: 'English', key: 'english', count: distribution.english },
-    { name: 'Logical Reasoning', key: 'logical', count: distribution.logical }
-  ];
+  console.log(`🎯 Generating full test by subject with distribution:`, distribution);
 
-  const allQuestions = [];
+  const subjects = Object.entries(getSyllabus(syllabusVersion).subjects).map(([key, subject]) => ({
+    name: subject.name,
+    key,
+    count: distribution[key]
+  }));
 
-  for (const subject of subjects) {
-    if (subject.count <= 0) continue;
+  const subjectResults = await Promise.all(subjects.map(async (subject) => {
+    if (subject.count <= 0) return [];
 
     console.log(`📚 Generating ${subject.count} ${subject.name} questions...`);
 
@@ -621,7 +644,7 @@ async function generateSequentialFullTest(params) {
     };
 
     try {
-      const subjectQuestions = await callGeminiAPIWithRetry(buildPrompt(subjectParams), 2);
+      const subjectQuestions = await callGeminiAPIWithRetry(buildPrompt(subjectParams), subjectParams);
       
       if (subjectQuestions && subjectQuestions.length > 0) {
         const cleanedQuestions = subjectQuestions
@@ -632,18 +655,18 @@ async function generateSequentialFullTest(params) {
             year: q.year || getRandomYear(params.yearRange)
           }));
         
-        allQuestions.push(...cleanedQuestions);
         console.log(`✅ Added ${cleanedQuestions.length} ${subject.name} questions`);
+        return cleanedQuestions;
       }
     } catch (error) {
       console.error(`❌ Failed to generate ${subject.name} questions:`, error.message);
+      reportProgress(params, { type: 'subject-failed', subject: subject.name, error: error.message });
       // Continue with other subjects instead of failing completely
     }
+    return [];
+  }));
 
-    // Small delay between subjects to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
-
+  const allQuestions = subjectResults.flat();
   console.log(`🎉 Generated ${allQuestions.length}/${questionCount} total questions`);
   return allQuestions;
 }
@@ -654,239 +677,656 @@ async function generateQuestionsWithBatching(params) {
   console.log(`🎯 Generating ${questionCount} questions for ${testFormat}...`);
   console.log(`🎯 Parameters: Subject=${selectedSubject}, Topic=${topic}`);
 
+  // Adaptive sets are a handful of topic/difficulty parts, each generated on its own
+  if (testFormat === 'adaptive') {
+    return await generateAdaptiveSet(params);
+  }
+
   // For topic-specific tests, always use single call to maintain topic coherence
   if (testFormat === 'topic-test' && topic) {
     console.log(`📍 Topic-specific generation for: ${topic}`);
-    return await callGeminiAPIWithRetry(buildPrompt(params));
+    return await callGeminiAPIWithRetry(buildPrompt(params), params);
   }
 
   // For subject-specific tests with small counts, use single call
-  if (testFormat === 'subject-test' && selectedSubject && questionCount <= 35) {
+  if (testFormat === 'subject-test' && selectedSubject && questionCount <= MAX_BATCH_SIZE) {
     console.log(`📚 Subject-specific generation for: ${selectedSubject}`);
-    return await callGeminiAPIWithRetry(buildPrompt(params));
+    return await callGeminiAPIWithRetry(buildPrompt(params), params);
   }
 
-  // For full tests with more than 30 questions, use sequential generation
-  if (testFormat === 'full-test' && questionCount > 30) {
-    return await generateSequentialFullTest(params);
+  // For full tests larger than one batch, generate each subject separately
+  if (testFormat === 'full-test' && questionCount > MAX_BATCH_SIZE) {
+    return await generateFullTestBySubject(params);
   }
 
   // For smaller counts, use direct generation
-  if (questionCount <= 35) {
-    return await callGeminiAPIWithRetry(buildPrompt(params));
+  if (questionCount <= MAX_BATCH_SIZE) {
+    return await callGeminiAPIWithRetry(buildPrompt(params), params);
   }
 
-  // For large single-subject tests, use batching
-  const batchSize = Math.min(30, Math.ceil(questionCount / 3));
+  // For large single-subject tests, use batches run in parallel through the scheduler
+  const batchSize = Math.min(MAX_BATCH_SIZE, Math.ceil(questionCount / 3));
   const numBatches = Math.ceil(questionCount / batchSize);
   
   console.log(`📦 Using ${numBatches} batches of ~${batchSize} questions each`);
 
-  const results = [];
-  for (let i = 0; i < numBatches; i++) {
-    const currentBatchSize = Math.min(batchSize, questionCount - results.length);
-    if (currentBatchSize <= 0) break;
-
+  const batchResults = await Promise.all(Array.from({ length: numBatches }, async (_, i) => {
+    const currentBatchSize = Math.min(batchSize, questionCount - i * batchSize);
     console.log(`📋 Processing batch ${i + 1}/${numBatches} (${currentBatchSize} questions)...`);
 
     try {
       const batchParams = { ...params, questionCount: currentBatchSize };
-      const batchResult = await callGeminiAPIWithRetry(buildPrompt(batchParams), 2);
-      
-      if (batchResult && batchResult.length > 0) {
-        results.push(...batchResult);
-        console.log(`✅ Batch ${i + 1} completed: ${batchResult.length} questions`);
-      }
+      const batchResult = await callGeminiAPIWithRetry(buildPrompt(batchParams), batchParams);
+      console.log(`✅ Batch ${i + 1} completed: ${batchResult.length} questions`);
+      return batchResult;
     } catch (error) {
       console.error(`❌ Batch ${i + 1} failed:`, error.message);
       // Continue with remaining batches
+      return [];
     }
+  }));
 
-    if (results.length >= questionCount) break;
-    
-    // Delay between batches
-    if (i < numBatches - 1) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
+  return batchResults.flat().slice(0, questionCount);
+}
+
+// Generate each part of params.adaptivePlan as a topic test at the part's difficulty
+async function generateAdaptiveSet(params) {
+  const partResults = await Promise.all(params.adaptivePlan.map(async (part) => {
+    const partParams = {
+      ...params,
+      testFormat: 'topic-test',
+      selectedSubject: part.subject,
+      topic: part.topic,
+      difficulty: part.difficulty,
+      questionCount: part.count
+    };
+    console.log(`🧭 Adaptive part: ${part.count} ${part.difficulty} ${part.subject} / ${part.topic} (rating ${part.rating})`);
+
+    try {
+      const partQuestions = await callGeminiAPIWithRetry(buildPrompt(partParams), partParams);
+      return (partQuestions || []).slice(0, part.count).map(q => ({ ...q, subject: part.subject, topic: part.topic }));
+    } catch (error) {
+      console.error(`❌ Failed to generate adaptive part ${part.topic}:`, error.message);
+      reportProgress(params, { type: 'subject-failed', subject: part.subject, error: error.message });
+      return [];
+    }
+  }));
+  return partResults.flat();
+}
+
+// Syllabus topics an adaptive set may draw from: the selected subject's, or every
+// subject the paper's exam profile gives weight to
+function adaptiveTopics({ selectedSubject, syllabusVersion, source }) {
+  const weights = paperWeights({ syllabusVersion, source });
+  return getSyllabusIndex(syllabusVersion).subjects()
+    .filter(subject => (selectedSubject ? subject.key === subjectKey(selectedSubject) : weights[subject.key] > 0))
+    .flatMap(subject => subject.topics.map(entry => ({ subject: subject.name, topic: entry.topic })));
+}
+
+// Split a request into per-subject parts; full tests keep the paper's subject distribution
+function planSubjectParts({ testFormat, selectedSubject, questionCount, syllabusVersion, source, adaptivePlan }) {
+  if (testFormat === 'adaptive') {
+    const counts = {};
+    adaptivePlan.forEach(part => { counts[subjectKey(part.subject)] = (counts[subjectKey(part.subject)] || 0) + part.count; });
+    return Object.entries(getSyllabus(syllabusVersion).subjects)
+      .filter(([key]) => counts[key] > 0)
+      .map(([key, subject]) => ({ subject: subject.name, count: counts[key] }));
+  }
+  if (testFormat === 'full-test') {
+    const subjects = getSyllabus(syllabusVersion).subjects;
+    return Object.entries(calculateDistribution(questionCount, { syllabusVersion, source }))
+      .filter(([, count]) => count > 0)
+      .map(([key, count]) => ({ subject: subjects[key].name, count }));
+  }
+  return [{ subject: testFormat === 'subject-test' ? selectedSubject : null, count: questionCount }];
+}
+
+// Subject parts split further by difficulty: { subject, difficulty, count }
+// (adaptive sets are already planned per topic and difficulty)
+function planPaperCells(params) {
+  if (params.testFormat === 'adaptive') return params.adaptivePlan.map(part => ({ ...part }));
+  return splitPartsByDifficulty(planSubjectParts(params), params.difficulty, getExamProfile(params.source).difficulty);
+}
+
+// Sample actual past-paper questions instead of asking the AI for imitations
+function generateFromPastPapers(params) {
+  const criteria = {
+    // Colleges admitting through a university (AIMC via UHS) use that university's papers
+    source: getExamProfile(params.source).pastPapers || params.source,
+    difficulty: params.difficulty,
+    yearRange: normalizeYearRange(params.yearRange),
+    topic: params.testFormat === 'topic-test' ? params.topic : null
+  };
+
+  const questions = [];
+  for (const part of planSubjectParts(params)) {
+    const sampled = samplePastPaperQuestions(PAST_PAPER_QUESTIONS, { ...criteria, subject: part.subject }, part.count);
+    if (sampled.length < part.count) {
+      console.log(`⚠️ Only ${sampled.length}/${part.count} past-paper questions for ${part.subject || 'request'}`);
     }
+    questions.push(...sampled);
   }
 
-  return results.slice(0, questionCount);
+  console.log(`📜 Sampled ${questions.length}/${params.questionCount} past-paper questions`);
+  return questions;
+}
+
+// Serve unseen questions from the bank first and only generate the shortfall
+async function generateWithQuestionBank(params) {
+  const { questionCount, testFormat, topic, clientId } = params;
+  const criteria = {
+    source: params.source,
+    yearRange: normalizeYearRange(params.yearRange)
+  };
+
+  const parts = planSubjectParts(params);
+
+  const fromBank = [];
+  const missingBySubject = new Map();
+  for (const cell of planPaperCells(params)) {
+    const taken = questionBank.take(
+      { ...criteria, difficulty: cell.difficulty, subject: cell.subject, topic: testFormat === 'topic-test' ? topic : null },
+      cell.count,
+      { clientId }
+    );
+    fromBank.push(...taken);
+    if (taken.length < cell.count) {
+      missingBySubject.set(cell.subject, (missingBySubject.get(cell.subject) || 0) + cell.count - taken.length);
+    }
+  }
+  const shortfalls = parts
+    .filter(part => missingBySubject.has(part.subject))
+    .map(part => ({ ...part, missing: missingBySubject.get(part.subject) }));
+
+  console.log(`🏦 Question bank supplied ${fromBank.length}/${questionCount} questions`);
+  reportProgress(params, { type: 'bank', count: fromBank.length, subjects: getSubjectDistribution(fromBank) });
+
+  let generated = [];
+  const missingTotal = shortfalls.reduce((sum, part) => sum + part.missing, 0);
+
+  if (missingTotal === questionCount) {
+    generated = await generateWithCache(params);
+  } else if (testFormat === 'full-test') {
+    const topUps = await Promise.all(shortfalls.map(async (part) => {
+      try {
+        const partQuestions = await generateWithCache({
+          ...params,
+          testFormat: 'subject-test',
+          selectedSubject: part.subject,
+          questionCount: part.missing,
+          topic: null
+        });
+        return partQuestions.slice(0, part.missing).map(q => ({ ...q, subject: part.subject }));
+      } catch (error) {
+        console.error(`❌ Failed to top up ${part.subject} questions:`, error.message);
+        reportProgress(params, { type: 'subject-failed', subject: part.subject, error: error.message });
+        return [];
+      }
+    }));
+    generated = topUps.flat();
+  } else if (missingTotal > 0) {
+    generated = await generateWithCache({ ...params, questionCount: missingTotal });
+  }
+
+  const stored = questionBank.addQuestions(validateAndFilterQuestions(generated, missingTotal), { origin: 'ai' });
+  questionBank.markSeen(clientId, stored);
+
+  const questions = sortBySubjectOrder([...fromBank, ...stored.map(q => ({ ...q }))], parts);
+
+  return { questions, fromBank: fromBank.length, generated: stored.length };
+}
+
+// generateQuestionsWithBatching behind the result cache. params.cacheUsage (when
+// present) collects what the cache did for the paper's metadata.
+async function generateWithCache(params) {
+  // Adaptive sets are planned for one student, so they never share cache entries
+  if (params.testFormat === 'adaptive') return generateQuestionsWithBatching(params);
+
+  if (!config.cache.enabled) {
+    if (params.cacheUsage) params.cacheUsage.calls.push({ status: 'disabled', reused: 0, generated: 0 });
+    return generateQuestionsWithBatching(params);
+  }
+
+  const { questions, cache } = await generationCache.generate(params, generateQuestionsWithBatching, {
+    fresh: params.fresh,
+    seed: params.seed
+  });
+  console.log(`🗄️ Cache ${cache.status}: ${cache.reused} reused, ${cache.generated} generated`);
+  if (params.cacheUsage) params.cacheUsage.calls.push(cache);
+  return sortBySubjectOrder(questions, planSubjectParts(params));
+}
+
+// Cache outcome across a paper's generation calls, for response metadata
+function summarizeCacheUsage(cacheUsage) {
+  const calls = cacheUsage.calls;
+  const statuses = [...new Set(calls.map(call => call.status))];
+  return {
+    status: calls.length === 0 ? 'unused' : statuses.length === 1 ? statuses[0] : 'mixed',
+    hits: calls.filter(call => call.status === 'hit').length,
+    misses: calls.filter(call => call.status === 'miss').length,
+    reused: calls.reduce((sum, call) => sum + call.reused, 0),
+    generated: calls.reduce((sum, call) => sum + call.generated, 0)
+  };
+}
+
+// Re-solve questions to check their answer keys; keeps the bank in step with the outcome.
+// Returns { questions, dropped } where dropped counts disputed questions removed.
+async function verifyQuestions(questions, params) {
+  if (!VERIFICATION.enabled || questions.length === 0) return { questions, dropped: 0 };
+
+  const providerName = VERIFICATION.provider || params.provider || providers.defaultProviderName();
+  const verifier = createAnswerVerifier({
+    generate: (prompt, options) => generationScheduler.schedule(() => providers.getProvider(providerName).generate(prompt, options)),
+    votes: VERIFICATION.votes,
+    checkedBy: providerName
+  });
+
+  const checked = await verifier.verify(questions);
+  const summary = summarizeVerification(checked);
+  console.log(`🔎 Answer keys: ${summary.verified} verified, ${summary.corrected} corrected, ${summary.disputed} disputed, ${summary.unverified} unverified`);
+  reportProgress(params, { type: 'verification', ...summary });
+
+  const disputed = checked.filter(q => q.verification.status === 'disputed');
+  for (const q of checked) {
+    if (q.bankId && q.verification.status !== 'trusted') {
+      questionBank.updateQuestion(q.bankId, { answer: q.answer, verification: q.verification });
+    }
+  }
+
+  if (VERIFICATION.policy === 'flag' || disputed.length === 0) return { questions: checked, dropped: 0 };
+
+  questionBank.removeQuestions(disputed.filter(q => q.bankId).map(q => q.bankId));
+  return { questions: checked.filter(q => q.verification.status !== 'disputed'), dropped: disputed.length };
+}
+
+// Reconcile a paper against its per-subject and per-difficulty targets (lib/reconcile.js),
+// backfilling gaps from the provider and keeping the fresh questions in the bank
+function reconcileGeneratedPaper(questions, params, { seenQuestions = [] } = {}) {
+  return reconcilePaper(questions, params, {
+    parts: planPaperCells(params).filter(part => part.count > 0),
+    matchesTopic: (question, topic) => matchesTopic(question, topic, params.syllabusVersion),
+    // Straight to the provider: cached questions are what is being replaced here
+    generate: async gapParams => validateAndFilterQuestions(await generateQuestionsWithBatching(gapParams), gapParams.questionCount),
+    verify: list => verifyQuestions(list, params),
+    onBackfill: fresh => {
+      if (params.useBank) questionBank.markSeen(params.clientId, questionBank.addQuestions(fresh, { origin: 'ai' }));
+    },
+    onProgress: event => reportProgress(params, event),
+    seenQuestions
+  });
 }
 
 // -------------------- Routes --------------------
 
+// The page is self-contained: nothing else in the project directory (storage/, .env)
+// is served
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
 app.get('/health', (req, res) => {
   const syllabusStats = Object.fromEntries(
-    Object.entries(MDCAT_SYLLABUS).map(([k, v]) => [k, { topics: v.topics.length, percentage: v.percentage }])
+    Object.entries(getSyllabus().subjects).map(([k, v]) => [k, { topics: v.topics.length, percentage: v.weight }])
   );
 
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    hasApiKey: !!process.env.GEMINI_API_KEY,
-    environment: process.env.NODE_ENV || 'development',
+    hasApiKey: !!config.provider.geminiApiKey,
+    provider: providers.defaultProviderName(),
+    availableProviders: PROVIDER_NAMES,
+    environment: config.server.environment,
     version: '3.1.0',
+    config: publicConfig(config),
     syllabusStats,
-    universities: UNIVERSITIES
+    syllabus: {
+      defaultVersion: DEFAULT_SYLLABUS_VERSION,
+      versions: SYLLABI.versions
+    },
+    universities: UNIVERSITIES,
+    pastPapers: {
+      papers: PAST_PAPERS.length,
+      questions: PAST_PAPER_QUESTIONS.length,
+      samples: SAMPLE_PAST_PAPERS
+    },
+    generationModes: GENERATION_MODES,
+    questionBank: questionBank.stats(),
+    jobs: jobStore.stats(),
+    cache: generationCache.stats(),
+    scheduler: generationScheduler.stats()
   });
 });
 
-// FIXED: Main question generation endpoint with better parameter handling
-app.post('/api/generate-questions', async (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    console.log('📥 Received request:', JSON.stringify(req.body, null, 2));
-    
-    const { 
-      count, 
-      testFormat, 
-      source, 
-      yearRange, 
-      difficulty, 
-      selectedSubject, 
-      subject, // Alternative parameter name
-      topic 
-    } = req.body || {};
-
-    // Enhanced validation
-    if (!count || typeof count !== 'number' || count < 1 || count > 180) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Question count must be a number between 1 and 180' 
-      });
-    }
+// Error carrying the HTTP status the route should answer with
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
-    // FIXED: Handle both selectedSubject and subject parameters
-    const finalSubject = selectedSubject || subject;
-
-    // FIXED: Better parameter mapping with validation
-    const params = {
-      testFormat: testFormat || 'full-test',
-      selectedSubject: finalSubject,
-      topic: topic,
-      questionCount: count,
-      source: source || 'all',
-      yearRange: yearRange || 'all',
-      difficulty: difficulty || 'mixed'
-    };
+// A provider's failed HTTP response as our own error: 503 (with the provider's
+// Retry-After) while it is rate limited or down, else 502. Its status and message
+// stay in the logs; they describe our upstream call, not the client's request.
+function providerHttpError(error) {
+  console.error(`❌ Provider responded ${error.upstreamStatus}:`, error.message);
+  if (isRateLimitError(error)) {
+    const unavailable = createHttpError(503, 'AI service temporarily unavailable. Please try again in a few minutes.');
+    if (error.retryAfterMs) unavailable.retryAfterSeconds = Math.ceil(error.retryAfterMs / 1000);
+    return unavailable;
+  }
+  return createHttpError(502, 'AI service returned an error. Please try again later.');
+}
 
-    // FIXED: Additional validation for topic and subject tests
-    if (params.testFormat === 'topic-test') {
-      if (!params.topic || params.topic.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Topic is required for topic-test format'
-        });
-      }
-      params.topic = params.topic.trim();
-      console.log(`🎯 Topic test requested for: "${params.topic}"`);
+// FIXED: Validate a generation request body and map it to generation params.
+// `user` is the signed-in student; adaptive sets are planned from their topic ratings.
+function parseGenerationRequest(body, { user = null } = {}) {
+  const { 
+    count, 
+    testFormat, 
+    source, 
+    yearRange, 
+    difficulty, 
+    selectedSubject, 
+    subject, // Alternative parameter name
+    topic,
+    provider,
+    clientId,
+    useBank,
+    avoidSeen,
+    seed,
+    mode,
+    difficultyCalibration,
+    subtopic,
+    syllabusVersion,
+    fresh
+  } = body || {};
+
+  const version = syllabusVersion === undefined || syllabusVersion === null || syllabusVersion === ''
+    ? DEFAULT_SYLLABUS_VERSION
+    : String(syllabusVersion).trim();
+  if (!SYLLABI.byVersion[version]) {
+    throw createHttpError(400, `Invalid syllabusVersion. Must be one of: ${SYLLABI.versions.join(', ')}`);
+  }
+
+  const normalizedSource = source === undefined || source === null || source === '' ? 'all' : String(source).trim().toLowerCase();
+  if (normalizedSource !== 'all' && !EXAM_PROFILES.byId[normalizedSource]) {
+    throw createHttpError(400, `Invalid source. Must be one of: all, ${EXAM_PROFILES.ids.filter(id => id !== DEFAULT_PROFILE).join(', ')}`);
+  }
+  const profile = getExamProfile(normalizedSource);
+
+  // Enhanced validation
+  const maxCount = Math.min(
+    config.generation.maxQuestionsPerRequest,
+    Math.max(getSyllabus(version).totalQuestions, profile.questionCount)
+  );
+  if (!count || typeof count !== 'number' || count < 1 || count > maxCount) {
+    throw createHttpError(400, `Question count must be a number between 1 and ${maxCount}`);
+  }
+
+  if (mode !== undefined && !GENERATION_MODES.includes(mode)) {
+    throw createHttpError(400, `Invalid mode. Must be one of: ${GENERATION_MODES.join(', ')}`);
+  }
+
+  const normalizedDifficulty = difficulty === undefined || difficulty === null || difficulty === ''
+    ? config.generation.defaultDifficulty
+    : normalizeDifficulty(difficulty);
+  if (!normalizedDifficulty) {
+    throw createHttpError(400, 'Invalid difficulty. Must be one of: mixed, easy, moderate (medium), difficult (hard)');
+  }
+
+  if (difficultyCalibration !== undefined && !DIFFICULTY_CALIBRATIONS.includes(difficultyCalibration)) {
+    throw createHttpError(400, `Invalid difficultyCalibration. Must be one of: ${DIFFICULTY_CALIBRATIONS.join(', ')}`);
+  }
+
+  if (provider !== undefined && !normalizeProviderName(provider)) {
+    throw createHttpError(400, `Invalid provider. Must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  // FIXED: Handle both selectedSubject and subject parameters
+  const finalSubject = selectedSubject || subject;
+
+  // FIXED: Better parameter mapping with validation
+  const params = {
+    testFormat: testFormat || 'full-test',
+    selectedSubject: finalSubject,
+    topic: topic,
+    questionCount: count,
+    source: normalizedSource,
+    yearRange: yearRange || config.generation.defaultYearRange,
+    difficulty: normalizedDifficulty,
+    difficultyCalibration: difficultyCalibration || DEFAULT_DIFFICULTY_CALIBRATION,
+    provider: normalizeProviderName(provider) || undefined,
+    clientId: typeof clientId === 'string' && clientId.trim() ? clientId.trim().slice(0, 64) : undefined,
+    useBank: useBank !== false,
+    avoidSeen: avoidSeen === true,
+    seed: (typeof seed === 'string' && seed.trim()) || typeof seed === 'number' ? String(seed).trim().slice(0, 64) : undefined,
+    mode: mode || 'ai',
+    fresh: fresh === true,
+    syllabusVersion: version,
+    userId: user ? user.id : null
+  };
+
+  // FIXED: Additional validation for topic and subject tests
+  if (params.testFormat === 'topic-test') {
+    if (!params.topic || params.topic.trim().length === 0) {
+      throw createHttpError(400, 'Topic is required for topic-test format');
     }
+    // Resolve free text ("krebs cycle") to the canonical syllabus topic
+    const query = params.topic.trim();
+    const syllabusIndex = getSyllabusIndex(version);
+    const resolved = syllabusIndex.resolveTopic(query, { subject: params.selectedSubject }) || syllabusIndex.resolveTopic(query);
+    if (!resolved) {
+      const suggestions = syllabusIndex.search(query, { limit: 3 }).map(r => r.name);
+      throw createHttpError(400, `Topic "${query}" is not in the MDCAT ${version} syllabus` +
+        (suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : ''));
+    }
+    // An explicit subtopic (picked from autocomplete) must belong to the resolved topic
+    const entry = syllabusIndex.getSubject(resolved.subjectKey).topics.find(t => t.topic === resolved.topic);
+    const pickedSubtopic = typeof subtopic === 'string' && entry.subtopics.find(s => s.toLowerCase() === subtopic.trim().toLowerCase());
+    params.topic = resolved.topic;
+    params.subtopic = resolved.subtopic || pickedSubtopic || undefined;
+    params.selectedSubject = resolved.subject;
+    console.log(`🎯 Topic test requested for: "${query}" → ${resolved.subject} / ${resolved.topic}`);
+  }
 
-    if (params.testFormat === 'subject-test') {
-      if (!params.selectedSubject) {
-        return res.status(400).json({
-          success: false,
-          error: 'Subject is required for subject-test format'
-        });
-      }
-      
-      // Validate subject exists in syllabus
-      const validSubjects = ['biology', 'chemistry', 'physics', 'english', 'logical'];
-      if (!validSubjects.includes(params.selectedSubject.toLowerCase())) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid subject. Must be one of: ${validSubjects.join(', ')}`
-        });
-      }
-      console.log(`📚 Subject test requested for: ${params.selectedSubject}`);
+  if (params.testFormat === 'subject-test') {
+    if (!params.selectedSubject) {
+      throw createHttpError(400, 'Subject is required for subject-test format');
     }
+    
+    // Validate subject exists in syllabus
+    const validSubjects = Object.keys(getSyllabus(version).subjects);
+    if (!validSubjects.includes(subjectKey(params.selectedSubject) || params.selectedSubject.toLowerCase())) {
+      throw createHttpError(400, `Invalid subject. Must be one of: ${validSubjects.join(', ')}`);
+    }
+    console.log(`📚 Subject test requested for: ${params.selectedSubject}`);
+  }
 
-    console.log('🔧 Final generation parameters:', JSON.stringify(params, null, 2));
+  if (params.testFormat === 'adaptive') {
+    if (!user) {
+      throw createHttpError(401, 'Please log in to use adaptive practice');
+    }
+    if (params.mode !== 'ai') {
+      throw createHttpError(400, 'Adaptive practice needs mode "ai"');
+    }
+    if (params.selectedSubject && params.selectedSubject !== 'all' && !subjectKey(params.selectedSubject)) {
+      throw createHttpError(400, `Invalid subject. Must be one of: ${Object.keys(getSyllabus(version).subjects).join(', ')}`);
+    }
+    params.selectedSubject = params.selectedSubject === 'all' ? undefined : params.selectedSubject;
+    params.difficulty = 'mixed'; // each part gets its own level from the ratings
+    params.useBank = false; // bank questions are not served by topic and level
+    params.adaptivePlan = planAdaptiveSet(abilityStore.get(user.id), adaptiveTopics(params), {
+      count: params.questionCount,
+      seed: params.seed
+    });
+    console.log(`🧭 Adaptive set for ${user.username}: ${params.adaptivePlan.map(part => `${part.topic} ×${part.count} (${part.difficulty})`).join(', ')}`);
+  }
 
-    // Generate questions
-    let questions;
-    try {
-      questions = await generateQuestionsWithBatching(params);
-    } catch (generationError) {
-      console.error('❌ Question generation failed:', generationError.message);
-      
-      if (generationError.message.includes('timeout')) {
-        return res.status(408).json({ 
-          success: false, 
-          error: 'Generation timeout. Please try with fewer questions or try again later.' 
-        });
-      }
-      
-      if (generationError.message.includes('API')) {
-        return res.status(503).json({ 
-          success: false, 
-          error: 'AI service temporarily unavailable. Please try again in a few minutes.' 
-        });
+  return params;
+}
+
+// Run the full generation pipeline for validated params.
+// params.onProgress (optional) receives progress events for job tracking.
+async function generatePaper(params) {
+  const startTime = Date.now();
+  const count = params.questionCount;
+  console.log('🔧 Final generation parameters:', JSON.stringify(params, null, 2));
+  params = { ...params, cacheUsage: { calls: [] } };
+
+  // Snapshot before the bank marks this paper's questions as seen
+  const seenQuestions = params.avoidSeen && params.clientId ? questionBank.seenQuestions(params.clientId) : [];
+
+  // Generate questions
+  let questions;
+  let bankUsage = { fromBank: 0, generated: 0 };
+  try {
+    if (params.mode === 'past-papers-only') {
+      questions = generateFromPastPapers(params);
+      if (questions.length === 0) {
+        throw createHttpError(404, PAST_PAPER_QUESTIONS.length === 0
+          ? `No real past papers are installed: the bundled ones are format samples. Add official papers as <university>/<year>.json under ${PAST_PAPERS_DIR} to use this mode.`
+          : 'No past paper questions match these filters. Try a different source, year range or topic.');
       }
-      
-      throw generationError;
+      reportProgress(params, { type: 'past-papers', count: questions.length, subjects: getSubjectDistribution(questions) });
+    } else if (params.useBank) {
+      const result = await generateWithQuestionBank(params);
+      questions = result.questions;
+      bankUsage = { fromBank: result.fromBank, generated: result.generated };
+    } else {
+      questions = await generateWithCache(params);
+      bankUsage.generated = questions.length;
     }
+  } catch (generationError) {
+    if (generationError.upstreamStatus) throw providerHttpError(generationError);
+    if (generationError.status) throw generationError;
+    console.error('❌ Question generation failed:', generationError.message);
+    
+    if (generationError.message.includes('timeout')) {
+      throw createHttpError(408, 'Generation timeout. Please try with fewer questions or try again later.');
+    }
+    
+    if (generationError.message.includes('API')) {
+      throw createHttpError(503, 'AI service temporarily unavailable. Please try again in a few minutes.');
+    }
+    
+    throw generationError;
+  }
 
-    const validQuestions = validateAndFilterQuestions(questions, count);
+  const reconciled = await reconcileGeneratedPaper(validateAndFilterQuestions(questions, count), params, { seenQuestions });
+  const validQuestions = reconciled.questions;
 
-    if (validQuestions.length === 0) {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to generate valid questions. Please try again with different parameters.' 
-      });
-    }
+  // Bank-backed generation stores as it goes; direct generation is banked here
+  if (params.mode === 'ai' && !params.useBank) {
+    questionBank.addQuestions(validQuestions, { origin: 'ai' });
+  }
 
-    // FIXED: Additional validation for topic/subject consistency
-    if (params.testFormat === 'topic-test' && params.topic) {
-      const topicQuestions = validQuestions.filter(q => 
-        q.topic && q.topic.toLowerCase().includes(params.topic.toLowerCase())
-      );
-      
-      if (topicQuestions.length < validQuestions.length * 0.8) {
-        console.log(`⚠️ Warning: Only ${topicQuestions.length}/${validQuestions.length} questions match topic "${params.topic}"`);
-      }
+  if (validQuestions.length === 0) {
+    throw createHttpError(500, 'Failed to generate valid questions. Please try again with different parameters.');
+  }
+
+  // FIXED: Additional validation for topic/subject consistency
+  if (params.testFormat === 'topic-test' && params.topic) {
+    const topicQuestions = validQuestions.filter(q => 
+      q.topic && q.topic.toLowerCase().includes(params.topic.toLowerCase())
+    );
+    
+    if (topicQuestions.length < validQuestions.length * 0.8) {
+      console.log(`⚠️ Warning: Only ${topicQuestions.length}/${validQuestions.length} questions match topic "${params.topic}"`);
     }
+  }
 
-    if (params.testFormat === 'subject-test' && params.selectedSubject) {
-      const subjectQuestions = validQuestions.filter(q => 
-        q.subject && q.subject.toLowerCase() === params.selectedSubject.toLowerCase()
-      );
-      
-      if (subjectQuestions.length < validQuestions.length * 0.9) {
-        console.log(`⚠️ Warning: Only ${subjectQuestions.length}/${validQuestions.length} questions match subject "${params.selectedSubject}"`);
-      }
+  if (params.testFormat === 'subject-test' && params.selectedSubject) {
+    const subjectQuestions = validQuestions.filter(q => 
+      q.subject && q.subject.toLowerCase() === params.selectedSubject.toLowerCase()
+    );
+    
+    if (subjectQuestions.length < validQuestions.length * 0.9) {
+      console.log(`⚠️ Warning: Only ${subjectQuestions.length}/${validQuestions.length} questions match subject "${params.selectedSubject}"`);
     }
+  }
 
-    const responseTime = Date.now() - startTime;
-    console.log(`✅ Generated ${validQuestions.length} questions in ${responseTime}ms`);
+  const profile = getExamProfile(params.source);
+
+  // Shuffle options so the key is balanced; the seed makes the paper reproducible
+  const shuffleSeed = params.seed || crypto.randomBytes(6).toString('hex');
+  const paperQuestions = balanceAnswerKey(validQuestions, { seed: shuffleSeed });
+
+  const responseTime = Date.now() - startTime;
+  console.log(`✅ Generated ${validQuestions.length} questions in ${responseTime}ms`);
+
+  const numberedQuestions = addIds(paperQuestions);
+  const metadata = {
+    generated: validQuestions.length,
+    requested: count,
+    testFormat: params.testFormat,
+    selectedSubject: params.selectedSubject,
+    topic: params.topic,
+    subtopic: params.subtopic,
+    source: params.source,
+    examProfile: {
+      id: profile.id,
+      name: profile.name,
+      timeLimitMinutes: timeLimitFor(profile, validQuestions.length),
+      marking: profile.marking
+    },
+    difficulty: {
+      requested: params.difficulty,
+      calibration: params.difficultyCalibration,
+      target: params.adaptivePlan
+        ? Object.fromEntries(DIFFICULTY_LEVELS.map(level => [level, params.adaptivePlan.filter(part => part.difficulty === level).reduce((sum, part) => sum + part.count, 0)]))
+        : difficultyTargets(count, params.difficulty, profile.difficulty),
+      actual: difficultyDistribution(validQuestions)
+    },
+    yearRange: params.yearRange,
+    mode: params.mode,
+    syllabusVersion: params.syllabusVersion,
+    adaptive: params.adaptivePlan ? { plan: params.adaptivePlan } : null,
+    provider: params.mode === 'ai' ? params.provider || providers.defaultProviderName() : null,
+    questionBank: bankUsage,
+    cache: summarizeCacheUsage(params.cacheUsage),
+    shortfall: reconciled.shortfall,
+    duplicates: reconciled.duplicates,
+    verification: VERIFICATION.enabled
+      ? { policy: VERIFICATION.policy, votes: VERIFICATION.votes, ...summarizeVerification(validQuestions), dropped: reconciled.verification.dropped }
+      : { enabled: false },
+    shuffleSeed,
+    answerDistribution: answerDistribution(paperQuestions),
+    responseTime: responseTime,
+    subjectDistribution: getSubjectDistribution(validQuestions)
+  };
+
+  // Saved with its seed and params so the identical paper can be shared by ID
+  const paper = paperStore.save({ seed: shuffleSeed, params, questions: numberedQuestions, metadata, createdBy: params.userId || null });
+  console.log(`💾 Saved paper ${paper.id}`);
+
+  return { paperId: paper.id, shareUrl: `/?paper=${paper.id}`, questions: numberedQuestions, metadata };
+}
 
-    res.json({
-      success: true,
-      questions: addIds(validQuestions),
-      metadata: {
-        generated: validQuestions.length,
-        requested: count,
-        testFormat: params.testFormat,
-        selectedSubject: params.selectedSubject,
-        topic: params.topic,
-        source: params.source,
-        difficulty: params.difficulty,
-        yearRange: params.yearRange,
-        responseTime: responseTime,
-        subjectDistribution: getSubjectDistribution(validQuestions)
-      }
-    });
+// FIXED: Main question generation endpoint with better parameter handling
+app.post('/api/generate-questions', limitGeneration, async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log('📥 Received request:', JSON.stringify(req.body, null, 2));
+    
+    const params = parseGenerationRequest(req.body, { user: req.user });
+    const paper = await generatePaper(params);
+
+    releaseQuota(res.locals.rateLimit, paper.questions.length, res);
+    res.json({ success: true, ...paper });
     
   } catch (err) {
     const responseTime = Date.now() - startTime;
+    releaseQuota(res.locals.rateLimit, 0, res);
+
+    if (err.status) {
+      if (err.retryAfterSeconds) res.set('Retry-After', String(err.retryAfterSeconds));
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+
     console.error(`❌ /api/generate-questions error after ${responseTime}ms:`, err);
     
-    const isDev = process.env.NODE_ENV !== 'production';
+    const isDev = config.server.environment !== 'production';
     res.status(500).json({ 
       success: false, 
       error: isDev ? err.message : 'Internal server error. Please try again.',
@@ -895,6 +1335,568 @@ app.post('/api/generate-questions', async (req, res) => {
   }
 });
 
+// Start generation as a background job; progress is polled or streamed below
+app.post('/api/jobs', limitGeneration, (req, res) => {
+  const reservation = res.locals.rateLimit;
+  try {
+    const params = parseGenerationRequest(req.body, { user: req.user });
+    const job = jobStore.create(
+      { total: params.questionCount, params },
+      onProgress => generatePaper({ ...params, onProgress }).then(
+        paper => {
+          releaseQuota(reservation, paper.questions.length);
+          return paper;
+        },
+        error => {
+          releaseQuota(reservation);
+          throw error;
+        }
+      )
+    );
+
+    console.log(`🧵 Queued generation job ${job.id}`);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (err) {
+    releaseQuota(reservation, 0, res);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// Whether the requester may see a paper's answers and explanations: its creator,
+// a teacher, or a student who has already submitted an attempt at it
+function canSeeAnswerKey(req, paper) {
+  if (!req.user) return false;
+  return paper.createdBy === req.user.id ||
+    accounts.roleOf(req.user) === 'teacher' ||
+    paperStore.listSubmissions(paper.id).some(submission => submission.userId === req.user.id);
+}
+
+// A saved paper: the same questions in the same order as when it was generated.
+// Without the answer key unless the requester may see it (answerKey: false).
+app.get('/api/papers/:id', (req, res) => {
+  const paper = paperStore.get(req.params.id);
+  if (!paper) {
+    return res.status(404).json({ success: false, error: 'Paper not found' });
+  }
+  const withKey = canSeeAnswerKey(req, paper);
+  const shared = withKey ? paper : withoutAnswerKey(paper);
+  res.json({ success: true, paper: { ...shared, createdBy: undefined, answerKey: withKey, shareUrl: `/?paper=${paper.id}` } });
+});
+
+const EXPORT_FORMAT_NAMES = ['pdf', ...Object.keys(EXPORT_FORMATS)];
+
+// Send questions as an LMS/flashcard import file named <basename>.<extension>
+function sendQuestionExport(res, questions, format, { basename, title }) {
+  const file = exportQuestions(questions, format, { title });
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${basename}.${file.extension}"`);
+  res.send(file.body);
+}
+
+// A saved paper as a file. format=pdf (default) prints it: document=paper or
+// answer-key, with fontSize, columns (1 or 2) and meta=false (hide source/year).
+// gift, qti, aiken, csv and anki give import files for Moodle, other LMSs and Anki.
+app.get('/api/papers/:id/export', async (req, res) => {
+  const paper = paperStore.get(req.params.id);
+  if (!paper) {
+    return res.status(404).json({ success: false, error: 'Paper not found' });
+  }
+
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  if (!EXPORT_FORMAT_NAMES.includes(format)) {
+    return res.status(400).json({ success: false, error: `Invalid format. Must be one of: ${EXPORT_FORMAT_NAMES.join(', ')}` });
+  }
+  const document = String(req.query.document || 'paper').toLowerCase();
+  if (format === 'pdf' && !['paper', 'answer-key'].includes(document)) {
+    return res.status(400).json({ success: false, error: 'Invalid document. Must be one of: paper, answer-key' });
+  }
+
+  // The answer key and the import files (which carry it) follow the same rule as GET /api/papers/:id
+  if ((format !== 'pdf' || document === 'answer-key') && !canSeeAnswerKey(req, paper)) {
+    return req.user
+      ? res.status(403).json({ success: false, error: 'The answer key is available to the paper\'s creator, or after you submit an attempt' })
+      : res.status(401).json({ success: false, error: 'Please log in first' });
+  }
+  if (format !== 'pdf') {
+    return sendQuestionExport(res, paper.questions, format, { basename: `mdcat-${paper.id}`, title: `MDCAT paper ${paper.id}` });
+  }
+
+  let options;
+  try {
+    options = normalizeExportOptions({
+      fontSize: req.query.fontSize,
+      columns: req.query.columns,
+      showMeta: req.query.meta,
+      fontPath: config.storage.pdfFontPath
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const pdf = document === 'answer-key' ? await renderAnswerKeyPdf(paper, options) : await renderPaperPdf(paper, options);
+    const filename = `mdcat-${paper.id}${document === 'answer-key' ? '-answer-key' : ''}.pdf`;
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('❌ PDF export failed:', error.message);
+    res.status(500).json({ success: false, error: 'Could not build the PDF' });
+  }
+});
+
+// Bulk import of hand-written questions into the bank (teacher accounts). Body:
+// { format: csv|json|aiken|gift (or a filename to infer it from), content, subject?,
+// topic?, difficulty?, source? as defaults for rows without them, dryRun? }.
+// Clean rows are stored as human-authored; the report covers every row.
+app.post('/api/question-bank/import', requireTeacher, (req, res) => {
+  const { content, filename, subject, topic, difficulty, source, dryRun } = req.body || {};
+  const format = String(req.body && req.body.format ? req.body.format : formatFromFilename(filename) || '').toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ success: false, error: `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}` });
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    return res.status(400).json({ success: false, error: 'content must be the text of the file to import' });
+  }
+
+  try {
+    const report = importIntoBank(questionBank, content, format, {
+      syllabusIndex: getSyllabusIndex(),
+      defaults: { subject, topic, difficulty, source },
+      rules: { enabled: config.validation.enabled, minQuestionLength: config.validation.minQuestionLength },
+      dryRun: dryRun === true,
+      author: req.user.username
+    });
+    console.log(`📥 Import by ${req.user.username} (${format}${report.dryRun ? ', dry run' : ''}): ${report.valid} valid, ${report.duplicates} duplicate, ${report.invalid} invalid`);
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// A question-bank selection as an import file (gift, qti, aiken, csv or anki),
+// filtered like generation: subject, topic, difficulty, source; up to `limit` questions.
+// Teacher accounts only: the file carries every answer and explanation.
+app.get('/api/question-bank/export', requireTeacher, (req, res) => {
+  const format = String(req.query.format || '').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (req.query.subject && !subjectKey(req.query.subject)) {
+    return res.status(400).json({ success: false, error: `Unknown subject: ${req.query.subject}` });
+  }
+  const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+    return res.status(400).json({ success: false, error: 'limit must be a whole number from 1 to 5000' });
+  }
+
+  const questions = questionBank.findQuestions({
+    subject: req.query.subject,
+    topic: req.query.topic,
+    difficulty: req.query.difficulty,
+    source: req.query.source
+  }).slice(0, limit);
+  if (questions.length === 0) {
+    return res.status(404).json({ success: false, error: 'No questions in the bank match this selection' });
+  }
+
+  const scope = [req.query.subject, req.query.topic].filter(Boolean).join(' ');
+  sendQuestionExport(res, questions, format, { basename: 'mdcat-question-bank', title: `MDCAT question bank${scope ? `: ${scope}` : ''}` });
+});
+
+// Grade answers against a saved paper's key and record the submission
+app.post('/api/papers/:id/submissions', (req, res) => {
+  const paper = paperStore.get(req.params.id);
+  if (!paper) {
+    return res.status(404).json({ success: false, error: 'Paper not found' });
+  }
+
+  const { answers, scheme, marking, sectionWeights, timeTakenSeconds, timePerQuestion, flagged } = req.body || {};
+  let result;
+  try {
+    const profileMarking = paper.metadata.examProfile ? paper.metadata.examProfile.marking : undefined;
+    result = gradeAnswers(paper.questions, answers, resolveMarking({ scheme, marking, sectionWeights }, profileMarking));
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const seconds = value => (Number.isFinite(value) && value >= 0 ? Math.round(value) : null);
+  const submission = paperStore.addSubmission(paper.id, {
+    userId: req.user ? req.user.id : null,
+    timeTakenSeconds: seconds(timeTakenSeconds),
+    ...result
+  });
+  console.log(`📝 Graded submission ${submission.id} for paper ${paper.id}: ${submission.score}/${submission.maxScore} (${submission.marking.scheme})`);
+
+  // Signed-in students keep the attempt in their history, and their topic ratings
+  // move with every answered question whose topic is in the syllabus
+  let attempt = null;
+  let abilityChanges = [];
+  let queuedForReview = 0;
+  if (req.user) {
+    // Missed and flagged questions go into the student's spaced-repetition queue
+    const flaggedIndexes = new Set(Array.isArray(flagged) ? flagged.filter(Number.isInteger) : []);
+    const reviewEntries = paper.questions.flatMap((question, index) => {
+      const status = submission.questions[index].status;
+      if (status === 'incorrect') return [{ question, reason: 'incorrect' }];
+      if (flaggedIndexes.has(index)) return [{ question, reason: 'flagged' }];
+      return [];
+    });
+    queuedForReview = reviewStore.add(req.user.id, reviewEntries, { paperId: paper.id }).length;
+
+    const syllabusIndex = getSyllabusIndex(paper.params.syllabusVersion);
+    abilityChanges = abilityStore.update(req.user.id, paper.questions.flatMap((question, index) => {
+      const resolved = question.topic ? syllabusIndex.resolveTopic(question.topic, { subject: question.subject }) : null;
+      return resolved
+        ? [{ subject: resolved.subject, topic: resolved.topic, difficulty: question.difficulty, status: submission.questions[index].status }]
+        : [];
+    }));
+
+    attempt = attemptStore.record(req.user.id, {
+      paperId: paper.id,
+      submissionId: submission.id,
+      submittedAt: submission.submittedAt,
+      testFormat: paper.params.testFormat,
+      selectedSubject: paper.params.selectedSubject || null,
+      examProfile: paper.metadata.examProfile ? paper.metadata.examProfile.name : null,
+      answers: submission.questions.map(question => question.answer),
+      timePerQuestion: paper.questions.map((question, index) => seconds(Array.isArray(timePerQuestion) ? timePerQuestion[index] : undefined)),
+      timeTakenSeconds: submission.timeTakenSeconds,
+      scheme: submission.marking.scheme,
+      total: submission.total,
+      correct: submission.correct,
+      incorrect: submission.incorrect,
+      unanswered: submission.unanswered,
+      score: submission.score,
+      maxScore: submission.maxScore,
+      percentage: submission.percentage,
+      abilityChanges,
+      queuedForReview
+    });
+  }
+  // Grading releases the answers and explanations the shared paper left out, but only
+  // to callers who may see the key (a signed-in student once they have submitted)
+  const withKey = canSeeAnswerKey(req, paper);
+  res.status(201).json({
+    success: true,
+    submission: withKey ? submission : withoutCorrectAnswers(submission),
+    answerKey: withKey ? answerKey(paper) : null,
+    attemptId: attempt ? attempt.id : null,
+    abilityChanges,
+    queuedForReview
+  });
+});
+
+app.get('/api/papers/:id/submissions/:submissionId', (req, res) => {
+  const submission = paperStore.getSubmission(req.params.id, req.params.submissionId);
+  if (!submission) {
+    return res.status(404).json({ success: false, error: 'Submission not found' });
+  }
+  const paper = paperStore.get(req.params.id);
+  res.json({ success: true, submission: canSeeAnswerKey(req, paper) ? submission : withoutCorrectAnswers(submission) });
+});
+
+// Accounts: sign up, log in and out with a session cookie
+function startSession(res, user) {
+  const session = accounts.createSession(user.id);
+  setSessionCookie(res, session.token, { maxAgeMs: accounts.sessionTtlMs, secure: config.server.environment === 'production' });
+}
+
+app.post('/api/auth/register', limitAuth, async (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const user = await accounts.register(username, password);
+    startSession(res, user);
+    console.log(`👤 Registered account ${user.username}`);
+    res.status(201).json({ success: true, user: publicUser(user, accounts.roleOf(user)) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/login', limitAuth, async (req, res) => {
+  const { username, password } = req.body || {};
+  const user = await accounts.authenticate(username, password);
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Invalid username or password' });
+  }
+  startSession(res, user);
+  res.json({ success: true, user: publicUser(user, accounts.roleOf(user)) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  accounts.deleteSession(readSessionToken(req));
+  clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireUser, (req, res) => {
+  res.json({ success: true, user: publicUser(req.user, accounts.roleOf(req.user)) });
+});
+
+// The signed-in student's attempts, oldest first
+app.get('/api/attempts', requireUser, (req, res) => {
+  const attempts = attemptStore.list(req.user.id);
+  res.json({ success: true, count: attempts.length, attempts });
+});
+
+app.get('/api/attempts/:id', requireUser, (req, res) => {
+  const attempt = attemptStore.get(req.user.id, req.params.id);
+  if (!attempt) {
+    return res.status(404).json({ success: false, error: 'Attempt not found' });
+  }
+  res.json({ success: true, attempt });
+});
+
+// The signed-in student's topic ratings, weakest first
+app.get('/api/abilities', requireUser, (req, res) => {
+  const abilities = Object.values(abilityStore.get(req.user.id))
+    .map(entry => ({ ...entry, rating: Math.round(entry.rating) }))
+    .sort((a, b) => a.rating - b.rating);
+  res.json({ success: true, count: abilities.length, abilities });
+});
+
+// A review card as the browser sees it: the question to show, without its answer key
+function reviewCardForClient(card) {
+  const shown = card.variant || card.question;
+  return {
+    id: card.id,
+    reason: card.reason,
+    paperId: card.paperId,
+    dueAt: new Date(card.dueAt).toISOString(),
+    reviews: card.reviews,
+    lapses: card.lapses,
+    isVariant: !!card.variant,
+    question: {
+      question: shown.question,
+      options: shown.options,
+      subject: shown.subject,
+      topic: shown.topic,
+      difficulty: shown.difficulty
+    }
+  };
+}
+
+// The signed-in student's review cards due now
+app.get('/api/review/due', requireUser, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  res.json({
+    success: true,
+    stats: reviewStore.stats(req.user.id),
+    cards: reviewStore.due(req.user.id, { limit }).map(reviewCardForClient)
+  });
+});
+
+// Answer a review card; it is graded on the server and rescheduled (SM-2)
+app.post('/api/review/cards/:cardId/answer', requireUser, (req, res) => {
+  const { answer, quality } = req.body || {};
+  if (typeof answer !== 'string' || !['A', 'B', 'C', 'D'].includes(answer.trim().toUpperCase())) {
+    return res.status(400).json({ success: false, error: 'answer must be one of A, B, C, D' });
+  }
+  const result = reviewStore.review(req.user.id, req.params.cardId, { answer, quality });
+  if (!result) {
+    return res.status(404).json({ success: false, error: 'Review card not found' });
+  }
+  res.json({
+    success: true,
+    correct: result.correct,
+    correctAnswer: result.correctAnswer,
+    explanation: result.explanation,
+    nextDueAt: new Date(result.card.dueAt).toISOString(),
+    intervalDays: result.card.intervalDays,
+    stats: reviewStore.stats(req.user.id)
+  });
+});
+
+// Swap a card's question for a freshly generated variant testing the same concept
+app.post('/api/review/cards/:cardId/variant', requireUser, limitVariant, async (req, res) => {
+  const reservation = res.locals.rateLimit;
+  const card = reviewStore.get(req.user.id, req.params.cardId);
+  if (!card) {
+    releaseQuota(reservation, 0, res);
+    return res.status(404).json({ success: false, error: 'Review card not found' });
+  }
+
+  const original = card.question;
+  const resolved = original.topic ? getSyllabusIndex().resolveTopic(original.topic, { subject: original.subject }) : null;
+  const level = normalizeDifficulty(original.difficulty);
+  const params = {
+    testFormat: resolved ? 'topic-test' : 'subject-test',
+    selectedSubject: resolved ? resolved.subject : original.subject,
+    topic: resolved ? resolved.topic : null,
+    questionCount: 1,
+    source: 'all',
+    yearRange: config.generation.defaultYearRange,
+    difficulty: level && level !== 'mixed' ? level : 'moderate',
+    difficultyCalibration: DEFAULT_DIFFICULTY_CALIBRATION,
+    syllabusVersion: DEFAULT_SYLLABUS_VERSION,
+    mode: 'ai'
+  };
+  const prompt = `${buildPrompt(params)}\n\nWrite a new question that tests the same concept as this one, with different wording, numbers and options:\n"${original.question}"`;
+
+  try {
+    const generated = validateAndFilterQuestions(await callGeminiAPIWithRetry(prompt, params), 1)
+      .filter(q => normalizeText(q.question) !== normalizeText(original.question));
+    if (generated.length === 0) {
+      releaseQuota(reservation, 0, res);
+      return res.status(502).json({ success: false, error: 'Could not generate a variant. Please try again.' });
+    }
+    const variant = { ...generated[0], subject: params.selectedSubject, topic: params.topic || original.topic };
+    const updated = reviewStore.setVariant(req.user.id, card.id, variant);
+    releaseQuota(reservation, 1, res);
+    res.json({ success: true, card: reviewCardForClient(updated) });
+  } catch (error) {
+    releaseQuota(reservation, 0, res);
+    console.error(`❌ Review variant for card ${card.id} failed:`, error.message);
+    res.status(503).json({ success: false, error: 'AI service temporarily unavailable. Please try again in a few minutes.' });
+  }
+});
+
+// Preset marking schemes a submission can ask for (besides 'profile')
+app.get('/api/marking-schemes', (req, res) => {
+  res.json({ success: true, schemes: MARKING_SCHEMES });
+});
+
+// The caller's remaining requests this minute and questions today
+app.get('/api/quota', (req, res) => {
+  const { requests, questions } = rateLimiter.status(identifyClient(req));
+  const view = state => ({ limit: state.limit, remaining: state.remaining, resetAt: new Date(state.resetAt).toISOString() });
+  setLimitHeaders(res, 'X-Quota', questions);
+  res.json({ success: true, requests: view(requests), questions: view(questions) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found or expired' });
+  }
+  res.json({ success: true, job });
+});
+
+// Server-Sent Events stream of a job's progress; replays what already happened
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found or expired' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('snapshot', { ...job, result: null });
+  if (job.status === 'completed' || job.status === 'failed') {
+    send(job.status, job);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const unsubscribe = jobStore.subscribe(job.id, update => {
+    if (update.type === 'progress') {
+      send('progress', { event: update.event, progress: update.job.progress });
+    } else if (update.type === 'status') {
+      send('status', { status: update.job.status });
+    } else {
+      send(update.type, update.job);
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+// Syllabus index for ?version= (default: the current syllabus); null when unknown
+function requestedSyllabusIndex(req, res) {
+  const version = req.query.version ? String(req.query.version) : DEFAULT_SYLLABUS_VERSION;
+  if (!syllabusIndexes[version]) {
+    res.status(404).json({ success: false, error: `Unknown syllabus version: ${version}`, versions: SYLLABI.versions });
+    return null;
+  }
+  return syllabusIndexes[version];
+}
+
+// Syllabus tree: subjects with their topics, subtopics and learning objectives
+app.get('/api/syllabus', (req, res) => {
+  const syllabusIndex = requestedSyllabusIndex(req, res);
+  if (!syllabusIndex) return;
+
+  const syllabus = getSyllabus(syllabusIndex.version);
+  res.json({
+    success: true,
+    version: syllabus.version,
+    title: syllabus.title,
+    totalQuestions: syllabus.totalQuestions,
+    versions: SYLLABI.versions,
+    defaultVersion: DEFAULT_SYLLABUS_VERSION,
+    subjects: syllabusIndex.subjects()
+  });
+});
+
+// Fuzzy topic search for autocomplete: ?q=krebs&subject=biology&limit=10&version=2025
+app.get('/api/syllabus/search', (req, res) => {
+  const syllabusIndex = requestedSyllabusIndex(req, res);
+  if (!syllabusIndex) return;
+
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ success: false, error: 'Query parameter "q" is required' });
+  }
+  if (req.query.subject && !syllabusIndex.getSubject(req.query.subject)) {
+    return res.status(404).json({ success: false, error: `Unknown subject: ${req.query.subject}` });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const results = syllabusIndex.search(query, { subject: req.query.subject, limit });
+  res.json({ success: true, query, results, resolved: syllabusIndex.resolveTopic(query, { subject: req.query.subject }) });
+});
+
+app.get('/api/syllabus/:subject', (req, res) => {
+  const syllabusIndex = requestedSyllabusIndex(req, res);
+  if (!syllabusIndex) return;
+
+  const subject = syllabusIndex.getSubject(req.params.subject);
+  if (!subject) {
+    return res.status(404).json({ success: false, error: `Unknown subject: ${req.params.subject}` });
+  }
+  res.json({ success: true, version: syllabusIndex.version, subject });
+});
+
+// Exam profiles: question count, subject weights, time limit, marking and difficulty per source
+app.get('/api/exam-profiles', (req, res) => {
+  res.json({
+    success: true,
+    defaultProfile: DEFAULT_PROFILE,
+    profiles: EXAM_PROFILES.ids.map(id => {
+      const { exemplars, ...profile } = EXAM_PROFILES.byId[id];
+      return { ...profile, exemplars: exemplars.length };
+    })
+  });
+});
+
+app.get('/api/exam-profiles/:id', (req, res) => {
+  const profile = EXAM_PROFILES.byId[String(req.params.id).toLowerCase()];
+  if (!profile) {
+    return res.status(404).json({ success: false, error: `Unknown exam profile: ${req.params.id}`, profiles: EXAM_PROFILES.ids });
+  }
+  res.json({ success: true, profile });
+});
+
 // Helper function to get subject distribution from questions
 function getSubjectDistribution(questions) {
   const distribution = {};
@@ -909,7 +1911,35 @@ app.use('/api', (req, res) => {
   res.status(404).json({ 
     success: false, 
     error: 'API endpoint not found',
-    availableEndpoints: ['/api/generate-questions']
+    availableEndpoints: [
+      '/api/generate-questions',
+      '/api/jobs',
+      '/api/jobs/:id',
+      '/api/jobs/:id/events',
+      '/api/quota',
+      '/api/papers/:id',
+      '/api/papers/:id/export',
+      '/api/question-bank/export',
+      '/api/question-bank/import',
+      '/api/papers/:id/submissions',
+      '/api/papers/:id/submissions/:submissionId',
+      '/api/marking-schemes',
+      '/api/auth/register',
+      '/api/auth/login',
+      '/api/auth/logout',
+      '/api/auth/me',
+      '/api/attempts',
+      '/api/attempts/:id',
+      '/api/abilities',
+      '/api/review/due',
+      '/api/review/cards/:cardId/answer',
+      '/api/review/cards/:cardId/variant',
+      '/api/syllabus',
+      '/api/syllabus/search',
+      '/api/syllabus/:subject',
+      '/api/exam-profiles',
+      '/api/exam-profiles/:id'
+    ]
   });
 });
 
@@ -942,7 +1972,7 @@ app.use((err, req, res, next) => {
     });
   }
   
-  const isDev = process.env.NODE_ENV !== 'production';
+  const isDev = config.server.environment !== 'production';
   res.status(500).json({ 
     success: false, 
     error: isDev ? err.message : 'Internal server error' 
@@ -951,14 +1981,18 @@ app.use((err, req, res, next) => {
 
 // Start server
 let server;
-if (process.env.NODE_ENV !== 'test') {
+if (config.server.environment !== 'test') {
   server = app.listen(PORT, () => {
     console.log(`✅ MDCAT Past Paper Generator Server v3.1.0`);
     console.log(`🌐 Running on: http://localhost:${PORT}`);
-    console.log(`🔐 API Key: ${process.env.GEMINI_API_KEY ? '✅ CONFIGURED' : '❌ MISSING'}`);
-    console.log(`🌟 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔐 API Key: ${config.provider.geminiApiKey ? '✅ CONFIGURED' : '❌ MISSING'}`);
+    console.log(`🤖 Question provider: ${defaultProvider.label}`);
+    console.log(`🌟 Environment: ${config.server.environment}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`📚 Syllabus coverage: ${Object.keys(MDCAT_SYLLABUS).length} subjects`);
+    console.log(`📚 Syllabus ${DEFAULT_SYLLABUS_VERSION} (available: ${SYLLABI.versions.join(', ')}): ${Object.keys(MDCAT_SYLLABUS).length} subjects`);
+    console.log(PAST_PAPERS.length > 0
+      ? `📜 Past papers: ${PAST_PAPERS.length} (${PAST_PAPER_QUESTIONS.length} questions)`
+      : `⚠️ No real past papers in ${PAST_PAPERS_DIR} (${SAMPLE_PAST_PAPERS} sample paper(s) skipped): past-papers-only mode is unavailable`);
     console.log(`🎯 Ready to generate questions!`);
     console.log(`🔧 Fixed: Topic-wise and Subject-wise generation!`);
   });
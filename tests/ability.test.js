@@ -0,0 +1,58 @@
+// tests/ability.test.js - Per-topic Elo ratings and adaptive set planning
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAbilityStore, planAdaptiveSet, expectedScore, levelForRating, topicKey } = require('../lib/ability');
+
+const USER = '0123456789abcdef';
+const TOPICS = ['Cell', 'Genetics', 'Enzymes', 'Ecology', 'Evolution', 'Immunity', 'Kingdom', 'Support', 'Homeostasis']
+    .map(topic => ({ subject: 'Biology', topic }));
+
+describe('🧭 Adaptive Ability', () => {
+
+    test('should expect 50% against an equally rated question', () => {
+        expect(expectedScore(1200, 1200)).toBeCloseTo(0.5);
+        expect(expectedScore(1400, 1200)).toBeGreaterThan(0.7);
+        expect([900, 1150, 1350].map(levelForRating)).toEqual(['easy', 'moderate', 'difficult']);
+    });
+
+    test('should raise ratings for correct answers, lower them for wrong ones and skip unanswered', () => {
+        const store = createAbilityStore();
+        const changes = store.update(USER, [
+            { subject: 'Biology', topic: 'Cell', difficulty: 'moderate', status: 'correct' },
+            { subject: 'Biology', topic: 'Cell', difficulty: 'hard', status: 'correct' },
+            { subject: 'Biology', topic: 'Genetics', difficulty: 'easy', status: 'incorrect' },
+            { subject: 'Biology', topic: 'Enzymes', difficulty: 'easy', status: 'unanswered' }
+        ]);
+
+        expect(changes).toHaveLength(2);
+        const cell = changes.find(c => c.topic === 'Cell');
+        expect(cell).toMatchObject({ before: 1200, answered: 2, correct: 2 });
+        expect(cell.after).toBe(1250); // +20 at even odds, then +30 against a harder question
+        expect(changes.find(c => c.topic === 'Genetics').delta).toBeLessThan(-20);
+        expect(store.get(USER)[topicKey('biology', 'cell')].answered).toBe(2);
+    });
+
+    test('should plan the weakest topics at slightly above their level', () => {
+        const ratings = {
+            [topicKey('Biology', 'Genetics')]: { rating: 1000 },
+            [topicKey('Biology', 'Cell')]: { rating: 1500 },
+            [topicKey('Biology', 'Enzymes')]: { rating: 1120 }
+        };
+        const plan = planAdaptiveSet(ratings, TOPICS, { count: 10, seed: 'x' });
+
+        expect(plan.map(part => part.count)).toEqual([4, 3, 3]);
+        expect(plan[0]).toMatchObject({ topic: 'Genetics', difficulty: 'easy', rating: 1000 });
+        expect(plan[1]).toMatchObject({ topic: 'Enzymes', difficulty: 'moderate' });
+        expect(plan.map(part => part.topic)).not.toContain('Cell');
+        expect(planAdaptiveSet(ratings, TOPICS, { count: 10, seed: 'x' })).toEqual(plan);
+    });
+
+    test('should keep ratings on disk per user', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'abilities-'));
+        createAbilityStore({ dir }).update(USER, [{ subject: 'Physics', topic: 'Motion', difficulty: 'easy', status: 'incorrect' }]);
+
+        expect(createAbilityStore({ dir }).get(USER)[topicKey('Physics', 'Motion')].rating).toBeLessThan(1200);
+        expect(createAbilityStore({ dir }).get('../other')).toEqual({});
+    });
+});
@@ -0,0 +1,79 @@
+// tests/accounts.test.js - Local accounts, sessions and attempt history
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAccountStore, publicUser, readSessionToken, setSessionCookie } = require('../lib/accounts');
+const { createAttemptStore } = require('../lib/attempts');
+
+describe('👤 Accounts', () => {
+
+    test('should hash passwords and authenticate only the right one', async () => {
+        const accounts = createAccountStore();
+        const user = await accounts.register('Student_1', 'correct horse');
+
+        expect(user.username).toBe('student_1');
+        expect(user.passwordHash).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+        expect(await accounts.authenticate('STUDENT_1', 'correct horse')).toBe(user);
+        expect(await accounts.authenticate('student_1', 'wrong horse')).toBeNull();
+        expect(await accounts.authenticate('nobody', 'correct horse')).toBeNull();
+    });
+
+    test('should refuse short passwords, bad usernames and duplicates', async () => {
+        const accounts = createAccountStore();
+        await accounts.register('ayesha', 'password1');
+
+        await expect(accounts.register('ay', 'password1')).rejects.toThrow('Username must be');
+        await expect(accounts.register('zara', 'short')).rejects.toThrow('at least 8 characters');
+        await expect(accounts.register('Ayesha', 'password2')).rejects.toThrow('already taken');
+    });
+
+    test('should give only configured usernames the teacher role', async () => {
+        const accounts = createAccountStore({ teacherUsernames: ['Ms.Khan'] });
+        const teacher = await accounts.register('ms.khan', 'password1');
+        const student = await accounts.register('ms.khan2', 'password1');
+
+        expect(accounts.roleOf(teacher)).toBe('teacher');
+        expect(accounts.roleOf(student)).toBe('student');
+        expect(accounts.roleOf(null)).toBe('student');
+        expect(publicUser(teacher, accounts.roleOf(teacher))).toEqual({ id: teacher.id, username: 'ms.khan', role: 'teacher', createdAt: teacher.createdAt });
+        expect(publicUser(student)).not.toHaveProperty('passwordHash');
+    });
+
+    test('should expire sessions and keep them across restarts', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-')), 'accounts.json');
+        let now = 1000;
+        const accounts = createAccountStore({ filePath, sessionTtlMs: 5000, now: () => now });
+        const user = await accounts.register('bilal', 'password1');
+        const { token } = accounts.createSession(user.id);
+
+        const restarted = createAccountStore({ filePath, sessionTtlMs: 5000, now: () => now });
+        expect(restarted.getSessionUser(token).username).toBe('bilal');
+        restarted.deleteSession(token);
+        expect(restarted.getSessionUser(token)).toBeNull();
+
+        const second = accounts.createSession(user.id);
+        now += 5000;
+        expect(accounts.getSessionUser(second.token)).toBeNull();
+    });
+
+    test('should read and write the session cookie', () => {
+        const headers = {};
+        setSessionCookie({ set: (name, value) => { headers[name] = value; } }, 'abc123', { maxAgeMs: 60000, secure: true });
+
+        expect(headers['Set-Cookie']).toBe('mdcat_session=abc123; Path=/; HttpOnly; SameSite=Lax; Max-Age=60; Secure');
+        expect(readSessionToken({ get: () => 'theme=dark; mdcat_session=abc123' })).toBe('abc123');
+        expect(readSessionToken({ get: () => undefined })).toBeNull();
+    });
+
+    test('should record attempts per user in order', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attempts-'));
+        const attempts = createAttemptStore({ dir });
+        attempts.record('0123456789abcdef', { paperId: 'paper1', percentage: 40 });
+        const second = attempts.record('0123456789abcdef', { paperId: 'paper2', percentage: 70 });
+
+        const restarted = createAttemptStore({ dir });
+        expect(restarted.list('0123456789abcdef').map(a => a.percentage)).toEqual([40, 70]);
+        expect(restarted.get('0123456789abcdef', second.id).paperId).toBe('paper2');
+        expect(restarted.list('../escape')).toEqual([]);
+    });
+});
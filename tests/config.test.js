@@ -0,0 +1,61 @@
+// tests/config.test.js - Typed settings, startup validation and the public view
+const { loadConfig, publicConfig, applyLogLevel } = require('../lib/config');
+
+describe('⚙️ Config', () => {
+
+    test('should fall back to the documented defaults', () => {
+        const config = loadConfig({ SYLLABUS_VERSION: '' });
+
+        expect(config.server).toMatchObject({ environment: 'development', port: 3000 });
+        expect(config.provider).toMatchObject({ timeoutMs: 45000, maxConcurrentCalls: 3, maxRetries: 3 });
+        expect(config.generation).toMatchObject({ maxBatchSize: 25, defaultDifficulty: 'mixed', syllabusVersion: null });
+        expect(Object.isFrozen(config.generation)).toBe(true);
+    });
+
+    test('should parse typed values and normalize aliases', () => {
+        const config = loadConfig({
+            MAX_BATCH_SIZE: '40',
+            ENABLE_QUESTION_VALIDATION: 'no',
+            QUESTION_PROVIDER: 'ollama',
+            DEFAULT_DIFFICULTY: 'hard',
+            LLM_BASE_URL: 'http://localhost:11434/v1/',
+            DEBUG_MODE: 'true'
+        });
+
+        expect(config.generation).toMatchObject({ maxBatchSize: 40, defaultDifficulty: 'difficult' });
+        expect(config.validation.enabled).toBe(false);
+        expect(config.provider).toMatchObject({ default: 'openai-compatible', llmBaseUrl: 'http://localhost:11434/v1' });
+        expect(config.logging.level).toBe('debug');
+    });
+
+    test('should fail fast listing every invalid value', () => {
+        expect(() => loadConfig({ PORT: 'eighty', MAX_API_RETRIES: '0', VERIFY_POLICY: 'ignore' })).toThrow(
+            'Invalid configuration:\n- PORT must be a whole number (got "eighty")\n' +
+            '- MAX_API_RETRIES must be at least 1 (got "0")\n' +
+            '- VERIFY_POLICY must be one of: drop, flag (got "ignore")'
+        );
+    });
+
+    test('should hide secrets in the public view', () => {
+        const config = loadConfig({ GEMINI_API_KEY: 'secret-key', API_KEYS: 'school-a, school-b,' });
+        const view = publicConfig(config);
+
+        expect(config.server.apiKeys).toEqual(['school-a', 'school-b']);
+        expect(view.server.apiKeysConfigured).toBe(true);
+        expect(view.provider.geminiApiKeyConfigured).toBe(true);
+        expect(view.provider.llmApiKeyConfigured).toBe(false);
+        expect(JSON.stringify(view)).not.toContain('secret-key');
+        expect(JSON.stringify(view)).not.toContain('school-a');
+    });
+
+    test('should silence console output below the log level', () => {
+        const target = { debug: jest.fn(), info: jest.fn(), log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        applyLogLevel('warn', target);
+        target.log('hidden');
+        target.warn('shown');
+
+        expect(target.warn).toHaveBeenCalledWith('shown');
+        expect(jest.isMockFunction(target.log)).toBe(false);
+        expect(jest.isMockFunction(target.error)).toBe(true);
+    });
+});
@@ -0,0 +1,76 @@
+// tests/dedup.test.js - Duplicate and near-duplicate question detection
+const { createDuplicateIndex } = require('../lib/dedup');
+
+const powerhouse = {
+    question: 'Which organelle is known as the powerhouse of the cell?',
+    options: ['Mitochondria', 'Ribosome', 'Nucleus', 'Golgi body']
+};
+
+describe('🧬 Duplicate Detection', () => {
+
+    test('should catch exact repeats regardless of case, punctuation and option order', () => {
+        const index = createDuplicateIndex();
+        index.add(powerhouse);
+
+        const match = index.findDuplicate({
+            question: 'which organelle is known as the POWERHOUSE of the cell',
+            options: ['Golgi body', 'Nucleus', 'Mitochondria', 'Ribosome']
+        });
+
+        expect(match.exact).toBe(true);
+        expect(match.question).toBe(powerhouse);
+    });
+
+    test('should catch reworded stems with overlapping options', () => {
+        const index = createDuplicateIndex();
+        index.add(powerhouse);
+
+        expect(index.findDuplicate({
+            question: 'What is the powerhouse of the cell?',
+            options: ['Mitochondria', 'Ribosome', 'Nucleus', 'Golgi body']
+        })).not.toBeNull();
+        expect(index.findDuplicate({
+            question: 'Which organelle is called the powerhouse of the cell?',
+            options: ['Nucleus', 'Mitochondria', 'Lysosome', 'Golgi body']
+        })).not.toBeNull();
+    });
+
+    test('should catch the same stem with regenerated distractors', () => {
+        const index = createDuplicateIndex();
+        index.add(powerhouse);
+
+        expect(index.findDuplicate({
+            question: 'Which organelle is known as the powerhouse of the cell?',
+            options: ['Mitochondrion', 'Lysosome', 'Centriole', 'Vacuole']
+        })).toMatchObject({ question: powerhouse, exact: false });
+        expect(index.findDuplicate({
+            question: 'Which organelle is known as the powerhouse of a cell?',
+            options: ['Chloroplast', 'Peroxisome', 'Mitochondria', 'Cell wall']
+        })).not.toBeNull();
+    });
+
+    test('should keep numeric variants with different options apart', () => {
+        const index = createDuplicateIndex();
+        index.add({ question: 'What is the kinetic energy of a 2 kg object moving at 3 m/s?', options: ['9 J', '18 J', '6 J', '3 J'] });
+
+        expect(index.findDuplicate({
+            question: 'What is the kinetic energy of a 4 kg object moving at 5 m/s?',
+            options: ['50 J', '100 J', '20 J', '10 J']
+        })).toBeNull();
+        expect(index.findDuplicate({
+            question: 'What is the kinetic energy of a 2 kg object moving at 30 m/s?',
+            options: ['900 J', '1800 J', '60 J', '30 J']
+        })).toBeNull();
+    });
+
+    test('should keep unrelated questions that share options', () => {
+        const index = createDuplicateIndex();
+        index.add(powerhouse);
+
+        expect(index.addIfUnique({
+            question: 'Protein synthesis takes place on which structure?',
+            options: ['Mitochondria', 'Ribosome', 'Nucleus', 'Golgi body']
+        })).toBe(true);
+        expect(index.size()).toBe(2);
+    });
+});
@@ -0,0 +1,66 @@
+// tests/difficulty.test.js - Difficulty vocabulary, target mix and rubric
+const {
+    normalizeDifficulty,
+    difficultyTargets,
+    splitPartsByDifficulty,
+    estimateDifficulty,
+    calibrateQuestion,
+    difficultyDistribution
+} = require('../lib/difficulty');
+
+function totals(cells) {
+    const counts = { easy: 0, moderate: 0, difficult: 0 };
+    cells.forEach(cell => { counts[cell.difficulty] += cell.count; });
+    return counts;
+}
+
+describe('🎚️ Difficulty', () => {
+
+    test('should normalize the accepted vocabulary', () => {
+        expect(normalizeDifficulty('medium')).toBe('moderate');
+        expect(normalizeDifficulty('Hard')).toBe('difficult');
+        expect(normalizeDifficulty(undefined)).toBe('mixed');
+        expect(normalizeDifficulty('extreme')).toBeNull();
+    });
+
+    test('should target 15/70/15 for mixed papers', () => {
+        expect(difficultyTargets(180)).toEqual({ easy: 27, moderate: 126, difficult: 27 });
+        expect(difficultyTargets(20, 'easy')).toEqual({ easy: 20, moderate: 0, difficult: 0 });
+    });
+
+    test('should split subject parts so subject counts and the overall mix both hold', () => {
+        const parts = [
+            { subject: 'Biology', count: 4 },
+            { subject: 'Chemistry', count: 2 },
+            { subject: 'Physics', count: 2 },
+            { subject: 'English', count: 1 },
+            { subject: 'Logical Reasoning', count: 1 }
+        ];
+        const cells = splitPartsByDifficulty(parts);
+
+        expect(totals(cells)).toEqual(difficultyTargets(10));
+        parts.forEach(part => {
+            const subjectTotal = cells.filter(c => c.subject === part.subject).reduce((sum, c) => sum + c.count, 0);
+            expect(subjectTotal).toBe(part.count);
+        });
+    });
+
+    test('should rate recall questions easier than multi-step calculations', () => {
+        const recall = { question: 'The SI unit of electric current is:', explanation: 'The ampere.' };
+        const calculation = {
+            question: 'A 2 kg block slides 5 m down a frictionless incline after starting from rest. Calculate its speed at the bottom if the incline is 30 degrees.',
+            explanation: 'h = 5 sin 30 = 2.5 m, so v = sqrt(2gh) = 7 m/s.'
+        };
+
+        expect(estimateDifficulty(recall).level).toBe('easy');
+        expect(estimateDifficulty(calculation).level).toBe('difficult');
+    });
+
+    test('should keep the model label unless the rubric is requested', () => {
+        const question = { question: 'The SI unit of electric current is:', difficulty: 'hard' };
+
+        expect(calibrateQuestion(question).difficulty).toBe('difficult');
+        expect(calibrateQuestion(question, { rubric: true })).toMatchObject({ difficulty: 'easy', modelDifficulty: 'difficult' });
+        expect(difficultyDistribution([question, { difficulty: 'easy' }])).toEqual({ easy: 1, moderate: 0, difficult: 1 });
+    });
+});
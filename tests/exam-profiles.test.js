@@ -0,0 +1,66 @@
+// tests/exam-profiles.test.js - Exam profiles, inheritance and prompt exemplars
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadExamProfiles, timeLimitFor, pickExemplars } = require('../lib/exam-profiles');
+
+function writeProfiles(profiles) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exam-profiles-')), 'profiles.json');
+    fs.writeFileSync(file, JSON.stringify(profiles));
+    return file;
+}
+
+const BASE = {
+    name: 'Base',
+    questionCount: 180,
+    timeLimitMinutes: 180,
+    marking: { correct: 1, incorrect: 0, unanswered: 0 },
+    difficulty: { easy: 0.15, moderate: 0.7, difficult: 0.15 },
+    exemplars: [
+        { subject: 'Physics', question: 'P?', options: ['a', 'b', 'c', 'd'], answer: 'A' },
+        { subject: 'Biology', question: 'B?', options: ['a', 'b', 'c', 'd'], answer: 'B' }
+    ]
+};
+
+describe('🏛️ Exam Profiles', () => {
+
+    test('should load every shipped profile with the sources offered in the UI', () => {
+        const { ids, byId } = loadExamProfiles();
+        ['uhs', 'kmu', 'duhs', 'bumhs', 'nums', 'aimc', 'kemu', 'cmh', 'isra', 'ziauddin', 'hamdard', 'riphah']
+            .forEach(id => expect(ids).toContain(id));
+        expect(byId.aimc).toMatchObject({ extends: 'uhs', pastPapers: 'uhs', exemplars: byId.uhs.exemplars });
+        expect(byId.ziauddin.marking.incorrect).toBeLessThan(0);
+    });
+
+    test('should merge marking and difficulty from the parent profile', () => {
+        const file = writeProfiles({
+            mdcat: BASE,
+            child: { extends: 'mdcat', name: 'Child', marking: { incorrect: -0.25 }, questionCount: 100 }
+        });
+        const { byId } = loadExamProfiles(file);
+
+        expect(byId.child).toMatchObject({
+            questionCount: 100,
+            timeLimitMinutes: 180,
+            marking: { correct: 1, incorrect: -0.25, unanswered: 0 },
+            difficulty: BASE.difficulty
+        });
+    });
+
+    test('should reject unknown parents, cycles and bad weights', () => {
+        expect(() => loadExamProfiles(writeProfiles({ mdcat: BASE, a: { extends: 'missing' } })))
+            .toThrow('extends unknown profile "missing"');
+        expect(() => loadExamProfiles(writeProfiles({ mdcat: BASE, a: { extends: 'b' }, b: { extends: 'a' } })))
+            .toThrow('circular extends');
+        expect(() => loadExamProfiles(writeProfiles({ mdcat: { ...BASE, subjectWeights: { biology: 0.5, physics: 0.2 } } })))
+            .toThrow('subjectWeights must be non-negative and add up to 1');
+    });
+
+    test('should scale the time limit and prefer exemplars from the requested subject', () => {
+        expect(timeLimitFor(BASE, 180)).toBe(180);
+        expect(timeLimitFor(BASE, 20)).toBe(20);
+        expect(timeLimitFor(BASE, 1)).toBe(5);
+        expect(pickExemplars(BASE, { subject: 'Biology' }).map(e => e.subject)).toEqual(['Biology', 'Physics']);
+        expect(pickExemplars(BASE, { limit: 1 })).toHaveLength(1);
+    });
+});
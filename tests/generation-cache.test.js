@@ -0,0 +1,66 @@
+// tests/generation-cache.test.js - Request-keyed generation cache
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGenerationCache, cacheKey } = require('../lib/generation-cache');
+
+const PARAMS = { testFormat: 'subject-test', selectedSubject: 'Biology', questionCount: 10, difficulty: 'mixed', source: 'all' };
+
+// Produces numbered questions and remembers how many it was asked for
+function makeProducer() {
+    let next = 0;
+    const produce = jest.fn(async (params) => Array.from({ length: params.questionCount }, () => {
+        next++;
+        return { question: `Generated biology question number ${next}?`, options: ['a', 'b', 'c', 'd'], answer: 'A', subject: 'Biology' };
+    }));
+    return produce;
+}
+
+describe('🗄️ Generation Cache', () => {
+
+    test('should key requests by their normalized parameters', () => {
+        expect(cacheKey({ ...PARAMS, selectedSubject: 'biology', difficulty: 'Mixed', clientId: 'abc' })).toBe(cacheKey(PARAMS));
+        expect(cacheKey({ ...PARAMS, difficulty: 'medium' })).toBe(cacheKey({ ...PARAMS, difficulty: 'moderate' }));
+        expect(cacheKey({ ...PARAMS, questionCount: 20 })).not.toBe(cacheKey(PARAMS));
+    });
+
+    test('should mix cached and fresh questions on a hit', async () => {
+        const cache = createGenerationCache({ freshShare: 0.3 });
+        const produce = makeProducer();
+
+        const first = await cache.generate(PARAMS, produce);
+        const second = await cache.generate(PARAMS, produce, { seed: 'x' });
+
+        expect(first.cache).toMatchObject({ status: 'miss', reused: 0, generated: 10 });
+        expect(second.cache).toMatchObject({ status: 'hit', reused: 7, generated: 3 });
+        expect(produce).toHaveBeenLastCalledWith(expect.objectContaining({ questionCount: 3 }));
+        expect(second.questions.map(q => q.question)).not.toEqual(first.questions.map(q => q.question));
+        expect(cache.get(cacheKey(PARAMS)).questions).toHaveLength(13);
+    });
+
+    test('should bypass reads for fresh requests and expire entries after the TTL', async () => {
+        let now = 1000;
+        const cache = createGenerationCache({ ttlMs: 5000, now: () => now });
+        const produce = makeProducer();
+
+        await cache.generate(PARAMS, produce);
+        expect((await cache.generate(PARAMS, produce, { fresh: true })).cache).toMatchObject({ status: 'bypass', generated: 10 });
+
+        now += 5000;
+        expect((await cache.generate(PARAMS, produce)).cache.status).toBe('miss');
+        expect(cache.stats()).toMatchObject({ hits: 0, misses: 2, bypasses: 1 });
+    });
+
+    test('should evict the least recently used entry and reload it from disk', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-cache-'));
+        const cache = createGenerationCache({ dir, maxEntries: 1 });
+        const produce = makeProducer();
+
+        await cache.generate(PARAMS, produce);
+        await cache.generate({ ...PARAMS, selectedSubject: 'Physics' }, produce);
+        expect(cache.stats().entries).toBe(1);
+
+        const restarted = createGenerationCache({ dir, maxEntries: 1 });
+        expect((await restarted.generate(PARAMS, produce)).cache.status).toBe('hit');
+    });
+});
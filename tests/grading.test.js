@@ -0,0 +1,58 @@
+// tests/grading.test.js - Marking schemes and graded breakdowns
+const { resolveMarking, gradeAnswers } = require('../lib/grading');
+
+const QUESTIONS = [
+    { id: 1, subject: 'Biology', topic: 'Cell Biology', difficulty: 'easy', answer: 'B' },
+    { id: 2, subject: 'Biology', topic: 'Genetics', difficulty: 'moderate', answer: 'C' },
+    { id: 3, subject: 'Physics', topic: 'Motion', difficulty: 'hard', answer: 'A' },
+    { id: 4, subject: 'Chemistry', topic: 'Bonding', difficulty: 'moderate', answer: 'D' }
+];
+
+describe('📝 Grading', () => {
+
+    test('should score +1/0 by default and count unanswered questions', () => {
+        const result = gradeAnswers(QUESTIONS, ['B', 'A', null, 'd'], resolveMarking());
+
+        expect(result).toMatchObject({ total: 4, correct: 2, incorrect: 1, unanswered: 1, score: 2, maxScore: 4, percentage: 50 });
+        expect(result.marking.scheme).toBe('profile');
+        expect(result.questions.map(q => q.status)).toEqual(['correct', 'incorrect', 'unanswered', 'correct']);
+    });
+
+    test('should apply negative marking from a preset or the exam profile', () => {
+        const answers = { 1: 'B', 2: 'A', 3: 'B', 4: 'D' };
+
+        expect(gradeAnswers(QUESTIONS, answers, resolveMarking({ scheme: 'negative-quarter' })).score).toBe(1.5);
+        const profile = resolveMarking({}, { correct: 1, incorrect: -0.25, unanswered: 0 });
+        expect(gradeAnswers(QUESTIONS, answers, profile).score).toBe(1.5);
+        expect(resolveMarking({ scheme: 'standard', marking: { incorrect: -0.5 } })).toMatchObject({ scheme: 'custom', correct: 1, incorrect: -0.5 });
+    });
+
+    test('should weight sections and break results down by subject, topic and difficulty', () => {
+        const marking = resolveMarking({ sectionWeights: { biology: 2, Physics: 0.5 } });
+        const result = gradeAnswers(QUESTIONS, ['B', 'C', 'A', null], marking);
+
+        expect(result).toMatchObject({ score: 4.5, maxScore: 5.5 });
+        expect(result.breakdown.subject).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'Biology', correct: 2, score: 4, maxScore: 4, percentage: 100 }),
+            expect.objectContaining({ name: 'Chemistry', unanswered: 1, score: 0, percentage: 0 })
+        ]));
+        expect(result.breakdown.difficulty.map(d => d.name)).toEqual(['easy', 'moderate', 'difficult']);
+        expect(result.breakdown.topic.map(t => t.name)).toContain('Physics: Motion');
+    });
+
+    test('should reject unknown schemes, bad weights and answers outside A-D', () => {
+        expect(() => resolveMarking({ scheme: 'bonus' })).toThrow('Invalid scheme');
+        expect(() => resolveMarking({ sectionWeights: { Art: 1 } })).toThrow('Unknown subject');
+        expect(() => resolveMarking({ marking: { correct: 0 } })).toThrow('marking.correct');
+        expect(() => gradeAnswers(QUESTIONS, ['E'], resolveMarking())).toThrow('Answer for question 1');
+        expect(() => gradeAnswers(QUESTIONS, 'B', resolveMarking())).toThrow('answers must be');
+    });
+
+    test('should not let wrong or skipped answers earn marks', () => {
+        expect(() => resolveMarking({ marking: { incorrect: 1 } })).toThrow('marking.incorrect cannot be greater than 0');
+        expect(() => resolveMarking({ scheme: 'negative-one', marking: { unanswered: 5 } })).toThrow('marking.unanswered cannot be greater than 0');
+
+        const allWrong = gradeAnswers(QUESTIONS, ['A', 'A', 'B', 'A'], resolveMarking({ marking: { incorrect: 0 } }));
+        expect(allWrong).toMatchObject({ score: 0, percentage: 0 });
+    });
+});
@@ -0,0 +1,68 @@
+// tests/jobs.test.js - Background generation jobs
+const { createJobStore } = require('../lib/jobs');
+
+function waitFor(store, id, status) {
+    return new Promise(resolve => {
+        const unsubscribe = store.subscribe(id, update => {
+            if (update.type === status) {
+                unsubscribe();
+                resolve(update.job);
+            }
+        });
+    });
+}
+
+describe('🧵 Generation Jobs', () => {
+
+    test('should queue a job and return it immediately', () => {
+        const store = createJobStore();
+        const job = store.create({ total: 10 }, () => new Promise(() => {}));
+
+        expect(job.status).toBe('queued');
+        expect(store.get(job.id).progress.total).toBe(10);
+        expect(store.get('missing')).toBeNull();
+    });
+
+    test('should track per-subject progress and keep the result', async () => {
+        const store = createJobStore();
+        const updates = [];
+        const job = store.create({ total: 10 }, async (onProgress) => {
+            onProgress({ type: 'bank', count: 4, subjects: { Biology: 4 } });
+            onProgress({ type: 'retry', attempt: 1, maxRetries: 3, error: 'busy' });
+            onProgress({ type: 'questions', count: 5, subjects: { Chemistry: 5 } });
+            return { questions: new Array(9).fill({}) };
+        });
+        store.subscribe(job.id, update => updates.push(update));
+
+        const finished = await waitFor(store, job.id, 'completed');
+
+        expect(updates.filter(u => u.type === 'progress').map(u => u.job.progress.percent)).toEqual([40, 40, 90]);
+        expect(finished.progress.subjects).toEqual({ Biology: 4, Chemistry: 5 });
+        expect(finished.progress.generated).toBe(9);
+        expect(finished.progress.events).toHaveLength(3);
+        expect(store.get(job.id).result.questions).toHaveLength(9);
+    });
+
+    test('should record failures with their HTTP status', async () => {
+        const store = createJobStore();
+        const job = store.create({ total: 5 }, async () => {
+            const error = new Error('No past paper questions match these filters.');
+            error.status = 404;
+            throw error;
+        });
+
+        const failed = await waitFor(store, job.id, 'failed');
+
+        expect(failed.error).toEqual({ message: 'No past paper questions match these filters.', status: 404 });
+    });
+
+    test('should forget finished jobs after the TTL', async () => {
+        const store = createJobStore({ ttlMs: 10 });
+        const job = store.create({ total: 1 }, async () => ({ questions: [{}] }));
+
+        await waitFor(store, job.id, 'completed');
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        expect(store.get(job.id)).toBeNull();
+    });
+});
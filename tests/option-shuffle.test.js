@@ -0,0 +1,73 @@
+// tests/option-shuffle.test.js - Option shuffling and answer-key balancing
+const { balanceAnswerKey, answerDistribution, remapExplanation } = require('../lib/option-shuffle');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+function makePaper(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        question: `Sample question ${i}?`,
+        options: [`wrong ${i}a`, `right ${i}`, `wrong ${i}b`, `wrong ${i}c`],
+        answer: 'B',
+        explanation: `Option B (right ${i}) is correct; options A and C are not.`
+    }));
+}
+
+function correctText(question) {
+    return question.options[LETTERS.indexOf(question.answer)];
+}
+
+describe('🔀 Option Shuffle', () => {
+
+    test('should balance an all-"B" key across the paper', () => {
+        const distribution = answerDistribution(balanceAnswerKey(makePaper(100), { seed: 1 }));
+        expect(distribution).toEqual({ A: 25, B: 25, C: 25, D: 25 });
+    });
+
+    test('should keep every question answerable', () => {
+        const paper = makePaper(30);
+        const shuffled = balanceAnswerKey(paper, { seed: 'seed' });
+
+        shuffled.forEach((question, i) => {
+            expect(correctText(question)).toBe(`right ${i}`);
+            expect([...question.options].sort()).toEqual([...paper[i].options].sort());
+        });
+    });
+
+    test('should be reproducible for the same seed', () => {
+        const paper = makePaper(20);
+        expect(balanceAnswerKey(paper, { seed: 'abc' })).toEqual(balanceAnswerKey(paper, { seed: 'abc' }));
+        expect(balanceAnswerKey(paper, { seed: 'abc' })).not.toEqual(balanceAnswerKey(paper, { seed: 'xyz' }));
+    });
+
+    test('should remap letter references in the explanation', () => {
+        const [question] = balanceAnswerKey(makePaper(1), { seed: 3 });
+        expect(question.explanation).toContain(`Option ${question.answer} (right 0)`);
+
+        const mapping = { A: 'C', B: 'A', C: 'D', D: 'B' };
+        expect(remapExplanation('The answer is B, not option (C). Choices A, C or D fail.', mapping))
+            .toBe('The answer is A, not option (D). Choices C, D or B fail.');
+        expect(remapExplanation('Carbon (C) carries a current measured in amperes (A). Option B', mapping))
+            .toBe('Carbon (C) carries a current measured in amperes (A). Option A');
+        expect(remapExplanation('The answer is a simple ratio.', mapping)).toBe('The answer is a simple ratio.');
+    });
+
+    test('should remap bracketed letters and letters starting a sentence', () => {
+        const mapping = { A: 'C', B: 'A', C: 'D', D: 'B' };
+        expect(remapExplanation('(C) is correct: ATP is made there.', mapping)).toBe('(D) is correct: ATP is made there.');
+        expect(remapExplanation('B is correct because ribosomes make protein. C and D are organelles too.', mapping))
+            .toBe('A is correct because ribosomes make protein. D and B are organelles too.');
+        expect(remapExplanation('Mitochondria respire.\nC) fails: it stores starch. So (A) is wrong.', mapping))
+            .toBe('Mitochondria respire.\nD) fails: it stores starch. So (C) is wrong.');
+        expect(remapExplanation('A cell wall is rigid. Vitamin D is made in skin; (B) shows why.', mapping))
+            .toBe('A cell wall is rigid. Vitamin D is made in skin; (A) shows why.');
+    });
+
+    test('should leave positional options in place', () => {
+        const paper = makePaper(3);
+        paper[1] = { question: 'Which are organelles?', options: ['Ribosome', 'Nucleus', 'Golgi body', 'All of the above'], answer: 'D' };
+
+        const shuffled = balanceAnswerKey(paper, { seed: 5 });
+
+        expect(shuffled[1]).toEqual(paper[1]);
+    });
+});
@@ -0,0 +1,68 @@
+// tests/paper-store.test.js - Saved papers under shareable paper IDs
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPaperStore, isPaperId, withoutAnswerKey, answerKey, withoutCorrectAnswers } = require('../lib/paper-store');
+
+const QUESTIONS = [
+    { id: 1, question: 'Which organelle makes ATP?', options: ['A) Ribosome', 'B) Mitochondrion', 'C) Nucleus', 'D) Vacuole'], correctAnswer: 'B', subject: 'Biology' },
+    { id: 2, question: 'What is the SI unit of force?', options: ['A) Joule', 'B) Watt', 'C) Newton', 'D) Pascal'], correctAnswer: 'C', subject: 'Physics' }
+];
+
+describe('💾 Paper Store', () => {
+
+    test('should return the saved questions in the same order', () => {
+        const store = createPaperStore();
+        const saved = store.save({ seed: 'abc', params: { questionCount: 2, testFormat: 'full-test' }, questions: QUESTIONS, metadata: { totalQuestions: 2 } });
+
+        expect(isPaperId(saved.id)).toBe(true);
+        const loaded = store.get(saved.id);
+        expect(loaded.seed).toBe('abc');
+        expect(loaded.questions.map(q => q.question)).toEqual(QUESTIONS.map(q => q.question));
+    });
+
+    test('should keep only request fields that describe the paper', () => {
+        const store = createPaperStore();
+        const saved = store.save({ seed: 1, params: { questionCount: 2, clientId: 'ip:1.2.3.4', cacheUsage: { calls: [] } }, questions: QUESTIONS });
+
+        expect(saved.params).toEqual({ questionCount: 2 });
+    });
+
+    test('should read papers back from disk after a restart', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'papers-'));
+        const saved = createPaperStore({ dir }).save({ seed: 7, questions: QUESTIONS });
+
+        expect(createPaperStore({ dir }).get(saved.id).questions).toEqual(QUESTIONS);
+    });
+
+    test('should record submissions next to their paper', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'papers-'));
+        const store = createPaperStore({ dir });
+        const paper = store.save({ seed: 7, questions: QUESTIONS });
+        const submission = store.addSubmission(paper.id, { score: 1, maxScore: 2 });
+
+        expect(submission).toMatchObject({ paperId: paper.id, score: 1 });
+        expect(createPaperStore({ dir }).getSubmission(paper.id, submission.id)).toEqual(submission);
+        expect(store.listSubmissions(paper.id)).toHaveLength(1);
+    });
+
+    test('should take the answer key out of a shared paper and hand it back after grading', () => {
+        const questions = [{ id: 1, question: 'Which organelle makes ATP?', options: ['Ribosome', 'Mitochondrion', 'Nucleus', 'Vacuole'], answer: 'B', explanation: 'Mitochondria run aerobic respiration.', verification: { status: 'verified', solvedAnswer: 'B' } }];
+        const paper = createPaperStore().save({ seed: 1, questions, createdBy: 'a1b2c3d4e5f60718' });
+
+        expect(paper.createdBy).toBe('a1b2c3d4e5f60718');
+        expect(withoutAnswerKey(paper).questions).toEqual([{ id: 1, question: 'Which organelle makes ATP?', options: ['Ribosome', 'Mitochondrion', 'Nucleus', 'Vacuole'] }]);
+        expect(paper.questions[0].answer).toBe('B');
+        expect(answerKey(paper)).toEqual([{ answer: 'B', explanation: 'Mitochondria run aerobic respiration.', verification: { status: 'verified', solvedAnswer: 'B' } }]);
+
+        const submission = { score: 0, questions: [{ id: 1, answer: null, correctAnswer: 'B', status: 'unanswered' }] };
+        expect(withoutCorrectAnswers(submission)).toEqual({ score: 0, questions: [{ id: 1, answer: null, status: 'unanswered' }] });
+    });
+
+    test('should return null for unknown or malformed IDs', () => {
+        const store = createPaperStore();
+        expect(store.get('doesNotExist')).toBeNull();
+        expect(store.get('../../etc/passwd')).toBeNull();
+        expect(isPaperId('ab')).toBe(false);
+    });
+});
@@ -0,0 +1,56 @@
+// tests/past-papers.test.js - Past-paper dataset loader
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPastPapers, loadPastPaperQuestions, groupBySubject, samplePastPaperQuestions } = require('../lib/past-papers');
+
+describe('📜 Past Paper Dataset', () => {
+    const questions = loadPastPaperQuestions();
+
+    test('should load papers for every conducting university', () => {
+        const universities = new Set(loadPastPapers().map(paper => paper.university));
+        ['UHS', 'KMU', 'DUHS', 'BUMHS', 'NUMS'].forEach(university => {
+            expect(universities.has(university)).toBe(true);
+        });
+    });
+
+    test('should contain well-formed questions with "UNIVERSITY YEAR" sources', () => {
+        expect(questions.length).toBeGreaterThan(0);
+        questions.forEach(q => {
+            expect(q.options).toHaveLength(4);
+            expect(['A', 'B', 'C', 'D']).toContain(q.answer);
+            expect(q.source).toMatch(/^(UHS|KMU|DUHS|BUMHS|NUMS) \d{4}$/);
+        });
+    });
+
+    test('should mark the bundled sample papers so they are never taken for official ones', () => {
+        loadPastPapers().forEach(paper => expect(paper.sample).toBe(true));
+        questions.forEach(q => expect(q.origin).toBe('sample'));
+    });
+
+    test('should keep questions from official papers as past-paper questions', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'past-papers-'));
+        fs.mkdirSync(path.join(dir, 'uhs'));
+        fs.writeFileSync(path.join(dir, 'uhs', '2024.json'), JSON.stringify({ university: 'UHS', year: 2024, questions: [{ question: 'Which organelle makes ATP?' }] }));
+
+        const [paper] = loadPastPapers(dir);
+        expect(paper.sample).toBe(false);
+        expect(paper.questions[0]).toMatchObject({ source: 'UHS 2024', year: 2024, origin: 'past-paper' });
+    });
+
+    test('should group questions by syllabus subject key', () => {
+        const groups = groupBySubject(questions);
+        expect(Object.keys(groups).sort()).toEqual(['biology', 'chemistry', 'english', 'logical', 'physics']);
+    });
+
+    test('should sample only questions matching the filters', () => {
+        const sampled = samplePastPaperQuestions(questions, { subject: 'biology', source: 'uhs' }, 50, { seed: 1 });
+
+        expect(sampled.length).toBeGreaterThan(0);
+        sampled.forEach(q => {
+            expect(q.subject).toBe('Biology');
+            expect(q.source.startsWith('UHS ')).toBe(true);
+        });
+        expect(samplePastPaperQuestions(questions, { subject: 'logical reasoning' }, 2, { seed: 1 })).toHaveLength(2);
+    });
+});
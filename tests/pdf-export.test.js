@@ -0,0 +1,59 @@
+// tests/pdf-export.test.js - Printable paper and answer-key PDFs
+const { renderPaperPdf, renderAnswerKeyPdf, normalizeExportOptions, toWinAnsi } = require('../lib/pdf-export');
+
+const SUBJECTS = ['Biology', 'Chemistry', 'Physics'];
+const PAPER = {
+    id: 'Paper123',
+    createdAt: '2026-10-01T08:00:00.000Z',
+    params: { testFormat: 'full-length' },
+    metadata: { examProfile: { name: 'PM&DC MDCAT', timeLimitMinutes: 50, marking: { correct: 1, incorrect: -0.25, unanswered: 0 } } },
+    questions: Array.from({ length: 45 }, (_, i) => ({
+        id: i + 1,
+        question: `Question ${i + 1}: which option describes CO₂ → C₆H₁₂O₆ at ΔH < 0?`,
+        options: ['A) First', 'B) Second', 'C) Third', 'D) Fourth'],
+        answer: 'ABCD'[i % 4],
+        explanation: `Option ${'ABCD'[i % 4]} is correct because of α-helix and β-sheet folding.`,
+        subject: SUBJECTS[Math.floor(i / 15)],
+        topic: 'Practice',
+        source: 'UHS',
+        year: 2021,
+        difficulty: 'moderate'
+    }))
+};
+
+const pageCount = pdf => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+describe('🖨️ PDF Export', () => {
+
+    test('should render the paper as a PDF with more pages in one column than two', async () => {
+        const single = await renderPaperPdf(PAPER, { fontSize: 12 });
+        const double = await renderPaperPdf(PAPER, { fontSize: 12, columns: 2 });
+
+        expect(single.slice(0, 5).toString()).toBe('%PDF-');
+        expect(double.slice(0, 5).toString()).toBe('%PDF-');
+        expect(pageCount(single)).toBeGreaterThan(pageCount(double));
+    });
+
+    test('should render the answer key with and without metadata', async () => {
+        const withMeta = await renderAnswerKeyPdf(PAPER);
+        const withoutMeta = await renderAnswerKeyPdf(PAPER, { showMeta: 'false' });
+
+        expect(withMeta.slice(0, 5).toString()).toBe('%PDF-');
+        expect(pageCount(withMeta)).toBeGreaterThanOrEqual(1);
+        expect(withoutMeta.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    test('should validate export options', () => {
+        expect(normalizeExportOptions()).toEqual({ fontSize: 11, columns: 1, showMeta: true, fontPath: null });
+        expect(normalizeExportOptions({ fontSize: '9', columns: '2', showMeta: '0' })).toMatchObject({ fontSize: 9, columns: 2, showMeta: false });
+        expect(() => normalizeExportOptions({ fontSize: 30 })).toThrow('fontSize must be a number from 8 to 16');
+        expect(() => normalizeExportOptions({ columns: 3 })).toThrow('columns must be 1 or 2');
+    });
+
+    test('should spell out symbols the standard PDF fonts cannot draw', () => {
+        expect(toWinAnsi('CO₂ → H₂CO₃')).toBe('CO2 -> H2CO3');
+        expect(toWinAnsi('ΔH = −57 kJ, α and β')).toBe('Delta H = -57 kJ, alpha and beta');
+        expect(toWinAnsi('10⁻⁴ M, 25 °C, x² “quoted”')).toBe('10^-4 M, 25 °C, x² “quoted”');
+        expect(toWinAnsi('漢')).toBe('?');
+    });
+});
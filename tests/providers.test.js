@@ -0,0 +1,149 @@
+// tests/providers.test.js - Question generation provider layer
+const { createProviderRegistry, normalizeProviderName } = require('../lib/providers');
+const { createOfflineProvider } = require('../lib/providers/offline');
+const { createGeminiProvider } = require('../lib/providers/gemini');
+const { createOpenAICompatibleProvider } = require('../lib/providers/openai-compatible');
+const { QUESTION_RESPONSE_SCHEMA } = require('../lib/response-parser');
+
+const sampleQuestion = {
+    question: 'Which organelle is responsible for protein synthesis?',
+    options: ['Mitochondria', 'Ribosomes', 'Golgi apparatus', 'Nucleus'],
+    answer: 'B',
+    subject: 'Biology'
+};
+
+describe('🤖 Question Providers', () => {
+
+    describe('📦 Registry', () => {
+        test('should resolve provider aliases', () => {
+            expect(normalizeProviderName('ollama')).toBe('openai-compatible');
+            expect(normalizeProviderName('Gemini')).toBe('gemini');
+            expect(normalizeProviderName('unknown')).toBeNull();
+        });
+
+        test('should use QUESTION_PROVIDER as the deployment default', () => {
+            const registry = createProviderRegistry({ fetch: jest.fn(), env: { QUESTION_PROVIDER: 'offline' } });
+            expect(registry.defaultProviderName()).toBe('offline');
+            expect(registry.getProvider().name).toBe('offline');
+        });
+
+        test('should fall back to gemini outside test mode', () => {
+            const registry = createProviderRegistry({ fetch: jest.fn(), env: { NODE_ENV: 'production' } });
+            expect(registry.defaultProviderName()).toBe('gemini');
+        });
+
+        test('should reject unknown providers', () => {
+            const registry = createProviderRegistry({ fetch: jest.fn(), env: {} });
+            expect(() => registry.getProvider('nope')).toThrow('Unknown question provider');
+        });
+    });
+
+    describe('📴 Offline Provider', () => {
+        test('should generate the requested number of valid questions', async () => {
+            const provider = createOfflineProvider();
+            const text = await provider.generate('prompt', { questionCount: 12, testFormat: 'subject-test', selectedSubject: 'physics' });
+            const questions = JSON.parse(text);
+
+            expect(questions).toHaveLength(12);
+            questions.forEach(q => {
+                expect(q.subject).toBe('Physics');
+                expect(q.options).toHaveLength(4);
+                expect(new Set(q.options).size).toBe(4);
+                expect(['A', 'B', 'C', 'D']).toContain(q.answer);
+            });
+        });
+
+        test('should be deterministic for the same sequence of calls', async () => {
+            const first = createOfflineProvider();
+            const second = createOfflineProvider();
+            const options = { questionCount: 5, testFormat: 'full-test' };
+
+            expect(await first.generate('p', options)).toBe(await second.generate('p', options));
+            expect(await first.generate('p', options)).not.toBe(await first.generate('p', options));
+        });
+    });
+
+    describe('🌐 HTTP Providers', () => {
+        test('should return the Gemini candidate text', async () => {
+            const fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: JSON.stringify([sampleQuestion]) }] } }] })
+            });
+            const provider = createGeminiProvider({ fetch, apiKey: 'key', model: 'gemini-test' });
+
+            const text = await provider.generate('prompt');
+
+            expect(JSON.parse(text)).toEqual([sampleQuestion]);
+            expect(fetch.mock.calls[0][0]).toContain('/gemini-test:generateContent?key=key');
+        });
+
+        test('should send the response schema in Gemini format', async () => {
+            const fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ candidates: [{ content: { parts: [{ text: '[]' }] } }] })
+            });
+            const provider = createGeminiProvider({ fetch, apiKey: 'key' });
+
+            await provider.generate('prompt', { responseSchema: QUESTION_RESPONSE_SCHEMA });
+            const { responseSchema } = JSON.parse(fetch.mock.calls[0][1].body).generationConfig;
+
+            expect(responseSchema.type).toBe('ARRAY');
+            expect(responseSchema.items.properties.options).toEqual({ type: 'ARRAY', items: { type: 'STRING' }, minItems: '4', maxItems: '4' });
+        });
+
+        test('should attach the status and Retry-After to HTTP errors', async () => {
+            const fetch = jest.fn().mockResolvedValue({
+                ok: false,
+                status: 429,
+                headers: { get: name => (name === 'retry-after' ? '7' : null) },
+                text: () => Promise.resolve(JSON.stringify({ error: { message: 'Resource has been exhausted' } }))
+            });
+            const provider = createGeminiProvider({ fetch, apiKey: 'key' });
+
+            await expect(provider.generate('prompt')).rejects.toMatchObject({ upstreamStatus: 429, retryAfterMs: 7000 });
+        });
+
+        test('should surface Gemini API errors', async () => {
+            const fetch = jest.fn().mockResolvedValue({
+                ok: false,
+                status: 400,
+                text: () => Promise.resolve(JSON.stringify({ error: { message: 'bad request' } }))
+            });
+            const provider = createGeminiProvider({ fetch, apiKey: 'key' });
+
+            await expect(provider.generate('prompt')).rejects.toThrow('Gemini API error: bad request');
+        });
+
+        test('should call an OpenAI-compatible chat completions endpoint', async () => {
+            const fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: JSON.stringify([sampleQuestion]) } }] })
+            });
+            const provider = createOpenAICompatibleProvider({ fetch, baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1' });
+
+            const text = await provider.generate('prompt');
+            const [url, init] = fetch.mock.calls[0];
+
+            expect(JSON.parse(text)).toEqual([sampleQuestion]);
+            expect(url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(JSON.parse(init.body).model).toBe('llama3.1');
+        });
+
+        test('should request structured output unless disabled', async () => {
+            const fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: '{"questions": []}' } }] })
+            });
+            const structured = createOpenAICompatibleProvider({ fetch });
+            const plain = createOpenAICompatibleProvider({ fetch, structuredOutput: false });
+
+            await structured.generate('prompt', { responseSchema: QUESTION_RESPONSE_SCHEMA });
+            await plain.generate('prompt', { responseSchema: QUESTION_RESPONSE_SCHEMA });
+
+            const format = JSON.parse(fetch.mock.calls[0][1].body).response_format;
+            expect(format.type).toBe('json_schema');
+            expect(format.json_schema.schema.properties.questions).toEqual(QUESTION_RESPONSE_SCHEMA);
+            expect(JSON.parse(fetch.mock.calls[1][1].body)).not.toHaveProperty('response_format');
+        });
+    });
+});
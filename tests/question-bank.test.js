@@ -0,0 +1,102 @@
+// tests/question-bank.test.js - Persistent question bank
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQuestionBank, questionKey } = require('../lib/question-bank');
+
+function makeQuestion(overrides = {}) {
+    return {
+        question: 'Which organelle is responsible for protein synthesis?',
+        options: ['Mitochondria', 'Ribosomes', 'Golgi apparatus', 'Nucleus'],
+        answer: 'B',
+        explanation: 'Ribosomes translate mRNA into protein.',
+        subject: 'Biology',
+        topic: 'Cell Structure & Function',
+        difficulty: 'easy',
+        year: 2023,
+        source: 'UHS',
+        ...overrides
+    };
+}
+
+describe('🏦 Question Bank', () => {
+
+    test('should store each question once', () => {
+        const bank = createQuestionBank();
+        bank.addQuestions([makeQuestion(), makeQuestion({ id: 7 })]);
+
+        expect(bank.stats().total).toBe(1);
+    });
+
+    test('should ignore whitespace and case when keying questions', () => {
+        expect(questionKey(makeQuestion())).toBe(questionKey(makeQuestion({
+            question: '  which organelle is responsible   for protein synthesis? '
+        })));
+    });
+
+    test('should filter by subject, difficulty, source, topic and year', () => {
+        const bank = createQuestionBank();
+        bank.addQuestions([
+            makeQuestion(),
+            makeQuestion({ question: 'What is the atomic number of carbon?', subject: 'Chemistry', topic: 'Atomic Structure' }),
+            makeQuestion({ question: 'Which enzyme unwinds DNA during replication?', difficulty: 'moderate', year: 2015 })
+        ]);
+
+        expect(bank.findQuestions({ subject: 'biology' })).toHaveLength(2);
+        expect(bank.findQuestions({ subject: 'Biology', difficulty: 'easy' })).toHaveLength(1);
+        expect(bank.findQuestions({ source: 'uhs', topic: 'atomic structure' })).toHaveLength(1);
+        expect(bank.findQuestions({ yearRange: { start: 2010, end: 2019 } })).toHaveLength(1);
+        expect(bank.findQuestions({ source: 'kmu' })).toHaveLength(0);
+    });
+
+    test('should serve unseen questions to a client only once', () => {
+        const bank = createQuestionBank();
+        bank.addQuestions([
+            makeQuestion(),
+            makeQuestion({ question: 'Which enzyme unwinds DNA during replication?' })
+        ]);
+
+        const first = bank.take({ subject: 'biology' }, 1, { clientId: 'student-1' });
+        const second = bank.take({ subject: 'biology' }, 5, { clientId: 'student-1' });
+        const third = bank.take({ subject: 'biology' }, 5, { clientId: 'student-1' });
+
+        expect(first).toHaveLength(1);
+        expect(second).toHaveLength(1);
+        expect(second[0].bankId).not.toBe(first[0].bankId);
+        expect(third).toHaveLength(0);
+        expect(first[0]).not.toHaveProperty('servedCount');
+    });
+
+    test('should list the questions a client has seen', () => {
+        const bank = createQuestionBank();
+        bank.addQuestions([makeQuestion()]);
+        bank.take({ subject: 'biology' }, 1, { clientId: 'student-1' });
+
+        expect(bank.seenQuestions('student-1').map(q => q.question)).toEqual([makeQuestion().question]);
+        expect(bank.seenQuestions('student-2')).toEqual([]);
+    });
+
+    test('should update and remove stored questions', () => {
+        const bank = createQuestionBank();
+        const [stored] = bank.addQuestions([makeQuestion()]);
+
+        bank.updateQuestion(stored.bankId, { answer: 'C', verification: { status: 'corrected' } });
+        expect(bank.findQuestions({ subject: 'biology' })[0]).toMatchObject({ answer: 'C', verification: { status: 'corrected' } });
+
+        expect(bank.removeQuestions([stored.bankId])).toBe(1);
+        expect(bank.findQuestions({ subject: 'biology' })).toHaveLength(0);
+        expect(bank.stats().total).toBe(0);
+    });
+
+    test('should persist questions to disk', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mdcat-bank-'));
+        const filePath = path.join(dir, 'bank.json');
+
+        createQuestionBank({ filePath }).addQuestions([makeQuestion()]);
+        const reloaded = createQuestionBank({ filePath });
+
+        expect(reloaded.stats().total).toBe(1);
+        expect(reloaded.findQuestions({ subject: 'biology' })[0].origin).toBe('ai');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,104 @@
+// tests/question-export.test.js - GIFT, QTI, Aiken, CSV and Anki exports
+const zlib = require('zlib');
+const { exportQuestions, CSV_COLUMNS } = require('../lib/question-export');
+
+const QUESTIONS = [
+    {
+        id: 1,
+        question: 'What is the ratio in Aa x Aa: dominant {to} recessive?',
+        options: ['A) 1:1', 'B) 3:1', 'C) 9:3:3:1', 'D) 1:2:1'],
+        answer: 'B',
+        explanation: 'Three of four offspring show the dominant trait = 3:1.',
+        subject: 'Biology',
+        topic: 'Inheritance',
+        difficulty: 'easy',
+        source: 'UHS',
+        year: 2021
+    },
+    {
+        id: 2,
+        question: 'Which gas is produced, "mostly", at the anode\nduring electrolysis of brine?',
+        options: ['Chlorine', 'Hydrogen', 'Oxygen', 'Sodium'],
+        answer: 'A',
+        explanation: 'Cl⁻ ions are oxidised to Cl₂ at the anode.',
+        subject: 'Chemistry',
+        topic: 'Electrochemistry',
+        difficulty: 'moderate'
+    }
+];
+
+// Entries of a stored ZIP archive as { name: text }
+function unzip(buffer) {
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.slice(offset + 30, offset + 30 + nameLength).toString();
+        const start = offset + 30 + nameLength;
+        files[name] = zlib.inflateRawSync(buffer.slice(start, start + size)).toString();
+        offset = start + size;
+    }
+    return files;
+}
+
+describe('📤 Question Export', () => {
+
+    test('should write GIFT with categories, escaped text and feedback', () => {
+        const { body, extension } = exportQuestions(QUESTIONS, 'gift');
+        expect(extension).toBe('gift.txt');
+        expect(body).toContain('$CATEGORY: $course$/MDCAT/Biology/Inheritance');
+        expect(body).toContain('$CATEGORY: $course$/MDCAT/Chemistry/Electrochemistry');
+        expect(body).toContain('::Q1::What is the ratio in Aa x Aa\\: dominant \\{to\\} recessive? {');
+        expect(body).toContain('~1\\:1\n=3\\:1');
+        expect(body).toContain('####Three of four offspring show the dominant trait \\= 3\\:1.');
+    });
+
+    test('should write Aiken with one-line stems and letter answers', () => {
+        const { body } = exportQuestions(QUESTIONS, 'aiken');
+        expect(body.trim().split('\n\n')[1]).toBe([
+            'Which gas is produced, "mostly", at the anode during electrolysis of brine?',
+            'A. Chlorine',
+            'B. Hydrogen',
+            'C. Oxygen',
+            'D. Sodium',
+            'ANSWER: A'
+        ].join('\n'));
+    });
+
+    test('should write quoted CSV rows under the column header', () => {
+        const { body, contentType } = exportQuestions(QUESTIONS, 'csv');
+        const lines = body.replace(/^\uFEFF/, '').split('\r\n');
+        expect(contentType).toMatch(/^text\/csv/);
+        expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+        expect(lines[1]).toBe('1,Biology,Inheritance,,easy,What is the ratio in Aa x Aa: dominant {to} recessive?,1:1,3:1,9:3:3:1,1:2:1,B,Three of four offspring show the dominant trait = 3:1.,UHS,2021');
+        expect(body).toContain('"Which gas is produced, ""mostly"", at the anode\nduring electrolysis of brine?"');
+    });
+
+    test('should write Anki notes with tags and the explanation on the back', () => {
+        const { body } = exportQuestions(QUESTIONS, 'anki');
+        const lines = body.trim().split('\n');
+        expect(lines.slice(0, 4)).toEqual(['#separator:tab', '#html:true', '#columns:Front\tBack\tTags', '#tags column:3']);
+        const [front, back, tags] = lines[5].split('\t');
+        expect(front).toContain('&quot;mostly&quot;, at the anode<br>during');
+        expect(back).toBe('<b>A) Chlorine</b><br><br>Cl⁻ ions are oxidised to Cl₂ at the anode.');
+        expect(tags).toBe('MDCAT::Chemistry::Electrochemistry difficulty::moderate');
+    });
+
+    test('should package QTI 2.1 items with a manifest', () => {
+        const { body, contentType } = exportQuestions(QUESTIONS, 'qti', { title: 'Sample' });
+        const files = unzip(body);
+        expect(contentType).toBe('application/zip');
+        expect(Object.keys(files)).toEqual(['imsmanifest.xml', 'items/ITEM-1.xml', 'items/ITEM-2.xml']);
+        expect(files['imsmanifest.xml']).toContain('type="imsqti_item_xmlv2p1" href="items/ITEM-2.xml"');
+        expect(files['imsmanifest.xml']).toContain('<imsmd:langstring xml:lang="en">Electrochemistry</imsmd:langstring>');
+        expect(files['items/ITEM-1.xml']).toContain('<value>B</value>');
+        expect(files['items/ITEM-1.xml']).toContain('<simpleChoice identifier="C">9:3:3:1</simpleChoice>');
+        expect(files['items/ITEM-2.xml']).toContain('<prompt>Which gas is produced, &quot;mostly&quot;, at the anode\nduring electrolysis of brine?</prompt>');
+        expect(files['items/ITEM-2.xml']).toContain('identifier="explanation">Cl⁻ ions are oxidised to Cl₂ at the anode.</modalFeedback>');
+    });
+
+    test('should reject unknown formats', () => {
+        expect(() => exportQuestions(QUESTIONS, 'docx')).toThrow('Invalid format. Must be one of: gift, qti, aiken, csv, anki');
+    });
+});
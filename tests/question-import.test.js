@@ -0,0 +1,138 @@
+// tests/question-import.test.js - Bulk CSV, JSON, Aiken and GIFT import into the bank
+const { importIntoBank, parseImport, formatFromFilename } = require('../lib/question-import');
+const { exportQuestions } = require('../lib/question-export');
+const { createQuestionBank } = require('../lib/question-bank');
+const { loadSyllabi, createSyllabusIndex } = require('../lib/syllabus');
+
+const syllabi = loadSyllabi();
+const syllabusIndex = createSyllabusIndex(syllabi.byVersion[syllabi.versions[syllabi.versions.length - 1]]);
+
+const CSV = [
+    'Question,A,B,C,D,Answer,Subject,Topic,Difficulty,Explanation',
+    '"Which organelle is the site of aerobic respiration?",Ribosome,Mitochondrion,Nucleus,Vacuole,b),biology,Enzymes,Hard,"Mitochondria run the Krebs cycle, then the ETC."',
+    'Too short,a,b,c,d,A,Biology,Enzymes,easy,',
+    '"Which gas is released at the anode when brine is electrolysed?",Chlorine,Hydrogen,Oxygen,Sodium,Chlorine,Chemistry,Electrochemistry,,',
+    '"Which particle has no charge?",Proton,Electron,Neutron,Positron,C,Astrology,Stars,,'
+].join('\r\n');
+
+describe('📥 Question Import', () => {
+
+    test('should read CSV rows with their line numbers and tidy answers', () => {
+        const entries = parseImport(`\uFEFF${CSV}`, 'csv');
+        expect(entries.map(entry => entry.row)).toEqual([2, 3, 4, 5]);
+        expect(entries[0].question).toMatchObject({
+            question: 'Which organelle is the site of aerobic respiration?',
+            options: ['Ribosome', 'Mitochondrion', 'Nucleus', 'Vacuole'],
+            answer: 'b)',
+            explanation: 'Mitochondria run the Krebs cycle, then the ETC.'
+        });
+    });
+
+    test('should import clean rows as human-authored and report every row', () => {
+        const bank = createQuestionBank();
+        const report = importIntoBank(bank, CSV, 'csv', { syllabusIndex, author: 'teacher1' });
+
+        expect(report).toMatchObject({ total: 4, imported: 2, duplicates: 0, invalid: 2 });
+        expect(report.rows.map(row => row.status)).toEqual(['imported', 'invalid', 'imported', 'invalid']);
+        expect(report.rows[1].errors).toEqual(['Question text is shorter than 10 characters']);
+        expect(report.rows[3].errors).toEqual(['Unknown subject "Astrology"']);
+        expect(report.rows[2].warnings).toContain('No explanation');
+
+        const [stored] = bank.findQuestions({ subject: 'Biology' });
+        expect(stored).toMatchObject({ answer: 'B', subject: 'Biology', difficulty: 'difficult', origin: 'human', importedBy: 'teacher1' });
+        expect(stored.topic).toMatch(/^Enzymes \(/);
+        expect(bank.findQuestions({ subject: 'Chemistry' })[0].answer).toBe('A');
+    });
+
+    test('should skip duplicates and store nothing on a dry run', () => {
+        const bank = createQuestionBank();
+        importIntoBank(bank, CSV, 'csv', { syllabusIndex });
+
+        const again = importIntoBank(bank, CSV, 'csv', { syllabusIndex });
+        expect(again).toMatchObject({ imported: 0, duplicates: 2 });
+
+        const fresh = createQuestionBank();
+        const dryRun = importIntoBank(fresh, CSV, 'csv', { syllabusIndex, dryRun: true });
+        expect(dryRun).toMatchObject({ imported: 0, valid: 2 });
+        expect(dryRun.rows[0].status).toBe('valid');
+        expect(fresh.stats().total).toBe(0);
+    });
+
+    test('should read Aiken with defaults for subject and topic', () => {
+        const aiken = [
+            'Which organelle packages proteins',
+            'for secretion?',
+            'A. Golgi apparatus',
+            'B) Ribosome',
+            'C. Lysosome',
+            'D. Centriole',
+            'ANSWER: A',
+            '',
+            'A question that never ends',
+            'A. one'
+        ].join('\n');
+        const report = importIntoBank(createQuestionBank(), aiken, 'aiken', { syllabusIndex, defaults: { subject: 'Biology', topic: 'Cell Structure' } });
+
+        expect(report.rows.map(row => [row.row, row.status])).toEqual([[1, 'imported'], [9, 'invalid']]);
+        expect(report.rows[0].question).toBe('Which organelle packages proteins for secretion?');
+        expect(report.rows[1].errors).toEqual(['Question has no ANSWER: line']);
+    });
+
+    test('should read GIFT categories, escapes and general feedback', () => {
+        const gift = [
+            '// Practice set',
+            '$CATEGORY: $course$/MDCAT/Chemistry/Electrochemistry',
+            '',
+            '::Q1::Which gas forms at the anode\\: brine {',
+            '~Hydrogen#wrong electrode',
+            '=Chlorine',
+            '~Oxygen',
+            '~Sodium',
+            '####2Cl⁻ \\= Cl₂ + 2e⁻',
+            '}',
+            '',
+            'Water boils at 100 °C. {T}'
+        ].join('\n');
+        const entries = parseImport(gift, 'gift');
+
+        expect(entries[0]).toEqual({
+            row: 4,
+            question: {
+                question: 'Which gas forms at the anode: brine',
+                options: ['Hydrogen', 'Chlorine', 'Oxygen', 'Sodium'],
+                answer: 'B',
+                explanation: '2Cl⁻ = Cl₂ + 2e⁻',
+                subject: 'Chemistry',
+                topic: 'Electrochemistry'
+            }
+        });
+        expect(entries[1]).toEqual({ row: 12, error: 'Only multiple-choice GIFT questions can be imported' });
+    });
+
+    test('should import its own exports', () => {
+        const questions = [{
+            id: 1,
+            question: 'Which organelle is the site of aerobic respiration?',
+            options: ['Ribosome', 'Mitochondrion', 'Nucleus', 'Vacuole'],
+            answer: 'B',
+            explanation: 'The Krebs cycle = mitochondrial matrix.',
+            subject: 'Biology',
+            topic: 'Enzymes'
+        }];
+        for (const format of ['csv', 'gift', 'aiken']) {
+            const { body } = exportQuestions(questions, format);
+            const report = importIntoBank(createQuestionBank(), body, format, { syllabusIndex, defaults: { subject: 'Biology', topic: 'Enzymes' } });
+            expect(report).toMatchObject({ total: 1, imported: 1 });
+        }
+    });
+
+    test('should reject unreadable files and tell formats from file names', () => {
+        expect(() => parseImport('{nope', 'json')).toThrow(/^Invalid JSON/);
+        expect(() => parseImport('a,b\n1,2', 'csv')).toThrow('CSV needs a "question" column');
+        expect(() => parseImport('', 'docx')).toThrow('Invalid format. Must be one of: csv, json, aiken, gift');
+        expect(formatFromFilename('Bio Set.CSV')).toBe('csv');
+        expect(formatFromFilename('moodle-gift.txt')).toBe('gift');
+        expect(formatFromFilename('chapter4.txt')).toBe('aiken');
+        expect(formatFromFilename('notes.docx')).toBeNull();
+    });
+});
@@ -0,0 +1,48 @@
+// tests/question-validation.test.js - Shared question rules and syllabus topic mapping
+const { questionErrors, resolveQuestionTopic } = require('../lib/question-validation');
+const { loadSyllabi, createSyllabusIndex } = require('../lib/syllabus');
+
+const QUESTION = {
+    question: 'Which organelle is the site of aerobic respiration?',
+    options: ['Ribosome', 'Mitochondrion', 'Nucleus', 'Vacuole'],
+    answer: 'B',
+    subject: 'Biology'
+};
+
+describe('🧾 Question Validation', () => {
+
+    test('should accept a complete question', () => {
+        expect(questionErrors(QUESTION)).toEqual([]);
+    });
+
+    test('should list every problem with a question', () => {
+        expect(questionErrors({ question: 'Too short', options: ['a', ' ', 'c'], answer: 'E' })).toEqual([
+            'Missing subject',
+            'Question text is shorter than 10 characters',
+            'Must have exactly 4 options',
+            'Answer must be A, B, C or D (got "E")'
+        ]);
+        expect(questionErrors({ ...QUESTION, options: ['a', ' ', 'c', 'd'] })).toEqual(['Option 2 is empty']);
+        expect(questionErrors(null)).toEqual(['Not an object']);
+    });
+
+    test('should skip the quality checks when validation is disabled', () => {
+        const sloppy = { ...QUESTION, question: 'Short?', options: ['a', ' ', 'c', 'd'] };
+        expect(questionErrors(sloppy, { enabled: false })).toEqual([]);
+        expect(questionErrors(sloppy, { minQuestionLength: 0 })).toEqual(['Option 2 is empty']);
+    });
+
+    test('should check the fields a caller requires', () => {
+        expect(questionErrors(QUESTION, { requiredFields: ['question', 'topic', 'source'] })).toEqual(['Missing topic', 'Missing source']);
+    });
+
+    test('should map topic labels onto syllabus topics', () => {
+        const syllabi = loadSyllabi();
+        const index = createSyllabusIndex(syllabi.byVersion[syllabi.versions[syllabi.versions.length - 1]]);
+
+        expect(resolveQuestionTopic(index, { subject: 'Biology', topic: 'Enzymes' }).topic).toMatch(/^Enzymes/);
+        expect(resolveQuestionTopic(index, { subject: 'English', topic: 'Grammar - Tenses' })).not.toBeNull();
+        expect(resolveQuestionTopic(index, { subject: 'Biology', topic: 'Quantum chromodynamics' })).toBeNull();
+        expect(resolveQuestionTopic(index, { subject: 'Biology' })).toBeNull();
+    });
+});
@@ -0,0 +1,90 @@
+// tests/rate-limit.test.js - Request limits, daily question quotas and stores
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRateLimiter, createFileStore, createRateLimitMiddleware, clientKey } = require('../lib/rate-limit');
+
+const NOON = Date.UTC(2025, 0, 15, 12, 0, 0);
+
+function mockRes() {
+    return {
+        headers: {},
+        locals: {},
+        statusCode: 200,
+        set(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+function mockReq(headers = {}, body = {}) {
+    return { ip: '10.0.0.1', body, get: name => headers[name] };
+}
+
+describe('🚦 Rate Limiting', () => {
+
+    test('should allow requests up to the per-minute limit and reset after the window', () => {
+        let now = NOON;
+        const limiter = createRateLimiter({ requestsPerMinute: 2, now: () => now });
+
+        expect(limiter.hitRequest('ip:a').remaining).toBe(1);
+        expect(limiter.hitRequest('ip:a').remaining).toBe(0);
+        const blocked = limiter.hitRequest('ip:a');
+        expect(blocked).toMatchObject({ allowed: false, retryAfterSeconds: 60 });
+        expect(limiter.hitRequest('ip:b').allowed).toBe(true);
+
+        now += 60 * 1000;
+        expect(limiter.hitRequest('ip:a').allowed).toBe(true);
+    });
+
+    test('should reserve, refund and reset the daily question quota at UTC midnight', () => {
+        let now = NOON;
+        const limiter = createRateLimiter({ questionsPerDay: 100, now: () => now });
+
+        expect(limiter.reserveQuestions('ip:a', 80).remaining).toBe(20);
+        const refused = limiter.reserveQuestions('ip:a', 30);
+        expect(refused).toMatchObject({ allowed: false, remaining: 20, retryAfterSeconds: 12 * 60 * 60 });
+
+        limiter.refundQuestions('ip:a', 15);
+        expect(limiter.status('ip:a').questions.remaining).toBe(35);
+
+        now = Date.UTC(2025, 0, 16, 0, 0, 1);
+        expect(limiter.status('ip:a').questions.remaining).toBe(100);
+    });
+
+    test('should keep counters in a file store across restarts', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-')), 'limits.json');
+        const now = () => NOON;
+
+        createRateLimiter({ store: createFileStore(file), questionsPerDay: 50, now }).reserveQuestions('ip:a', 20);
+        const restarted = createRateLimiter({ store: createFileStore(file), questionsPerDay: 50, now });
+
+        expect(restarted.status('ip:a').questions.remaining).toBe(30);
+    });
+
+    test('should answer 429 with Retry-After and quota headers', () => {
+        const limiter = createRateLimiter({ requestsPerMinute: 5, questionsPerDay: 30, now: () => NOON });
+        const middleware = createRateLimitMiddleware(limiter, { questionCount: req => req.body.count });
+        const next = jest.fn();
+
+        const first = mockRes();
+        middleware(mockReq({}, { count: 20 }), first, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(first.locals.rateLimit).toEqual({ client: 'ip:10.0.0.1', reserved: 20 });
+        expect(first.headers).toMatchObject({ 'X-Quota-Limit': '30', 'X-Quota-Remaining': '10', 'X-RateLimit-Remaining': '4' });
+
+        const second = mockRes();
+        middleware(mockReq({}, { count: 20 }), second, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(second.statusCode).toBe(429);
+        expect(second.headers['Retry-After']).toBe(String(12 * 60 * 60));
+        expect(second.body.error).toContain('Daily question quota reached');
+    });
+
+    test('should identify clients by a configured API key before IP address', () => {
+        expect(clientKey(mockReq())).toBe('ip:10.0.0.1');
+        expect(clientKey(mockReq({ 'X-API-Key': 'abc' }), ['abc'])).toMatch(/^key:[0-9a-f]{16}$/);
+        expect(clientKey(mockReq({ 'X-API-Key': 'made-up' }), ['abc'])).toBe('ip:10.0.0.1');
+        expect(clientKey(mockReq({ 'X-API-Key': 'abc' }))).toBe('ip:10.0.0.1');
+    });
+});
@@ -0,0 +1,117 @@
+// tests/reconcile.test.js - Fitting a paper to its planned parts, backfill and shortfall
+const { reconcilePaper, allocateToParts, findGaps, fitsPart, MAX_BACKFILL_ROUNDS } = require('../lib/reconcile');
+
+const PARTS = [
+    { subject: 'Biology', difficulty: 'easy', count: 2 },
+    { subject: 'Chemistry', difficulty: 'moderate', count: 2 }
+];
+const PARAMS = { testFormat: 'full-test', questionCount: 4, mode: 'ai' };
+
+let next = 0;
+function makeQuestion(subject, difficulty) {
+    next++;
+    return {
+        question: `${subject} question ${next}: ${'xyzw'.repeat(next % 7)} which option fits case ${next * 37}?`,
+        options: [`${next} alpha`, `${next} beta`, `${next} gamma`, `${next} delta`],
+        answer: 'A',
+        subject,
+        difficulty
+    };
+}
+
+describe('🧩 Paper Reconciliation', () => {
+
+    test('should allocate questions to parts and report the gaps', () => {
+        const questions = [
+            makeQuestion('Biology', 'easy'),
+            makeQuestion('Chemistry', 'moderate'),
+            makeQuestion('Chemistry', 'moderate'),
+            makeQuestion('Chemistry', 'moderate'),
+            makeQuestion('Biology', 'difficult')
+        ];
+        const { allocation, leftover } = allocateToParts(questions, PARTS);
+
+        expect(allocation.map(slot => slot.questions.length)).toEqual([1, 2]);
+        expect(leftover).toEqual([questions[3], questions[4]]);
+        expect(findGaps(allocation)).toEqual([{ part: PARTS[0], missing: 1 }]);
+    });
+
+    test('should only fit topic parts with questions on that topic', () => {
+        const matchesTopic = (question, topic) => question.topic === topic;
+        const part = { subject: 'Biology', topic: 'Enzymes', difficulty: 'easy', count: 1 };
+        const question = { ...makeQuestion('biology', 'easy'), topic: 'Enzymes' };
+
+        expect(fitsPart(question, part, { matchesTopic })).toBe(true);
+        expect(fitsPart({ ...question, topic: 'Genetics' }, part, { matchesTopic })).toBe(false);
+        expect(fitsPart(question, { ...part, topic: undefined }, { testFormat: 'topic-test', topic: 'Genetics', matchesTopic })).toBe(false);
+    });
+
+    test('should backfill exactly what each part is missing', async () => {
+        const generate = jest.fn(async params => Array.from({ length: params.questionCount }, () => makeQuestion('Anything', params.difficulty)));
+        const onBackfill = jest.fn();
+        const onProgress = jest.fn();
+
+        const result = await reconcilePaper([makeQuestion('Chemistry', 'moderate')], PARAMS, { parts: PARTS, generate, onBackfill, onProgress });
+
+        expect(generate).toHaveBeenCalledTimes(2);
+        expect(generate).toHaveBeenCalledWith(expect.objectContaining({ testFormat: 'subject-test', selectedSubject: 'Biology', difficulty: 'easy', questionCount: 2 }));
+        expect(generate).toHaveBeenCalledWith(expect.objectContaining({ selectedSubject: 'Chemistry', difficulty: 'moderate', questionCount: 1 }));
+        expect(onProgress).toHaveBeenCalledWith({
+            type: 'backfill',
+            round: 1,
+            gaps: [{ subject: 'Biology', difficulty: 'easy', missing: 2 }, { subject: 'Chemistry', difficulty: 'moderate', missing: 1 }]
+        });
+        expect(onBackfill.mock.calls[0][0]).toHaveLength(3);
+        expect(result.questions.map(q => q.subject)).toEqual(['Biology', 'Biology', 'Chemistry', 'Chemistry']);
+        expect(result.shortfall).toEqual({ requested: 4, missing: 0, bySubject: {}, backfilled: 3, offTarget: 0, resolved: true });
+    });
+
+    test('should fill gaps with off-target questions of the right subject and drop the rest', async () => {
+        const questions = [
+            makeQuestion('Biology', 'easy'),
+            makeQuestion('Biology', 'difficult'),
+            makeQuestion('Chemistry', 'moderate'),
+            makeQuestion('Chemistry', 'moderate'),
+            makeQuestion('Physics', 'easy')
+        ];
+        const generate = jest.fn();
+
+        const result = await reconcilePaper(questions, { ...PARAMS, mode: 'bank' }, { parts: PARTS, generate });
+
+        expect(generate).not.toHaveBeenCalled();
+        expect(result.questions).toEqual(questions.slice(0, 4));
+        expect(result.shortfall).toMatchObject({ missing: 0, backfilled: 0, offTarget: 1, resolved: true });
+    });
+
+    test('should report the shortfall when backfill fails', async () => {
+        const generate = jest.fn(async () => { throw new Error('provider down'); });
+        const questions = [makeQuestion('Biology', 'easy'), makeQuestion('Biology', 'easy')];
+
+        const result = await reconcilePaper(questions, PARAMS, { parts: PARTS, generate });
+
+        expect(generate).toHaveBeenCalledTimes(MAX_BACKFILL_ROUNDS);
+        expect(result.questions).toEqual(questions);
+        expect(result.shortfall).toEqual({
+            requested: 4,
+            missing: 2,
+            bySubject: { Chemistry: 2 },
+            backfilled: 0,
+            offTarget: 0,
+            resolved: false
+        });
+    });
+
+    test('should drop duplicates and disputed questions before counting gaps', async () => {
+        const seen = makeQuestion('Biology', 'easy');
+        const kept = makeQuestion('Chemistry', 'moderate');
+        const disputed = makeQuestion('Chemistry', 'moderate');
+        const verify = async list => ({ questions: list.filter(q => q !== disputed), dropped: list.includes(disputed) ? 1 : 0 });
+
+        const result = await reconcilePaper([{ ...seen }, kept, { ...kept }, disputed], { ...PARAMS, mode: 'bank' }, { parts: PARTS, verify, seenQuestions: [seen] });
+
+        expect(result.questions).toEqual([kept]);
+        expect(result.duplicates).toEqual({ removed: 2, againstSeen: 1 });
+        expect(result.verification).toEqual({ dropped: 1 });
+        expect(result.shortfall).toMatchObject({ missing: 3, bySubject: { Biology: 2, Chemistry: 1 } });
+    });
+});
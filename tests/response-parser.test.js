@@ -0,0 +1,66 @@
+// tests/response-parser.test.js - Tolerant parsing of model responses
+const { parseQuestionResponse, repairJson } = require('../lib/response-parser');
+
+function makeQuestion(n) {
+    return {
+        question: `Which statement about sample ${n} is correct?`,
+        options: ['One', 'Two', 'Three', 'Four'],
+        answer: 'A',
+        explanation: 'Because.',
+        subject: 'Biology'
+    };
+}
+
+const threeQuestions = JSON.stringify([makeQuestion(1), makeQuestion(2), makeQuestion(3)], null, 2);
+
+describe('🩹 Response Parser', () => {
+
+    test('should parse clean and fenced arrays directly', () => {
+        const clean = parseQuestionResponse(threeQuestions);
+        const fenced = parseQuestionResponse('```json\n' + threeQuestions + '\n```');
+
+        expect(clean.questions).toHaveLength(3);
+        expect(clean.report).toMatchObject({ strategy: 'json', salvaged: 3, lost: 0 });
+        expect(fenced.questions).toEqual(clean.questions);
+    });
+
+    test('should salvage complete objects from a truncated response', () => {
+        const { questions, report } = parseQuestionResponse(threeQuestions.slice(0, threeQuestions.length - 40));
+
+        expect(questions.map(q => q.question)).toEqual([makeQuestion(1).question, makeQuestion(2).question]);
+        expect(report).toMatchObject({ strategy: 'salvage', salvaged: 2, lost: 1, truncated: true });
+    });
+
+    test('should unwrap { questions: [...] } objects, even when cut off', () => {
+        const wrapped = parseQuestionResponse(JSON.stringify({ questions: [makeQuestion(1)] }));
+        const cutOff = parseQuestionResponse('Sure!\n{"questions": ' + threeQuestions.slice(0, threeQuestions.length - 40));
+
+        expect(wrapped.questions).toHaveLength(1);
+        expect(cutOff.questions).toHaveLength(2);
+        expect(cutOff.report.lost).toBe(1);
+    });
+
+    test('should repair bad escapes, raw newlines, inner quotes and trailing commas', () => {
+        const text = '[{"question": "What is \\\'x\\\' in \\alpha decay?", "options": ["a","b","c","d",], "answer": "A",},' +
+            ' {"question": "He said "hello" twice\nthen left", "options": ["a","b","c","d"], "answer": "B"}]';
+
+        const { questions, report } = parseQuestionResponse(text);
+
+        expect(report).toMatchObject({ salvaged: 2, lost: 0, repaired: 2 });
+        expect(questions[0].question).toBe("What is 'x' in \\alpha decay?");
+        expect(questions[0].options).toHaveLength(4);
+        expect(questions[1].question).toBe('He said "hello" twice\nthen left');
+    });
+
+    test('should leave valid JSON untouched when repairing', () => {
+        const valid = JSON.stringify(makeQuestion(1));
+        expect(repairJson(valid)).toBe(valid);
+    });
+
+    test('should report responses with no array at all', () => {
+        const { questions, report } = parseQuestionResponse('I cannot help with that.');
+
+        expect(questions).toEqual([]);
+        expect(report.strategy).toBe('none');
+    });
+});
@@ -0,0 +1,75 @@
+// tests/review-queue.test.js - SM-2 review cards for missed and flagged questions
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReviewStore, sm2, DAY_MS } = require('../lib/review-queue');
+
+const USER = '0123456789abcdef';
+const QUESTION = {
+    question: 'Which enzyme unwinds DNA during replication?',
+    options: ['A) Ligase', 'B) Helicase', 'C) Primase', 'D) Polymerase'],
+    answer: 'B',
+    explanation: 'Helicase breaks the hydrogen bonds between strands.',
+    subject: 'Biology',
+    topic: 'Genetics'
+};
+
+describe('🔁 Review Queue', () => {
+
+    test('should follow the SM-2 intervals and reset on a miss', () => {
+        let card = { easiness: 2.5, repetitions: 0, intervalDays: 1, lapses: 0 };
+        card = { ...card, ...sm2(card, 4) };
+        expect(card.intervalDays).toBe(1);
+        card = { ...card, ...sm2(card, 4) };
+        expect(card.intervalDays).toBe(6);
+        card = { ...card, ...sm2(card, 5) };
+        expect(card.intervalDays).toBe(16);
+
+        const missed = sm2(card, 1);
+        expect(missed).toMatchObject({ repetitions: 0, intervalDays: 1, lapses: 1 });
+        expect(missed.easiness).toBeLessThan(card.easiness);
+        expect(sm2({ ...card, easiness: 1.3 }, 0).easiness).toBe(1.3);
+    });
+
+    test('should make missed questions due from the next day', () => {
+        let now = 1000;
+        const store = createReviewStore({ now: () => now });
+        const [card] = store.add(USER, [{ question: QUESTION, reason: 'incorrect' }], { paperId: 'paper1' });
+
+        expect(store.due(USER)).toHaveLength(0);
+        now += DAY_MS;
+        expect(store.due(USER).map(c => c.id)).toEqual([card.id]);
+        expect(store.stats(USER)).toMatchObject({ total: 1, due: 1 });
+    });
+
+    test('should grade reviews on the server and reschedule', () => {
+        let now = 0;
+        const store = createReviewStore({ now: () => now });
+        const [card] = store.add(USER, [{ question: QUESTION, reason: 'flagged' }]);
+        now = DAY_MS;
+
+        const right = store.review(USER, card.id, { answer: 'b' });
+        expect(right).toMatchObject({ correct: true, correctAnswer: 'B', quality: 4 });
+        expect(right.card.dueAt).toBe(now + DAY_MS);
+
+        now = 2 * DAY_MS;
+        const second = store.review(USER, card.id, { answer: 'B', quality: 5 });
+        expect(second.card.intervalDays).toBe(6);
+
+        const wrong = store.review(USER, card.id, { answer: 'A' });
+        expect(wrong).toMatchObject({ correct: false, quality: 1 });
+        expect(wrong.card).toMatchObject({ repetitions: 0, intervalDays: 1, reviews: 3 });
+    });
+
+    test('should grade against a variant once and keep cards on disk', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-'));
+        const store = createReviewStore({ dir });
+        const [card] = store.add(USER, [{ question: QUESTION, reason: 'incorrect' }]);
+        store.setVariant(USER, card.id, { ...QUESTION, question: 'Which enzyme joins Okazaki fragments?', answer: 'A' });
+
+        const restarted = createReviewStore({ dir });
+        expect(restarted.review(USER, card.id, { answer: 'A' }).correct).toBe(true);
+        expect(restarted.get(USER, card.id).variant).toBeNull();
+        expect(restarted.review(USER, 'missing', { answer: 'A' })).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+// tests/scheduler.test.js - Concurrency-limited provider call scheduler
+const { createScheduler, isRateLimitError } = require('../lib/scheduler');
+
+function delay(ms, value) {
+    return new Promise(resolve => setTimeout(() => resolve(value), ms));
+}
+
+function rateLimited(status = 429) {
+    const error = new Error('Gemini API error: Resource has been exhausted');
+    error.upstreamStatus = status;
+    return error;
+}
+
+describe('🚦 Generation Scheduler', () => {
+
+    test('should never run more than maxConcurrent tasks at once', async () => {
+        const scheduler = createScheduler({ maxConcurrent: 2 });
+        let running = 0;
+        let peak = 0;
+
+        const task = async (value) => {
+            running++;
+            peak = Math.max(peak, running);
+            await delay(10);
+            running--;
+            return value;
+        };
+
+        const results = await Promise.all([1, 2, 3, 4, 5].map(n => scheduler.schedule(() => task(n))));
+
+        expect(results).toEqual([1, 2, 3, 4, 5]);
+        expect(peak).toBe(2);
+    });
+
+    test('should recognise 429 and 503 as rate limits', () => {
+        expect(isRateLimitError(rateLimited(429))).toBe(true);
+        expect(isRateLimitError(rateLimited(503))).toBe(true);
+        expect(isRateLimitError(rateLimited(400))).toBe(false);
+        expect(isRateLimitError(new Error('timeout'))).toBe(false);
+    });
+
+    test('should pause new calls after a rate limit and double the pause', async () => {
+        const scheduler = createScheduler({ maxConcurrent: 1, baseDelayMs: 40 });
+        const started = Date.now();
+
+        await expect(scheduler.schedule(() => Promise.reject(rateLimited()))).rejects.toThrow('exhausted');
+        expect(scheduler.stats().backoffMs).toBe(40);
+
+        await expect(scheduler.schedule(() => Promise.reject(rateLimited(503)))).rejects.toThrow();
+        expect(Date.now() - started).toBeGreaterThanOrEqual(35);
+        expect(scheduler.stats().backoffMs).toBe(80);
+    });
+
+    test('should honour Retry-After and relax after successes', async () => {
+        const scheduler = createScheduler({ maxConcurrent: 1, baseDelayMs: 10 });
+        const error = rateLimited();
+        error.retryAfterMs = 50;
+
+        await expect(scheduler.schedule(() => Promise.reject(error))).rejects.toThrow();
+        expect(scheduler.stats().backoffMs).toBe(50);
+
+        await scheduler.schedule(() => Promise.resolve('ok'));
+        expect(scheduler.stats().backoffMs).toBe(25);
+        await scheduler.schedule(() => Promise.resolve('ok'));
+        await scheduler.schedule(() => Promise.resolve('ok'));
+        expect(scheduler.stats().backoffMs).toBe(0);
+    });
+
+    test('should give parallel calls as many attempts as a single call', async () => {
+        const scheduler = createScheduler({ maxConcurrent: 2, maxAttempts: 3, retryDelay: () => 0 });
+        const failing = jest.fn(async () => { throw new Error('Gemini API error: Bad Request'); });
+        const onRetry = jest.fn();
+
+        await expect(scheduler.scheduleWithRetries(failing, { onRetry })).rejects.toThrow('Bad Request');
+        expect(failing).toHaveBeenCalledTimes(3);
+        expect(onRetry).toHaveBeenCalledTimes(2);
+        expect(failing).toHaveBeenLastCalledWith(3, 3);
+
+        failing.mockClear();
+        const parallel = [1, 2, 3, 4].map(() => scheduler.scheduleWithRetries(failing));
+        await Promise.all(parallel.map(call => expect(call).rejects.toThrow('Bad Request')));
+        expect(failing).toHaveBeenCalledTimes(4 * 3);
+    });
+
+    test('should retry empty results and stop at the first value', async () => {
+        const scheduler = createScheduler({ maxAttempts: 3, retryDelay: () => 0 });
+        const task = jest.fn()
+            .mockRejectedValueOnce(new Error('timeout'))
+            .mockResolvedValueOnce({ retry: true })
+            .mockResolvedValueOnce({ value: ['question'] });
+
+        await expect(scheduler.scheduleWithRetries(task)).resolves.toEqual(['question']);
+        expect(task).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,81 @@
+// tests/server.test.js - What the HTTP server does and does not hand out
+process.env.NODE_ENV = 'test';
+process.env.ENABLE_MOCK_RESPONSES = 'true';
+process.env.MOCK_RESPONSE_DELAY = '0';
+
+const request = require('supertest');
+const { app, server } = require('../server');
+
+// Generate and save a small paper; returns its ID
+async function createPaper(agent = request(app)) {
+    const response = await agent.post('/api/generate-questions')
+        .send({ testFormat: 'subject-test', selectedSubject: 'Chemistry', count: 5 })
+        .expect(200);
+    return response.body.paperId;
+}
+
+afterAll(done => {
+    server.close(done);
+});
+
+describe('🔒 Server', () => {
+
+    test('should not serve stored accounts or other project files', async () => {
+        for (const file of ['/storage/accounts.json', '/.env', '/server.js']) {
+            const response = await request(app).get(file);
+            expect(response.status).toBe(404);
+        }
+        await request(app).get('/').expect(200).expect('Content-Type', /html/);
+    });
+
+    test('should not serve saved paper files', async () => {
+        const paperId = await createPaper();
+        await request(app).get(`/storage/papers/${paperId}.json`).expect(404);
+
+        const shared = await request(app).get(`/api/papers/${paperId}`).expect(200);
+        expect(shared.body.paper.answerKey).toBe(false);
+        expect(shared.body.paper.questions[0]).not.toHaveProperty('answer');
+    });
+
+    test('should keep the question bank behind the teacher-only export', async () => {
+        await createPaper();
+        await request(app).get('/storage/question-bank.json').expect(404);
+        await request(app).get('/api/question-bank/export?format=json').expect(401);
+    });
+
+    test('should explain that past-papers-only needs real papers', async () => {
+        const health = await request(app).get('/health').expect(200);
+        expect(health.body.pastPapers).toMatchObject({ papers: 0, questions: 0 });
+        expect(health.body.pastPapers.samples).toBeGreaterThan(0);
+
+        const response = await request(app).post('/api/generate-questions')
+            .send({ testFormat: 'subject-test', selectedSubject: 'Biology', count: 5, mode: 'past-papers-only' })
+            .expect(404);
+        expect(response.body.error).toMatch(/^No real past papers are installed/);
+    });
+
+    test('should grade anonymous attempts without giving away the key', async () => {
+        const paperId = await createPaper();
+        const graded = await request(app).post(`/api/papers/${paperId}/submissions`).send({ answers: [] }).expect(201);
+
+        expect(graded.body.submission.unanswered).toBe(5);
+        expect(graded.body.answerKey).toBeNull();
+        graded.body.submission.questions.forEach(question => expect(question).not.toHaveProperty('correctAnswer'));
+
+        const stored = await request(app).get(`/api/papers/${paperId}/submissions/${graded.body.submission.id}`).expect(200);
+        stored.body.submission.questions.forEach(question => expect(question).not.toHaveProperty('correctAnswer'));
+    });
+
+    test('should release the key to a signed-in student with their graded attempt', async () => {
+        const paperId = await createPaper();
+        const student = request.agent(app);
+        await student.post('/api/auth/register').send({ username: 'keyreader', password: 'correct horse battery' }).expect(201);
+
+        await student.get(`/api/papers/${paperId}`).expect(200).expect(res => expect(res.body.paper.answerKey).toBe(false));
+        const graded = await student.post(`/api/papers/${paperId}/submissions`).send({ answers: [] }).expect(201);
+
+        expect(graded.body.answerKey).toHaveLength(5);
+        expect(graded.body.answerKey[0]).toHaveProperty('answer');
+        expect(graded.body.submission.questions[0]).toHaveProperty('correctAnswer');
+    });
+});
@@ -0,0 +1,64 @@
+// tests/syllabus.test.js - Versioned syllabi and fuzzy topic search
+const { loadSyllabi, createSyllabusIndex, parseTopic } = require('../lib/syllabus');
+
+const SYLLABUS = {
+    version: 'test',
+    subjects: {
+        biology: {
+            name: 'Biology',
+            weight: 0.7,
+            topics: [
+                { topic: 'Bioenergetics (Respiration)', subtopics: ['Glycolysis', 'Krebs Cycle'], objectives: ['Outline the Krebs cycle'] },
+                { topic: 'Enzymes (Enzyme Action, Factors Affecting Enzymes, Inhibitors)' },
+                { topic: 'Respiration (Human Respiratory System, Mechanism of Breathing)' }
+            ]
+        },
+        physics: {
+            name: 'Physics',
+            weight: 0.3,
+            topics: [{ topic: 'Modern Physics (Quantum Theory, Photoelectric Effect)' }]
+        }
+    }
+};
+
+describe('📚 Syllabus', () => {
+    const index = createSyllabusIndex(SYLLABUS);
+
+    test('should load every syllabus version with weights adding up to 1', () => {
+        const { versions, byVersion } = loadSyllabi();
+        expect(versions).toEqual(expect.arrayContaining(['2023', '2024', '2025']));
+        versions.forEach(version => {
+            const weights = Object.values(byVersion[version].subjects).reduce((sum, s) => sum + s.weight, 0);
+            expect(weights).toBeCloseTo(1);
+        });
+        expect(byVersion['2023'].subjects.biology.weight).not.toBe(byVersion['2025'].subjects.biology.weight);
+    });
+
+    test('should split topics into names and subtopics', () => {
+        expect(parseTopic('Enzymes (Enzyme Action, Inhibitors)')).toEqual({ name: 'Enzymes', subtopics: ['Enzyme Action', 'Inhibitors'] });
+        expect(parseTopic('Punctuation Marks')).toEqual({ name: 'Punctuation Marks', subtopics: [] });
+        expect(index.getSubject('Biology').topics[0]).toMatchObject({
+            subtopics: ['Respiration', 'Glycolysis', 'Krebs Cycle'],
+            objectives: ['Outline the Krebs cycle']
+        });
+    });
+
+    test('should resolve subtopics and typos to the canonical topic', () => {
+        expect(index.resolveTopic('Krebs cycle')).toMatchObject({ topic: 'Bioenergetics (Respiration)', subtopic: 'Krebs Cycle', subject: 'Biology' });
+        expect(index.resolveTopic('krebs cyle').topic).toBe('Bioenergetics (Respiration)');
+        expect(index.resolveTopic('photoelectrc effect').topic).toBe('Modern Physics (Quantum Theory, Photoelectric Effect)');
+        expect(index.resolveTopic('quantum chromodynamics')).toBeNull();
+    });
+
+    test('should rank topic names above subtopics and complete partial words', () => {
+        const [first, second] = index.search('respiration');
+        expect(first.name).toBe('Respiration');
+        expect(second).toMatchObject({ name: 'Bioenergetics', subtopic: 'Respiration' });
+        expect(index.search('enzym')[0].name).toBe('Enzymes');
+    });
+
+    test('should restrict searches to a subject', () => {
+        expect(index.search('photoelectric', { subject: 'biology' })).toEqual([]);
+        expect(index.search('photoelectric', { subject: 'physics' })).toHaveLength(1);
+    });
+});
@@ -0,0 +1,111 @@
+// tests/verification.test.js - Answer-key verification
+const { createAnswerVerifier, decideVerification, explanationAnswer } = require('../lib/verification');
+
+function makeQuestion(overrides = {}) {
+    return {
+        question: 'Which organelle is responsible for protein synthesis?',
+        options: ['Mitochondria', 'Ribosomes', 'Golgi apparatus', 'Nucleus'],
+        answer: 'B',
+        explanation: 'Ribosomes translate mRNA into protein.',
+        subject: 'Biology',
+        ...overrides
+    };
+}
+
+// Fake provider answering every solve with the given letters
+function solver(...answerSets) {
+    let call = 0;
+    return jest.fn(async (prompt, options) => {
+        const answers = answerSets[call++ % answerSets.length];
+        return JSON.stringify(options.questions.map((_, i) => ({ index: i + 1, answer: answers[i] })));
+    });
+}
+
+describe('🔎 Answer Verification', () => {
+
+    describe('📝 Explanation check', () => {
+        test('should read explicit answer references', () => {
+            expect(explanationAnswer(makeQuestion({ explanation: 'The correct answer is (C) because...' }))).toBe('C');
+            expect(explanationAnswer(makeQuestion({ explanation: 'ANSWER: D' }))).toBe('D');
+        });
+
+        test('should find the single option the explanation mentions', () => {
+            expect(explanationAnswer(makeQuestion())).toBe('B');
+            expect(explanationAnswer(makeQuestion({ explanation: 'Protein synthesis happens in the cell.' }))).toBeNull();
+        });
+
+        test('should not read a lowercase article as an option letter', () => {
+            const question = makeQuestion({
+                question: 'What happens to the volume of a gas when its pressure is doubled at constant temperature?',
+                options: ['It doubles', 'It halves', 'It stays the same', 'It quadruples'],
+                answer: 'B',
+                explanation: 'The correct answer is a halving of volume, since PV stays constant (Boyle\'s law).'
+            });
+            expect(explanationAnswer(question)).toBeNull();
+            expect(decideVerification(question, ['B'], 'model').verification.status).toBe('verified');
+        });
+
+        test('should ignore values restated from the stem', () => {
+            const question = makeQuestion({
+                question: 'Aa x Aa produces 104 offspring. How many show the recessive phenotype?',
+                options: ['78', '26', '104', '52'],
+                explanation: 'One quarter (26) of the 104 offspring are aa.'
+            });
+            expect(explanationAnswer(question)).toBe('B');
+        });
+    });
+
+    describe('⚖️ Decision', () => {
+        test('should verify keys the re-solve agrees with', () => {
+            expect(decideVerification(makeQuestion(), ['B'], 'offline').verification.status).toBe('verified');
+        });
+
+        test('should correct keys when the re-solve and explanation agree', () => {
+            const result = decideVerification(makeQuestion({ answer: 'A' }), ['B'], 'offline');
+            expect(result.answer).toBe('B');
+            expect(result.verification).toMatchObject({ status: 'corrected', originalAnswer: 'A' });
+        });
+
+        test('should dispute keys when nothing agrees', () => {
+            expect(decideVerification(makeQuestion({ answer: 'A' }), ['D'], 'offline').verification.status).toBe('disputed');
+            expect(decideVerification(makeQuestion({ answer: 'A' }), [null], 'offline').verification.status).toBe('disputed');
+        });
+
+        test('should leave keys unverified when no solve came back', () => {
+            const question = makeQuestion({ explanation: 'See your textbook.' });
+            expect(decideVerification(question, [null], 'offline').verification.status).toBe('unverified');
+        });
+
+        test('should use the majority of several solves', () => {
+            expect(decideVerification(makeQuestion(), ['B', 'C', 'B'], 'offline').verification.solvedAnswer).toBe('B');
+            expect(decideVerification(makeQuestion(), ['B', 'C'], 'offline').verification.solvedAnswer).toBeNull();
+        });
+    });
+
+    describe('🤖 Verifier', () => {
+        test('should re-solve in batches without revealing the key', async () => {
+            const generate = solver(['B', 'D']);
+            const verifier = createAnswerVerifier({ generate, batchSize: 2 });
+            const questions = [makeQuestion(), makeQuestion({ question: 'Which is not an organelle?', answer: 'A', explanation: '' })];
+
+            const checked = await verifier.verify(questions);
+
+            expect(generate).toHaveBeenCalledTimes(1);
+            expect(generate.mock.calls[0][1].questions[0]).not.toHaveProperty('answer');
+            expect(checked.map(q => q.verification.status)).toEqual(['verified', 'disputed']);
+        });
+
+        test('should trust past-paper keys and skip already verified questions', async () => {
+            const generate = solver(['B']);
+            const verifier = createAnswerVerifier({ generate });
+
+            const checked = await verifier.verify([
+                makeQuestion({ origin: 'past-paper' }),
+                makeQuestion({ verification: { status: 'verified' } })
+            ]);
+
+            expect(generate).not.toHaveBeenCalled();
+            expect(checked.map(q => q.verification.status)).toEqual(['trusted', 'verified']);
+        });
+    });
+});